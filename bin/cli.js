@@ -1,51 +1,224 @@
 #!/usr/bin/env node
 const { program } = require('commander');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { createRoundedAss } = require('../lib/roundedAss');
+const { PRESETS, resolveOptions } = require('../lib/config');
+const { loadSpeakerFile } = require('../lib/speakers');
+const { planJobs, runJobs, formatSummary, watchFiles } = require('../lib/batch');
+const { Logger, renderRoundedAss, probeVideo } = require('../lib/roundedAss');
+const { DEFAULT_MAX_BYTES, createServer } = require('../lib/server');
+const { createCueReader, createLiveRenderer, tailFile } = require('../lib/live');
+const { parseReportFormat, parseFailOn, checkSubtitles, exitCode, formatReport } = require('../lib/check');
 const packageInfo = require('../package.json');
 
-program
-    .name('rounded-ass')
-    .description('Generate ASS subtitles with rounded backgrounds from SRT or VTT files')
-    .version(packageInfo.version)
-    .argument('<subtitle-file>', 'Input subtitle file (.srt or .vtt)')
-    .argument('[video-file]', 'Optional video file for dimension detection')
-    .option('-o, --output <file>', 'Output ASS file')
-    .option('-f, --font <name>', 'Font name (autodetermined if not specified)')
-    .option('-s, --font-size <size>', 'Font size', parseInt, 48)
-    .option('--text-color <hex>', 'Text color in hex', 'FFFFFF')
-    .option('--bg-color <hex>', 'Background color in hex', '000000')
-    .option('--opacity <value>', 'Background opacity (0-255)', parseInt, 0)
-    .option('--padding-x <px>', 'Horizontal padding', parseInt, 20)
-    .option('--padding-y <px>', 'Vertical padding', parseInt, 10)
-    .option('--radius <px>', 'Border radius (autodetermined if not specified)', parseInt)
-    .option('--width-ratio <ratio>', 'Width adjustment ratio', parseFloat, 1.0)
-    .option('--margin-bottom <px>', 'Bottom margin (autodetermined if not specified)', parseInt)
-    .option('-v, --verbose', 'Enable verbose logging')
-    .parse(process.argv);
+/**
+ * Collect repeated --speaker-shape "<speaker>=<shape>" values into an object
+ *
+ * @param {string} value - One speaker and shape
+ * @param {Object} shapes - Shapes collected so far
+ * @returns {Object} - Shapes by speaker
+ */
+function collectSpeakerShape(value, shapes = {}) {
+    const separator = value.lastIndexOf('=');
+    if (separator < 1) {
+        console.error(`Error: Invalid speaker shape "${value}". Use "<speaker>=<shape>"`);
+        process.exit(1);
+    }
+    return { ...shapes, [value.slice(0, separator).trim()]: value.slice(separator + 1).trim() };
+}
 
-async function run() {
-    const [subtitleFile, videoFile] = program.args;
-    const opts = program.opts();
+/**
+ * Collect repeated --font-fallback "<script>=<font>,<font>" values into an object
+ *
+ * @param {string} value - One script and its fonts
+ * @param {Object} chains - Chains collected so far
+ * @returns {Object} - Fonts by script
+ */
+function collectFontFallback(value, chains = {}) {
+    const separator = value.indexOf('=');
+    if (separator < 1) {
+        console.error(`Error: Invalid font fallback "${value}". Use "<script>=<font>[,<font>...]"`);
+        process.exit(1);
+    }
+    return { ...chains, [value.slice(0, separator).trim()]: value.slice(separator + 1).trim() };
+}
 
-    // Validate that the input file is .srt or .vtt
-    const fileExt = path.extname(subtitleFile).toLowerCase();
-    if (fileExt !== '.srt' && fileExt !== '.vtt') {
-        console.error(`Error: Input file must be .srt or .vtt format. Got: ${fileExt}`);
+/**
+ * Parse --jobs: a number of workers, or "auto" for one per CPU core
+ *
+ * @param {string} value - Number of workers
+ * @returns {number} - Number of workers
+ */
+function parseJobs(value) {
+    const jobs = value === 'auto' ? os.cpus().length : parseInt(value, 10);
+    if (!(jobs >= 1)) {
+        console.error(`Error: Invalid number of jobs "${value}". Use a number of 1 or more, or "auto"`);
         process.exit(1);
     }
+    return jobs;
+}
+
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass', 'json', 'ndjson'];
 
-    let outputFile = opts.output;
-    if (!outputFile) {
-        const basename = path.basename(subtitleFile, path.extname(subtitleFile));
-        outputFile = `${basename}.ass`;
+/**
+ * Parse --format: the subtitle format of standard input, or of files whatever their extension.
+ * ndjson (one JSON cue per line) is read in live mode.
+ *
+ * @param {string} value - Format name
+ * @returns {string} - Format
+ */
+function parseFormat(value) {
+    const format = value.trim().toLowerCase();
+    if (!SUBTITLE_FORMATS.includes(format)) {
+        console.error(`Error: Invalid format "${value}". Use ${SUBTITLE_FORMATS.join(', ')}`);
+        process.exit(1);
     }
+    return format;
+}
+
+/**
+ * Add the options that shape the layout, shared by conversion and check: secondary
+ * subtitles, fonts, styling, timing, preset and theme
+ *
+ * @param {Command} command - Command to add them to
+ * @returns {Command} - The command
+ */
+function addStyleOptions(command) {
+    return command
+        .option('--secondary <file>', 'Second subtitle file (.srt, .vtt or .json) shown with the first, e.g. a translation (single subtitle file only)')
+        .option('--bilingual <layout>', 'Layout of the two languages: stack, split (secondary at the top) or merge (one box) (default: stack)')
+        .option('--secondary-font <name>', 'Font of the secondary subtitles (autodetermined if not specified)')
+        .option('--secondary-font-size <size>', 'Font size of the secondary subtitles (default: 80% of the font size)', parseInt)
+        .option('--secondary-text-color <color>', 'Text color of the secondary subtitles (default: the text color)')
+        .option('--secondary-bg-color <color>', 'Background color of the secondary boxes (default: the background color)')
+        .option('-f, --font <name>', 'Font name (autodetermined if not specified)')
+        .option('--font-fallback <script=fonts>', 'Fonts to try for one script, e.g. "thai=Sarabun,Tahoma" or "cjk-jp=Meiryo"; repeat for more scripts', collectFontFallback)
+        .option('--missing-fonts <mode>', 'When a font is not installed: warn, error or ignore (default: warn)')
+        .option('--embed-fonts', 'Embed the font files used into the [Fonts] section of the output')
+        .option('--bidi <mode>', 'Base text direction: auto (per cue), rtl, ltr or off to leave the text as is (default: auto)')
+        .option('--language <tag>', 'BCP-47 language tag for the ASS header, e.g. pt-BR (default: from the predominant script)')
+        .option('-s, --font-size <size>', 'Font size (default: 48, larger in the shorts layout)', parseInt)
+        .option('--text-color <color>', 'Text color: #RRGGBB, #RRGGBBAA, rgb(), rgba() or a CSS name (default: #FFFFFF)')
+        .option('--bg-color <color>', 'Background color, same formats (default: #000000)')
+        .option('--opacity <value>', 'Background opacity, 0-1 or a percentage such as 70% (default: 0.7)')
+        .option('--padding-x <px>', 'Horizontal padding (default: 20)', parseInt)
+        .option('--padding-y <px>', 'Vertical padding (default: 10)', parseInt)
+        .option('--radius <px>', 'Border radius, or four per-corner radii "tl tr br bl" (autodetermined if not specified)')
+        .option('--shape <name>', 'Box shape: rounded, pill, squircle, bubble, bubble-left, bubble-right or bubble-down (default: rounded)')
+        .option('--tail-offset <px>', 'Bubble tail position from the middle of its edge (default: 0)', parseFloat)
+        .option('--tail-size <px>', 'Bubble tail length (default: 20)', parseFloat)
+        .option('--speaker-shape <speaker=shape>', 'Box shape for one speaker; repeat for more speakers', collectSpeakerShape)
+        .option('--speaker-styles', 'Give each speaker (VTT <v Name>, "NAME:" prefixes) its own text color and ASS style')
+        .option('--speakers <file>', 'JSON or YAML file of speaker styles: bgColor, textColor, align and label per name')
+        .option('--speaker-palette <colors>', 'Comma-separated text colors handed out to speakers in order of appearance')
+        .option('--speaker-labels', 'Show the speaker name in front of each turn')
+        .option('--width-ratio <ratio>', 'Width adjustment ratio (default: 1.0)', parseFloat)
+        .option('--margin-bottom <px>', 'Bottom margin (autodetermined if not specified)', parseInt)
+        .option('--box-mode <mode>', 'Background box mode: block, lines or joined (default: block)')
+        .option('--line-gap <px>', 'Gap between per-line boxes in lines mode', parseInt)
+        .option('--max-width-ratio <ratio>', 'Maximum box width as a fraction of the video width (default: 0.9)', parseFloat)
+        .option('--max-lines <n>', 'Maximum number of lines when wrapping (default: 2)', parseInt)
+        .option('--no-wrap', 'Do not wrap long lines')
+        .option('--no-stack', 'Do not stack cues that overlap in time')
+        .option('--stack-gap <px>', 'Gap between stacked overlapping cues', parseInt)
+        .option('--skip-styles <names>', 'Comma-separated ASS styles that get no box (ASS input only)')
+        .option('--highlight <mode>', 'Active word highlight for word-timed input: none, color, karaoke or pill (default: color)')
+        .option('--highlight-color <color>', 'Highlight color, same formats as --text-color (default: #FFD700)')
+        .option('--layout <mode>', 'Layout: auto, standard or shorts (default: auto, shorts for portrait video)')
+        .option('--chunk-words <n>', 'Maximum words per caption chunk in the shorts layout, 1-4 (default: 3)', parseInt)
+        .option('--pop', 'Pop captions in with a quick scale animation (default in the shorts layout)')
+        .option('--no-pop', 'Do not animate captions in')
+        .option('--animation-in <type>', 'Enter animation of box and text: none, fade, pop or slide (default: pop in the shorts layout, else none)')
+        .option('--animation-out <type>', 'Exit animation of box and text: none, fade, pop or slide (default: none)')
+        .option('--animation-duration <ms>', 'Duration of each animation (default: 200, 120 for pop; at most a third of the cue)', parseInt)
+        .option('--animate-joined', 'Also animate between back-to-back cues joined by the flicker fix')
+        .option('--encoding <name>', 'Character encoding of the subtitle files, e.g. windows-1251 or shift_jis (default: detected)')
+        .option('--shift <time>', 'Shift every cue by a time: seconds, "-200ms" or "00:00:01,500" (default: 0)')
+        .option('--retime <from:to>', 'Convert between frame rates, e.g. 23.976:25 (default: none)')
+        .option('--snap-frames', 'Snap cue starts and ends to frame boundaries')
+        .option('--fps <rate>', 'Frame rate for --snap-frames, e.g. 25 or 24000/1001 (default: from the video)')
+        .option('--min-duration <time>', 'Minimum cue duration, in seconds or with ms (default: 0)')
+        .option('--min-gap <time>', 'Minimum gap between cues that don\'t touch (default: 0)')
+        .option('--max-cps <n>', 'Maximum reading speed in characters per second; faster cues are extended and reported (default: off)', parseFloat)
+        .option('--chain-threshold <time>', 'Join back-to-back cues less than this apart (default: 0.1)')
+        .option('--box-outline <px>', 'Outline stroke width around the box (default: 0)', parseFloat)
+        .option('--box-outline-color <color>', 'Box outline color (default: #FFFFFF)')
+        .option('--box-shadow <shadow>', 'Box drop shadow: "<x> <y> [blur] [color]", e.g. "0 4 12 rgba(0,0,0,0.5)"')
+        .option('--box-gradient <colors>', 'Vertical gradient fill: "<top color>,<bottom color>"')
+        .option('--text-outline <px>', 'Text outline width (default: 0)', parseFloat)
+        .option('--text-outline-color <color>', 'Text outline color (default: #000000)')
+        .option('--text-shadow <px>', 'Text shadow depth (default: 0)', parseFloat)
+        .option('--text-shadow-color <color>', 'Text shadow color (default: rgba(0, 0, 0, 0.5))')
+        .option('--preset <name>', `Styling preset: ${Object.keys(PRESETS).join(', ')}`)
+        .option('--theme <file>', 'JSON or YAML theme file (default: .roundedassrc next to the input or in the home directory)');
+}
+
+program
+    .name('rounded-ass')
+    .description('Generate ASS subtitles with rounded backgrounds from SRT, VTT, ASS or word-timed JSON files')
+    .version(packageInfo.version)
+    .enablePositionalOptions()
+    .argument('<inputs...>', 'Subtitle files (.srt, .vtt, .ass or word-timed .json), directories or glob patterns, or "-" for standard input, and optional video files for dimension detection')
+    .option('-o, --output <file>', 'Output ASS file, or "-" for standard output (single subtitle file only)')
+    .option('--format <format>', 'Subtitle format: srt, vtt, ass, json or ndjson (--live only) (default: from the file extension, srt for standard input)', parseFormat)
+    .option('--output-dir <dir>', 'Directory for the output files (default: current directory)')
+    .option('--name <template>', 'Output file name template: {base}, {name}, {lang}, {.lang}, {ext} (default: {base}.ass)')
+    .option('-j, --jobs <n>', 'Number of files to convert in parallel, or "auto" for one per CPU core (default: 1)', parseJobs)
+    .option('-w, --watch', 'Keep running and regenerate outputs when the subtitle, theme or speaker files change')
+    .option('--live', 'Follow a growing subtitle file or standard input (srt, vtt or ndjson) and append the Dialogue lines of new cues as they arrive');
+addStyleOptions(program)
+    .option('--print-config', 'Print the resolved options and exit')
+    .option('-v, --verbose', 'Enable verbose logging')
+    .action(run);
 
-    // Create a clean options object with only the specified options
+program
+    .command('serve')
+    .description('Run a local HTTP server: POST /convert with subtitles returns the ASS; GET /health and /version')
+    .option('-p, --port <n>', 'Port to listen on (default: 3000)', parseInt)
+    .option('--host <address>', 'Address to listen on (default: 127.0.0.1)')
+    .option('--max-size <bytes>', `Largest request body accepted (default: ${DEFAULT_MAX_BYTES})`, parseInt)
+    .option('--preset <name>', 'Styling preset under the options of each request')
+    .option('--theme <file>', 'JSON or YAML theme file under the options of each request')
+    .option('-v, --verbose', 'Log every request')
+    .action(serve);
+
+const checkCommand = program
+    .command('check')
+    .description('Check subtitles for layout and timing problems without writing any output. Exits with 1 when an issue fails the check, 2 when a file can\'t be checked. Reading speed is checked against 20 characters per second unless --max-cps is given')
+    .argument('<inputs...>', 'Subtitle files, directories or glob patterns, or "-" for standard input, and optional video files for dimension detection')
+    .option('--format <format>', 'Subtitle format: srt, vtt, ass or json (default: from the file extension, srt for standard input)')
+    .option('--report <format>', 'Report format: table, json or junit (default: table)')
+    .option('--fail-on <severity>', 'Fail on issues of this severity or worse: error, warning, info or never (default: error)')
+    .option('-o, --output <file>', 'Write the report to a file instead of standard output')
+    // Exit code 1 means the check failed, so bad usage exits with 2
+    .exitOverride(err => process.exit(err.exitCode ? 2 : 0));
+addStyleOptions(checkCommand)
+    .option('-v, --verbose', 'Print the log of every file to standard error')
+    .action(check);
+
+/**
+ * Options for createRoundedAss() from the command line, holding only the options that
+ * were explicitly specified
+ *
+ * @param {Object} opts - Parsed command line options
+ * @returns {Object} - Options
+ */
+function commandLineOptions(opts) {
     const options = {};
     
-    // Only include options that were explicitly specified
     if (opts.font !== undefined) options.font = opts.font;
+    if (opts.fontFallback !== undefined) options.fontFallbacks = opts.fontFallback;
+    if (opts.language !== undefined) options.language = opts.language;
+    if (opts.missingFonts !== undefined) options.missingFonts = opts.missingFonts;
+    if (opts.embedFonts !== undefined) options.embedFonts = opts.embedFonts;
+    if (opts.bidi !== undefined) options.bidi = opts.bidi;
+    if (opts.secondary !== undefined) options.secondary = opts.secondary;
+    if (opts.bilingual !== undefined) options.bilingual = opts.bilingual;
+    if (opts.secondaryFont !== undefined) options.secondaryFont = opts.secondaryFont;
+    if (opts.secondaryFontSize !== undefined) options.secondaryFontSize = opts.secondaryFontSize;
+    if (opts.secondaryTextColor !== undefined) options.secondaryTextColor = opts.secondaryTextColor;
+    if (opts.secondaryBgColor !== undefined) options.secondaryBgColor = opts.secondaryBgColor;
     if (opts.fontSize !== undefined) options.fontSize = opts.fontSize;
     if (opts.textColor !== undefined) options.textColor = opts.textColor;
     if (opts.bgColor !== undefined) options.bgColor = opts.bgColor;
@@ -53,23 +226,469 @@ async function run() {
     if (opts.paddingX !== undefined) options.paddingX = opts.paddingX;
     if (opts.paddingY !== undefined) options.paddingY = opts.paddingY;
     if (opts.radius !== undefined) options.radius = opts.radius;
+    if (opts.shape !== undefined) options.shape = opts.shape;
+    if (opts.tailOffset !== undefined) options.tailOffset = opts.tailOffset;
+    if (opts.tailSize !== undefined) options.tailSize = opts.tailSize;
+    if (opts.speakerShape !== undefined) options.speakerShapes = opts.speakerShape;
+    if (opts.speakerStyles !== undefined) options.speakerStyles = opts.speakerStyles;
+    if (opts.speakerPalette !== undefined) options.speakerPalette = opts.speakerPalette;
+    if (opts.speakerLabels !== undefined) options.speakerLabels = opts.speakerLabels;
     if (opts.widthRatio !== undefined) options.widthRatio = opts.widthRatio;
     if (opts.marginBottom !== undefined) options.marginBottom = opts.marginBottom;
+    if (opts.boxMode !== undefined) options.boxMode = opts.boxMode;
+    if (opts.lineGap !== undefined) options.lineGap = opts.lineGap;
+    if (opts.maxWidthRatio !== undefined) options.maxWidthRatio = opts.maxWidthRatio;
+    if (opts.maxLines !== undefined) options.maxLines = opts.maxLines;
+    if (opts.wrap === false) options.wrap = false;
+    if (opts.stack === false) options.stackOverlaps = false;
+    if (opts.stackGap !== undefined) options.stackGap = opts.stackGap;
+    if (opts.skipStyles !== undefined) options.skipStyles = opts.skipStyles;
+    if (opts.highlight !== undefined) options.highlight = opts.highlight;
+    if (opts.highlightColor !== undefined) options.highlightColor = opts.highlightColor;
+    if (opts.boxOutline !== undefined) options.boxOutline = opts.boxOutline;
+    if (opts.boxOutlineColor !== undefined) options.boxOutlineColor = opts.boxOutlineColor;
+    if (opts.boxShadow !== undefined) options.boxShadow = opts.boxShadow;
+    if (opts.boxGradient !== undefined) options.boxGradient = opts.boxGradient;
+    if (opts.textOutline !== undefined) options.textOutline = opts.textOutline;
+    if (opts.textOutlineColor !== undefined) options.textOutlineColor = opts.textOutlineColor;
+    if (opts.textShadow !== undefined) options.textShadow = opts.textShadow;
+    if (opts.textShadowColor !== undefined) options.textShadowColor = opts.textShadowColor;
+    if (opts.layout !== undefined) options.layout = opts.layout;
+    if (opts.chunkWords !== undefined) options.chunkWords = opts.chunkWords;
+    if (opts.pop !== undefined) options.popIn = opts.pop;
+    if (opts.animationIn !== undefined) options.animationIn = opts.animationIn;
+    if (opts.animationOut !== undefined) options.animationOut = opts.animationOut;
+    if (opts.animationDuration !== undefined) options.animationDuration = opts.animationDuration;
+    if (opts.animateJoined !== undefined) options.animateJoined = opts.animateJoined;
+    if (opts.shift !== undefined) options.shift = opts.shift;
+    if (opts.retime !== undefined) options.retime = opts.retime;
+    if (opts.snapFrames !== undefined) options.snapFrames = opts.snapFrames;
+    if (opts.fps !== undefined) options.fps = opts.fps;
+    if (opts.minDuration !== undefined) options.minDuration = opts.minDuration;
+    if (opts.minGap !== undefined) options.minGap = opts.minGap;
+    if (opts.maxCps !== undefined) options.maxCps = opts.maxCps;
+    if (opts.chainThreshold !== undefined) options.chainThreshold = opts.chainThreshold;
+    if (opts.encoding !== undefined) options.encoding = opts.encoding;
     
     // Pass the verbose flag
     options.verbose = !!opts.verbose;
-    
-    // Pass the subtitle format
-    options.subtitleFormat = fileExt.slice(1); // Remove the dot from extension
+
+    return options;
+}
+
+/**
+ * Resolve the options of every job. Command line options win over the theme file, which
+ * wins over the preset; the theme file is looked up next to each input.
+ *
+ * @param {Array<Object>} jobs - Jobs from planJobs()
+ * @param {Object} opts - Parsed command line options
+ * @returns {Array<Object>} - Jobs with their options and themeFile
+ */
+function resolveJobs(jobs, opts) {
+    const options = commandLineOptions(opts);
+    if (opts.speakers !== undefined) {
+        options.speakers = loadSpeakerFile(opts.speakers);
+    }
+
+    const warnings = new Set();
+    const resolved = jobs.map(job => {
+        const config = resolveOptions({
+            options: {
+                ...options,
+                // Remove the dot from extension
+                subtitleFormat: opts.format || path.extname(job.subtitleFile).toLowerCase().slice(1)
+            },
+            preset: opts.preset,
+            theme: opts.theme,
+            inputPath: job.subtitleFile
+        });
+        config.warnings.forEach(warning => warnings.add(warning));
+        return { ...job, options: config.options, config };
+    });
+
+    warnings.forEach(warning => console.warn(warning));
+    return resolved;
+}
+
+/**
+ * Convert the jobs and report. A single file reports as before; several get a summary table.
+ *
+ * @param {Array<Object>} jobs - Jobs with options
+ * @param {Object} opts - Parsed command line options
+ * @returns {Promise<boolean>} - True if every job succeeded
+ */
+async function convert(jobs, opts) {
+    const single = jobs.length === 1;
+    const results = await runJobs(
+        jobs.map(({ config, ...job }) => job),
+        {
+            workers: opts.jobs || 1,
+            onResult: result => {
+                if (single) {
+                    if (result.ok) console.log(`ASS file created: ${result.job.outputFile}`);
+                    else console.error(`Error: ${result.error}`);
+                } else if (opts.verbose) {
+                    console.log(`${result.ok ? 'Created' : 'Failed'}: ${result.ok ? result.job.outputFile : `${result.job.subtitleFile}: ${result.error}`}`);
+                }
+            }
+        }
+    );
+
+    if (!single) {
+        console.log(formatSummary(results));
+    }
+    return results.every(result => result.ok);
+}
+
+/**
+ * Regenerate outputs when their subtitle file changes, and all of them when a theme or
+ * speaker file changes. Runs until interrupted.
+ *
+ * @param {Array<Object>} jobs - Jobs from planJobs()
+ * @param {Object} opts - Parsed command line options
+ */
+function watch(jobs, opts) {
+    let shared = [];
+    let stop = () => {};
+    let running = Promise.resolve();
+
+    const start = () => {
+        try {
+            const themeFiles = resolveJobs(jobs, opts).map(job => job.config.themeFile);
+            shared = [...new Set([...themeFiles, opts.speakers].filter(Boolean).map(file => path.resolve(file)))];
+        } catch (err) {
+            // Keep watching the files we had until the broken one is fixed
+        }
+        if (opts.secondary) {
+            shared = [...new Set([...shared, path.resolve(opts.secondary)])];
+        }
+        stop = watchFiles([...jobs.map(job => job.subtitleFile), ...shared], changed => {
+            running = running.then(async () => {
+                const everything = changed.some(file => shared.includes(file));
+                const affected = everything ? jobs : jobs.filter(job => changed.includes(path.resolve(job.subtitleFile)));
+                console.log(`\nChanged: ${changed.map(file => path.relative(process.cwd(), file)).join(', ')}`);
+                try {
+                    await convert(resolveJobs(affected, opts), opts);
+                } catch (err) {
+                    console.error(`Error: ${err.message}`);
+                }
+                // A theme file may have been added or removed next to the inputs
+                stop();
+                start();
+            });
+        });
+    };
+
+    start();
+    console.log(`Watching ${jobs.length} subtitle file${jobs.length === 1 ? '' : 's'} for changes. Press Ctrl+C to stop.`);
+}
+
+/**
+ * Print the resolved options for --print-config; with -v, also where each one came from
+ *
+ * @param {Object} config - Result of resolveOptions()
+ * @param {Object} opts - Parsed command line options
+ */
+function printConfig(config, opts) {
+    console.log(JSON.stringify(config.resolved, null, 2));
+    if (opts.verbose) {
+        console.error(`Theme file: ${config.themeFile || 'none'}`);
+        console.error(`Preset: ${config.preset || 'none'}`);
+        Object.keys(config.sources).forEach(key => console.error(`- ${key}: ${config.sources[key]}`));
+    }
+}
+
+/**
+ * Convert a single subtitle file or standard input ("-") for a pipeline: the ASS goes to
+ * standard output unless -o names a file, and every message goes to standard error.
+ *
+ * @param {Array<string>} inputs - The subtitle file or "-", and an optional video file
+ * @param {Object} opts - Parsed command line options
+ */
+async function convertStream(inputs, opts) {
+    if (inputs.length > 2) {
+        throw new Error('Standard input and output take one subtitle file (or "-") and an optional video file.');
+    }
+    if (opts.watch) {
+        throw new Error('--watch needs subtitle files, not standard input or output.');
+    }
+
+    const [source, videoFile] = inputs;
+    const fromStdin = source === '-';
+    const format = opts.format || (fromStdin ? 'srt' : path.extname(source).toLowerCase().slice(1));
+    const options = commandLineOptions(opts);
+    if (opts.speakers !== undefined) {
+        options.speakers = loadSpeakerFile(opts.speakers);
+    }
+
+    const config = resolveOptions({
+        options: { ...options, subtitleFormat: format },
+        preset: opts.preset,
+        theme: opts.theme,
+        inputPath: fromStdin ? undefined : source
+    });
+    config.warnings.forEach(warning => console.warn(warning));
+    if (opts.printConfig) {
+        printConfig(config, opts);
+        return;
+    }
+
+    const logger = new Logger(opts.verbose, { log: console.error, warn: console.warn, error: console.error });
+    const video = await probeVideo(videoFile, config.options, logger);
+    const { secondary, ...renderOptions } = config.options;
+    const result = renderRoundedAss({
+        ...renderOptions,
+        input: fromStdin ? fs.readFileSync(process.stdin.fd) : fs.readFileSync(source),
+        format,
+        width: video.width,
+        height: video.height,
+        fps: video.fps,
+        secondary: secondary ? fs.readFileSync(secondary) : undefined,
+        secondaryFormat: secondary ? path.extname(secondary).toLowerCase().slice(1) : undefined,
+        logger
+    });
+
+    if (!opts.output || opts.output === '-') {
+        process.stdout.write(result.ass);
+    } else {
+        fs.writeFileSync(opts.output, result.ass, 'utf8');
+        console.error(`ASS file created: ${opts.output}`);
+    }
+}
+
+/**
+ * Follow a growing subtitle file, or standard input ("-"), and write the ASS as cues arrive:
+ * the header first, then the Dialogue lines of what can no longer change. The rest is
+ * written when the input ends or on Ctrl+C.
+ *
+ * @param {Array<string>} inputs - The subtitle file or "-", and an optional video file
+ * @param {Object} opts - Parsed command line options
+ */
+async function convertLive(inputs, opts) {
+    if (inputs.length > 2) {
+        throw new Error('--live takes one subtitle file (or "-") and an optional video file.');
+    }
+    if (opts.watch || opts.secondary) {
+        throw new Error('--live can\'t be combined with --watch or --secondary.');
+    }
+
+    const [source, videoFile] = inputs;
+    const fromStdin = source === '-';
+    const extension = fromStdin ? '' : path.extname(source).toLowerCase().slice(1);
+    const format = opts.format || (['ndjson', 'jsonl'].includes(extension) ? 'ndjson' : extension || 'srt');
+    const options = commandLineOptions(opts);
+    if (opts.speakers !== undefined) {
+        options.speakers = loadSpeakerFile(opts.speakers);
+    }
+
+    const config = resolveOptions({
+        options: { ...options, subtitleFormat: format },
+        preset: opts.preset,
+        theme: opts.theme,
+        inputPath: fromStdin ? undefined : source
+    });
+    config.warnings.forEach(warning => console.warn(warning));
+    if (opts.printConfig) {
+        printConfig(config, opts);
+        return;
+    }
+
+    const logger = new Logger(opts.verbose, { log: console.error, warn: console.warn, error: console.error });
+    const video = await probeVideo(videoFile, config.options, logger);
+    const reader = createCueReader(format, { encoding: config.options.encoding, logger });
+    const renderer = createLiveRenderer({ ...config.options, width: video.width, height: video.height, fps: video.fps, logger });
+
+    const toFile = opts.output && opts.output !== '-';
+    if (toFile) {
+        fs.writeFileSync(opts.output, '', 'utf8');
+    }
+    const write = text => {
+        if (!text) {
+            return;
+        }
+        if (toFile) {
+            fs.appendFileSync(opts.output, text, 'utf8');
+        } else {
+            process.stdout.write(text);
+        }
+    };
+    // A bad batch is reported and skipped; the stream goes on
+    const guarded = step => {
+        try {
+            write(step());
+        } catch (err) {
+            console.error(`Error: ${err.message}`);
+        }
+    };
+    const push = chunk => guarded(() => renderer.push(reader.write(chunk)));
+    const finish = () => {
+        guarded(() => renderer.push(reader.end()));
+        guarded(() => renderer.flush());
+    };
+
+    if (fromStdin) {
+        process.stdin.on('data', push);
+        process.stdin.on('end', finish);
+        return;
+    }
+
+    const stop = tailFile(source, push, {
+        onReset: () => console.warn(`${source} was truncated; reading it again from the start.`)
+    });
+    console.error(`Following ${source}${toFile ? ` into ${opts.output}` : ''}. Press Ctrl+C to stop.`);
+    process.on('SIGINT', () => {
+        stop();
+        finish();
+        process.exit(0);
+    });
+}
+
+/**
+ * Run the conversion server until interrupted
+ *
+ * @param {Object} serveOpts - Parsed options of the serve command
+ */
+function serve(serveOpts) {
+    const port = serveOpts.port !== undefined ? serveOpts.port : 3000;
+    const host = serveOpts.host || '127.0.0.1';
+    const server = createServer({
+        maxBytes: serveOpts.maxSize || DEFAULT_MAX_BYTES,
+        preset: serveOpts.preset,
+        theme: serveOpts.theme,
+        log: serveOpts.verbose ? message => console.log(message) : undefined
+    });
+
+    server.on('error', err => {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    });
+    server.listen(port, host, () => {
+        console.log(`Listening on http://${host}:${server.address().port} (POST /convert, GET /health, GET /version). Press Ctrl+C to stop.`);
+    });
+}
+
+/**
+ * Check subtitle files, or standard input ("-"), and report the issues found. No ASS is
+ * written; the exit code says whether the check passed.
+ *
+ * @param {Array<string>} inputs - Subtitle files, directories, glob patterns or "-", and video files
+ * @param {Object} checkOpts - Parsed options of the check command
+ */
+async function check(inputs, checkOpts) {
+    try {
+        const reportFormat = parseReportFormat(checkOpts.report || 'table');
+        const failOn = parseFailOn(checkOpts.failOn || 'error');
+        const format = checkOpts.format && checkOpts.format.trim().toLowerCase();
+        if (format && !SUBTITLE_FORMATS.includes(format)) {
+            throw new Error(`Invalid format "${checkOpts.format}". Use ${SUBTITLE_FORMATS.filter(name => name !== 'ndjson').join(', ')}`);
+        }
+        if (format === 'ndjson') {
+            throw new Error('ndjson input is read with --live and can\'t be checked.');
+        }
+        checkOpts = { ...checkOpts, format };
+
+        let jobs;
+        if (inputs.includes('-')) {
+            if (inputs.length > 2) {
+                throw new Error('Standard input takes one subtitle file ("-") and an optional video file.');
+            }
+            const options = commandLineOptions(checkOpts);
+            if (checkOpts.speakers !== undefined) options.speakers = loadSpeakerFile(checkOpts.speakers);
+            const config = resolveOptions({
+                options: { ...options, subtitleFormat: checkOpts.format || 'srt' },
+                preset: checkOpts.preset,
+                theme: checkOpts.theme
+            });
+            config.warnings.forEach(warning => console.warn(warning));
+            jobs = [{ subtitleFile: '-', videoFile: inputs.find(input => input !== '-'), options: config.options }];
+        } else {
+            jobs = resolveJobs(planJobs(inputs), checkOpts);
+        }
+        if (checkOpts.secondary && jobs.length > 1) {
+            throw new Error(`--secondary takes a single subtitle file; got ${jobs.length}.`);
+        }
+
+        // One file at a time: measuring is synchronous, and a file that fails doesn't stop the rest
+        const reports = [];
+        for (const job of jobs) {
+            const file = job.subtitleFile === '-' ? 'stdin' : job.subtitleFile;
+            const logger = new Logger(checkOpts.verbose, checkOpts.verbose ? { log: console.error, warn: console.error, error: console.error } : null);
+            try {
+                const video = await probeVideo(job.videoFile, job.options, logger);
+                const { secondary, subtitleFormat, ...options } = job.options;
+                const result = checkSubtitles({
+                    ...options,
+                    input: job.subtitleFile === '-' ? fs.readFileSync(process.stdin.fd) : fs.readFileSync(job.subtitleFile),
+                    format: subtitleFormat,
+                    width: video.width,
+                    height: video.height,
+                    fps: video.fps,
+                    secondary: secondary ? fs.readFileSync(secondary) : undefined,
+                    secondaryFormat: secondary ? path.extname(secondary).toLowerCase().slice(1) : undefined,
+                    logger
+                });
+                reports.push({ file, issues: result.issues, stats: result.stats });
+            } catch (err) {
+                reports.push({ file, error: err.message });
+            }
+        }
+
+        const report = formatReport(reports, reportFormat, { failOn });
+        if (checkOpts.output) {
+            fs.writeFileSync(checkOpts.output, `${report}\n`, 'utf8');
+        } else {
+            process.stdout.write(`${report}\n`);
+        }
+        // Set rather than exit, so a long report piped elsewhere is written in full
+        process.exitCode = exitCode(reports, failOn);
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(2);
+    }
+}
+
+async function run() {
+    const opts = program.opts();
 
     try {
-        await createRoundedAss(subtitleFile, videoFile, outputFile, options);
-        console.log(`ASS file created: ${outputFile}`);
+        if (opts.live) {
+            await convertLive(program.args, opts);
+            return;
+        }
+        if (opts.format === 'ndjson') {
+            throw new Error('ndjson input is read with --live.');
+        }
+        if (program.args.includes('-') || opts.output === '-') {
+            await convertStream(program.args, opts);
+            return;
+        }
+
+        const jobs = planJobs(program.args, { output: opts.output, outputDir: opts.outputDir, name: opts.name });
+        if (opts.secondary && jobs.length > 1) {
+            throw new Error(`--secondary takes a single subtitle file; got ${jobs.length}.`);
+        }
+
+        if (opts.printConfig) {
+            const [{ config }] = resolveJobs(jobs.slice(0, 1), opts);
+            printConfig(config, opts);
+            return;
+        }
+
+        if (opts.outputDir) {
+            fs.mkdirSync(opts.outputDir, { recursive: true });
+        }
+
+        const ok = await convert(resolveJobs(jobs, opts), opts);
+        if (opts.watch) {
+            watch(jobs, opts);
+        } else if (!ok) {
+            process.exit(1);
+        }
     } catch (err) {
         console.error(`Error: ${err.message}`);
         process.exit(1);
     }
 }
 
-run();
+program.parseAsync(process.argv);
 
@@ -0,0 +1,336 @@
+/**
+ * Type definitions for rounded-ass
+ */
+
+export type BoxMode = 'block' | 'lines' | 'joined';
+export type Shape = 'rounded' | 'pill' | 'squircle' | 'bubble' | 'bubble-left' | 'bubble-right' | 'bubble-down';
+export type HighlightMode = 'none' | 'color' | 'karaoke' | 'pill';
+export type Layout = 'auto' | 'standard' | 'shorts';
+export type Animation = 'none' | 'fade' | 'pop' | 'slide';
+export type MissingFontMode = 'warn' | 'error' | 'ignore';
+export type BidiMode = 'auto' | 'rtl' | 'ltr' | 'off';
+export type BilingualLayout = 'stack' | 'split' | 'merge';
+export type SubtitleFormat = 'srt' | 'vtt' | 'json' | 'ass';
+
+/** Seconds as a number, or a string such as '-200ms' or '00:00:01,500' */
+export type TimeValue = number | string;
+
+/** Per-speaker colours, alignment and label */
+export interface SpeakerStyle {
+    textColor?: string;
+    bgColor?: string;
+    align?: 'left' | 'center' | 'right';
+    label?: boolean | string;
+}
+
+/** Styling and timing options, shared by the CLI, theme files and the API */
+export interface RoundedAssOptions {
+    font?: string;
+    fontSize?: number;
+    textColor?: string;
+    bgColor?: string;
+    opacity?: number | string;
+    paddingX?: number;
+    paddingY?: number;
+    radius?: number | string | number[];
+    shape?: Shape;
+    tailOffset?: number;
+    tailSize?: number;
+    speakerShapes?: Record<string, Shape | { shape: Shape; tailOffset?: number; tailSize?: number }>;
+    speakerStyles?: boolean;
+    speakers?: Record<string, string | SpeakerStyle>;
+    speakerPalette?: string | string[];
+    speakerLabels?: boolean;
+    widthRatio?: number;
+    marginBottom?: number;
+    marginSide?: number;
+    boxMode?: BoxMode;
+    lineGap?: number;
+    minWidthRatio?: number;
+    maxWidthRatio?: number;
+    maxLines?: number;
+    wrap?: boolean;
+    lineSpacing?: number;
+    widthCorrection?: number;
+    tightFit?: boolean;
+    disableMinWidth?: boolean;
+    stackOverlaps?: boolean;
+    stackGap?: number;
+    skipStyles?: string | string[];
+    highlight?: HighlightMode;
+    highlightColor?: string;
+    layout?: Layout;
+    chunkWords?: number;
+    popIn?: boolean;
+    animationIn?: Animation;
+    animationOut?: Animation;
+    animationDuration?: number;
+    animateJoined?: boolean;
+    boxOutline?: number;
+    boxOutlineColor?: string;
+    boxShadow?: string;
+    boxGradient?: string;
+    textOutline?: number;
+    textOutlineColor?: string;
+    textShadow?: number;
+    textShadowColor?: string;
+    shift?: TimeValue;
+    retime?: string;
+    snapFrames?: boolean;
+    fps?: number | string;
+    minDuration?: TimeValue;
+    minGap?: TimeValue;
+    maxCps?: number;
+    chainThreshold?: TimeValue;
+    encoding?: string;
+    fontFallbacks?: Record<string, string | string[]>;
+    language?: string;
+    missingFonts?: MissingFontMode;
+    embedFonts?: boolean;
+    bidi?: BidiMode;
+    bilingual?: BilingualLayout;
+    secondaryFont?: string;
+    secondaryFontSize?: number;
+    secondaryTextColor?: string;
+    secondaryBgColor?: string;
+    verbose?: boolean;
+}
+
+/** Options of the file-based API */
+export interface CreateRoundedAssOptions extends RoundedAssOptions {
+    subtitleFormat?: SubtitleFormat;
+    /** Path of a secondary subtitle file (SRT, VTT or word-timed JSON) */
+    secondary?: string;
+}
+
+/** A timed word of a word-timed cue */
+export interface Word {
+    text: string;
+    start: number;
+    end: number;
+}
+
+/** A cue given directly; times in seconds */
+export interface Cue {
+    start: number;
+    end: number;
+    /** Text with SRT/VTT markup; newlines break lines */
+    text: string;
+    /** VTT cue settings, e.g. 'line:10% align:start' */
+    settings?: string;
+    speaker?: string;
+    words?: Word[];
+}
+
+/** Console-like object that receives the messages of a render */
+export interface LoggerOutput {
+    log?(message: string): void;
+    warn?(message: string): void;
+    error?(message: string): void;
+}
+
+export class Logger {
+    constructor(verbose?: boolean, output?: LoggerOutput | null);
+    verbose: boolean;
+    output: LoggerOutput | null;
+    /** Every warning logged so far */
+    warnings: string[];
+    /** Every issue recorded so far */
+    issues: Issue[];
+    log(message: string): void;
+    warn(message: string): void;
+    error(message: string): void;
+    info(message: string): void;
+    /** Record an issue without printing it */
+    issue(type: IssueType, severity: Severity, message: string, details?: Partial<Issue>): void;
+}
+
+/** Buffers are Uint8Arrays, so Node's Buffer works without @types/node */
+export type SubtitleInput = string | Uint8Array | Cue[];
+
+export interface RenderParams extends RoundedAssOptions {
+    /** Subtitle text, raw file bytes (the encoding is detected) or cues */
+    input: SubtitleInput;
+    /** Defaults to 'cues' for arrays, else 'srt' */
+    format?: SubtitleFormat | 'cues';
+    /** Video width; defaults to 1920 */
+    width?: number;
+    /** Video height; defaults to 1080 */
+    height?: number;
+    /** Secondary subtitles shown with the main ones */
+    secondary?: SubtitleInput;
+    secondaryFormat?: 'srt' | 'vtt' | 'json' | 'cues';
+    /** Logger, or a console-like object for the messages; defaults to the console */
+    logger?: Logger | LoggerOutput;
+    /** Print nothing; warnings are still returned */
+    silent?: boolean;
+    /** Only write what is shown in this time range, in seconds */
+    range?: { start: number; end: number };
+    /** Report cues faster than this many characters per second, without extending them as maxCps does */
+    reportCps?: number;
+}
+
+/** A dialogue event of the generated script; times in seconds */
+export interface AssEvent {
+    layer: number;
+    start: number;
+    end: number;
+    style: string;
+    name: string;
+    marginL: number;
+    marginR: number;
+    marginV: number;
+    effect: string;
+    text: string;
+}
+
+/** A background box, in video pixels; times in seconds */
+export interface Box {
+    /** Position of the cue (or boxed event for ASS input), from 0 */
+    index: number;
+    start: number;
+    end: number;
+    left: number;
+    top: number;
+    width: number;
+    height: number;
+    fontSize?: number;
+    /** Visible text, with newlines between lines */
+    text: string;
+}
+
+export interface RenderStats {
+    /** Cues rendered, or dialogue events read for ASS input */
+    cues: number;
+    events: number;
+    boxes: number;
+    /** Texts measured with ass-measure */
+    measured: number;
+    measureCalls: number;
+    cacheHits: number;
+}
+
+export type Severity = 'error' | 'warning' | 'info';
+export type IssueType =
+    | 'overlong-line'
+    | 'box-clipped'
+    | 'box-moved'
+    | 'font-size-reduced'
+    | 'cps'
+    | 'overlap'
+    | 'empty-cue'
+    | 'encoding'
+    | 'missing-font'
+    | 'fonts-unchecked';
+
+/** A problem with the input or the layout */
+export interface Issue {
+    type: IssueType;
+    severity: Severity;
+    message: string;
+    /** Number of the cue, from 1; missing for issues of the whole input */
+    cue?: number;
+    /** Start of the cue, in seconds */
+    start?: number;
+    fontSize?: number;
+    font?: string;
+    encoding?: string;
+}
+
+export interface RenderResult {
+    ass: string;
+    events: AssEvent[];
+    boxes: Box[];
+    warnings: string[];
+    issues: Issue[];
+    stats: RenderStats;
+}
+
+export function renderRoundedAss(params: RenderParams): RenderResult;
+
+export interface LiveRendererOptions extends RoundedAssOptions {
+    width?: number;
+    height?: number;
+    logger?: Logger | LoggerOutput;
+    silent?: boolean;
+}
+
+/** Lays out cues as they arrive; both methods return ASS text to append */
+export interface LiveRenderer {
+    /** Header on the first call, then the Dialogue lines that can no longer change */
+    push(cues: Cue[]): string;
+    /** Dialogue lines of everything still waiting, at the end of the stream */
+    flush(): string;
+}
+
+export function createLiveRenderer(options?: LiveRendererOptions): LiveRenderer;
+
+/** Splits incoming bytes into complete cues */
+export interface CueReader {
+    write(chunk: Uint8Array): Cue[];
+    end(): Cue[];
+}
+
+export function createCueReader(
+    format: 'srt' | 'vtt' | 'ndjson',
+    params?: { encoding?: string; logger?: Logger }
+): CueReader;
+
+export interface CheckResult {
+    /** Ordered by time; issues of the whole input come first */
+    issues: Issue[];
+    stats: RenderStats;
+}
+
+/** Lays out subtitles like renderRoundedAss(), silently, and returns the issues found */
+export function checkSubtitles(params: RenderParams): CheckResult;
+
+/** The check of one file; error is set when it could not be checked */
+export interface CheckReport {
+    file: string;
+    issues?: Issue[];
+    stats?: RenderStats;
+    error?: string;
+}
+
+export type FailOn = Severity | 'never';
+
+export function formatReport(reports: CheckReport[], format: 'table' | 'json' | 'junit', params?: { failOn?: FailOn }): string;
+
+/** 2 if a file could not be checked, 1 if an issue is at least as severe as failOn, else 0 */
+export function exitCode(reports: CheckReport[], failOn: FailOn): 0 | 1 | 2;
+
+export function createRoundedAss(
+    subtitlePath: string,
+    videoPath: string | null | undefined,
+    outputPath: string,
+    options?: CreateRoundedAssOptions
+): Promise<string>;
+
+export const DEFAULT_OPTIONS: Readonly<RoundedAssOptions>;
+
+export const PRESETS: Readonly<Record<string, RoundedAssOptions>>;
+
+export function loadThemeFile(filePath: string): RoundedAssOptions;
+
+export function findRcFile(inputPath?: string): string | null;
+
+export interface ResolvedOptions {
+    /** Options to pass to createRoundedAss or renderRoundedAss, defaults left out */
+    options: CreateRoundedAssOptions;
+    /** Options including the defaults */
+    resolved: CreateRoundedAssOptions;
+    /** Where each resolved value came from */
+    sources: Record<string, string>;
+    preset: string | null;
+    themeFile: string | null;
+    warnings: string[];
+}
+
+export function resolveOptions(params?: {
+    options?: CreateRoundedAssOptions;
+    preset?: string;
+    theme?: string;
+    inputPath?: string;
+    rcFile?: boolean;
+}): ResolvedOptions;
@@ -1,4 +1,20 @@
-const { createRoundedAss } = require('./lib/roundedAss');
-
-module.exports = { createRoundedAss };
+const { createRoundedAss, renderRoundedAss, Logger } = require('./lib/roundedAss');
+const { createLiveRenderer, createCueReader } = require('./lib/live');
+const { checkSubtitles, formatReport, exitCode } = require('./lib/check');
+const { DEFAULT_OPTIONS, PRESETS, loadThemeFile, findRcFile, resolveOptions } = require('./lib/config');
 
+module.exports = {
+    createRoundedAss,
+    renderRoundedAss,
+    Logger,
+    createLiveRenderer,
+    createCueReader,
+    checkSubtitles,
+    formatReport,
+    exitCode,
+    DEFAULT_OPTIONS,
+    PRESETS,
+    loadThemeFile,
+    findRcFile,
+    resolveOptions
+};
@@ -0,0 +1,135 @@
+/**
+ * Enter and exit animations, applied alike to the boxes and the text of a cue
+ */
+
+/**
+ * Supported animations:
+ * - none: appear and disappear on the cue boundaries
+ * - fade: fade in or out (\fad)
+ * - pop: scale up from POP_SCALE when entering, shrink and fade when leaving (\t with \fscx/\fscy)
+ * - slide: slide up into place and fade in, slide further up and fade out (\move)
+ */
+const ANIMATIONS = ['none', 'fade', 'pop', 'slide'];
+
+/**
+ * Duration (ms) of each animation unless one is given
+ */
+const ANIMATION_DURATIONS = { none: 0, fade: 200, pop: 120, slide: 200 };
+
+/**
+ * Starting (or final) scale of the pop animation, in percent
+ */
+const POP_SCALE = 70;
+
+/**
+ * An animation takes at most this share of its cue, at each end
+ */
+const MAX_CUE_SHARE = 1 / 3;
+
+/**
+ * Animations that would be shorter than this (ms) after clamping are left out
+ */
+const MIN_DURATION = 40;
+
+/**
+ * Check an animation name
+ *
+ * @param {string} value - Animation name
+ * @param {string} label - What the animation is for, used in the error message
+ * @returns {string} - The animation name
+ */
+function parseAnimation(value, label = 'animation') {
+    const name = String(value).trim().toLowerCase();
+    if (!ANIMATIONS.includes(name)) {
+        throw new Error(`Unknown ${label} "${value}". Expected one of: ${ANIMATIONS.join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * Work out the animations of one cue. Each one is clamped to a third of the cue, and
+ * left out when that leaves less than MIN_DURATION.
+ *
+ * @param {Object} params - Cue and animation settings
+ * @param {number} params.start - Cue start (seconds)
+ * @param {number} params.end - Cue end (seconds)
+ * @param {string} params.enter - Enter animation name
+ * @param {string} params.exit - Exit animation name
+ * @param {number|undefined} params.duration - Duration (ms) of both; defaults per animation
+ * @param {number} params.distance - How far (px) the slide animation travels
+ * @returns {Object} - { start, end, enter, exit, distance } where enter and exit are
+ *                     { type, duration } or null
+ */
+function cueAnimation({ start, end, enter = 'none', exit = 'none', duration, distance = 0 }) {
+    const longest = Math.floor((end - start) * 1000 * MAX_CUE_SHARE);
+    const plan = type => {
+        if (type === 'none') {
+            return null;
+        }
+        const clamped = Math.min(duration !== undefined ? duration : ANIMATION_DURATIONS[type], longest);
+        return clamped >= MIN_DURATION ? { type, duration: Math.round(clamped) } : null;
+    };
+
+    return { start, end, enter: plan(enter), exit: plan(exit), distance: Math.round(distance) };
+}
+
+/**
+ * Override tags and position of one event of an animated cue. A cue may be shown as
+ * several events (word highlights, stacking moves): the enter animation only plays in
+ * the event that starts with the cue, and the exit animation in the one that ends it.
+ * An event has a single \move, so a cue that slides in leaves by fading only.
+ *
+ * @param {Object|null} animation - Result of cueAnimation(), or null for none
+ * @param {number} eventStart - Event start (seconds)
+ * @param {number} eventEnd - Event end (seconds)
+ * @returns {Object} - { tags, position } where position(x, y) returns \pos or \move
+ */
+function eventAnimation(animation, eventStart, eventEnd) {
+    const enter = animation && animation.enter && eventStart === animation.start ? animation.enter : null;
+    const exit = animation && animation.exit && eventEnd === animation.end ? animation.exit : null;
+    const length = Math.round((eventEnd - eventStart) * 1000);
+
+    const fadeIn = enter && enter.type !== 'pop' ? enter.duration : 0;
+    const fadeOut = exit ? exit.duration : 0;
+    let tags = fadeIn || fadeOut ? `\\fad(${fadeIn},${fadeOut})` : '';
+
+    if (enter && enter.type === 'pop') {
+        tags += `\\fscx${POP_SCALE}\\fscy${POP_SCALE}\\t(0,${enter.duration},\\fscx100\\fscy100)`;
+    }
+    if (exit && exit.type === 'pop') {
+        tags += `\\t(${length - exit.duration},${length},\\fscx${POP_SCALE}\\fscy${POP_SCALE})`;
+    }
+
+    const { distance } = animation || {};
+    const position = (x, y) => {
+        if (enter && enter.type === 'slide') {
+            return `\\move(${x},${y + distance},${x},${y},0,${enter.duration})`;
+        }
+        if (exit && exit.type === 'slide') {
+            return `\\move(${x},${y},${x},${y - distance},${length - exit.duration},${length})`;
+        }
+        return `\\pos(${x},${y})`;
+    };
+
+    return { tags, position };
+}
+
+/**
+ * Whether an animation moves the cue, so that anything clipped to fixed coordinates
+ * (gradient bands) would be left behind
+ *
+ * @param {Object|null} animation - Result of cueAnimation()
+ * @returns {boolean} - True if the cue slides
+ */
+function animationMoves(animation) {
+    return !!animation && [animation.enter, animation.exit].some(step => step && step.type === 'slide');
+}
+
+module.exports = {
+    ANIMATIONS,
+    ANIMATION_DURATIONS,
+    parseAnimation,
+    cueAnimation,
+    eventAnimation,
+    animationMoves
+};
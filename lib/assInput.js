@@ -0,0 +1,244 @@
+/**
+ * Reading existing ASS scripts: sections, styles, events and where libass places each line
+ */
+
+/**
+ * Default resolution libass assumes when a script has no PlayResX/PlayResY
+ */
+const DEFAULT_PLAY_RES = { width: 384, height: 288 };
+
+/**
+ * Parse the comma-separated values of a Format-driven line. The last field (Text for
+ * events) may itself contain commas.
+ *
+ * @param {string} value - Everything after "Dialogue:" or "Style:"
+ * @param {Array<string>} format - Field names from the section's Format line
+ * @returns {Object} - Field name to value
+ */
+function parseFormattedLine(value, format) {
+    const parts = value.split(',');
+    const fields = {};
+
+    format.forEach((name, i) => {
+        fields[name] = i === format.length - 1
+            ? parts.slice(i).join(',')
+            : (parts[i] || '').trim();
+    });
+
+    return fields;
+}
+
+/**
+ * Parse an ASS script, keeping the raw lines so it can be written back unchanged
+ *
+ * @param {string} content - ASS file content
+ * @returns {Object} - { lines, scriptInfo, styleFormat, styles, stylesEnd, eventFormat, events }
+ */
+function parseAss(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const parsed = {
+        lines,
+        scriptInfo: {},
+        styleFormat: [],
+        styles: [],
+        stylesEnd: -1,
+        eventFormat: [],
+        events: []
+    };
+
+    let section = null;
+
+    lines.forEach((line, lineIndex) => {
+        const trimmed = line.trim();
+
+        const header = trimmed.match(/^\[(.+)\]$/);
+        if (header) {
+            section = header[1].toLowerCase();
+            return;
+        }
+
+        if (!trimmed || trimmed.startsWith(';')) {
+            return;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator < 0) {
+            return;
+        }
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).replace(/^ /, '');
+
+        if (section === 'script info') {
+            parsed.scriptInfo[key] = value.trim();
+        } else if (section === 'v4+ styles' || section === 'v4 styles') {
+            if (key === 'Format') {
+                parsed.styleFormat = value.split(',').map(name => name.trim());
+            } else if (key === 'Style') {
+                const fields = parseFormattedLine(value, parsed.styleFormat);
+                parsed.styles.push({ name: fields.Name, fields, lineIndex });
+            }
+            parsed.stylesEnd = lineIndex;
+        } else if (section === 'events') {
+            if (key === 'Format') {
+                parsed.eventFormat = value.split(',').map(name => name.trim());
+            } else if (key === 'Dialogue' || key === 'Comment') {
+                parsed.events.push({ type: key, fields: parseFormattedLine(value, parsed.eventFormat), lineIndex });
+            }
+        }
+    });
+
+    return parsed;
+}
+
+/**
+ * Resolve the script resolution the way libass does when one of the values is missing
+ *
+ * @param {Object} scriptInfo - [Script Info] key/values
+ * @returns {Object} - { width, height }
+ */
+function getPlayRes(scriptInfo) {
+    let width = parseInt(scriptInfo.PlayResX, 10);
+    let height = parseInt(scriptInfo.PlayResY, 10);
+
+    if (!width && !height) {
+        return { ...DEFAULT_PLAY_RES };
+    }
+    if (!height) {
+        height = width === 1280 ? 1024 : Math.round(width * 3 / 4);
+    }
+    if (!width) {
+        width = height === 1024 ? 1280 : Math.round(height * 4 / 3);
+    }
+
+    return { width, height };
+}
+
+/**
+ * Find the first occurrence of an override tag with numeric arguments
+ *
+ * @param {string} text - Event text
+ * @param {string} tag - Tag name, e.g. 'pos' or 'move'
+ * @returns {Array<number>|null} - Tag arguments
+ */
+function findTagArguments(text, tag) {
+    const match = text.match(new RegExp(`\\{[^}]*\\\\${tag}\\(([^)]*)\\)`));
+    if (!match) {
+        return null;
+    }
+    return match[1].split(',').map(value => parseFloat(value));
+}
+
+/**
+ * Work out where libass anchors an event: its numpad alignment and either a fixed
+ * anchor point or a \move path.
+ *
+ * @param {Object} event - Parsed event
+ * @param {Object} style - Parsed style of the event
+ * @param {Object} playRes - Script resolution
+ * @param {number|null} alignmentOverride - Alignment from an \an/\a tag, if any
+ * @returns {Object} - { alignment, x, y, move } where move is [x1, y1, x2, y2, t1?, t2?] or null
+ */
+function getEventAnchor(event, style, playRes, alignmentOverride) {
+    const alignment = alignmentOverride || parseInt(style.fields.Alignment, 10) || 2;
+    const { Text: text } = event.fields;
+
+    const pos = findTagArguments(text, 'pos');
+    const move = findTagArguments(text, 'move');
+
+    if (move && move.length >= 4) {
+        return { alignment, x: move[0], y: move[1], move };
+    }
+    if (pos && pos.length >= 2) {
+        return { alignment, x: pos[0], y: pos[1], move: null };
+    }
+
+    // Event margins override the style's when non-zero
+    const margin = name => parseInt(event.fields[name], 10) || parseInt(style.fields[name], 10) || 0;
+    const marginL = margin('MarginL');
+    const marginR = margin('MarginR');
+    const marginV = margin('MarginV');
+
+    const column = (alignment - 1) % 3;
+    const row = Math.ceil(alignment / 3);
+
+    const x = column === 0 ? marginL : column === 2 ? playRes.width - marginR : (marginL + playRes.width - marginR) / 2;
+    const y = row === 1 ? playRes.height - marginV : row === 3 ? marginV : playRes.height / 2;
+
+    return { alignment, x, y, move: null };
+}
+
+/**
+ * Offset from an alignment anchor point to the centre of a box of the given size
+ *
+ * @param {number} alignment - Numpad alignment 1-9
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {Object} - { dx, dy }
+ */
+function anchorToCenterOffset(alignment, width, height) {
+    const column = (alignment - 1) % 3;
+    const row = Math.ceil(alignment / 3);
+
+    return {
+        dx: column === 0 ? width / 2 : column === 2 ? -width / 2 : 0,
+        dy: row === 1 ? -height / 2 : row === 3 ? height / 2 : 0
+    };
+}
+
+/**
+ * Format a style line for a Format definition, filling fields not given from defaults
+ *
+ * @param {Array<string>} format - Field names from the Format line
+ * @param {Object} values - Field values
+ * @returns {string} - "Style: ..." line
+ */
+function formatStyleLine(format, values) {
+    return `Style: ${format.map(name => (values[name] !== undefined ? values[name] : '0')).join(',')}`;
+}
+
+/**
+ * Format an event line for a Format definition
+ *
+ * @param {string} type - 'Dialogue' or 'Comment'
+ * @param {Array<string>} format - Field names from the Format line
+ * @param {Object} values - Field values
+ * @returns {string} - "Dialogue: ..." line
+ */
+function formatEventLine(type, format, values) {
+    return `${type}: ${format.map(name => (values[name] !== undefined ? values[name] : '')).join(',')}`;
+}
+
+/**
+ * Write a parsed script back out with extra styles and events inserted
+ *
+ * @param {Object} parsed - Result of parseAss()
+ * @param {Object} additions - Lines to add
+ * @param {Array<string>} additions.styles - Style lines appended to the styles section
+ * @param {Map<number, Array<string>>} additions.before - Event lines inserted before the given line index
+ * @returns {string} - ASS content
+ */
+function serializeAss(parsed, { styles = [], before = new Map() }) {
+    const output = [];
+
+    parsed.lines.forEach((line, lineIndex) => {
+        if (before.has(lineIndex)) {
+            output.push(...before.get(lineIndex));
+        }
+        output.push(line);
+        if (lineIndex === parsed.stylesEnd) {
+            output.push(...styles);
+        }
+    });
+
+    return output.join('\n');
+}
+
+module.exports = {
+    parseAss,
+    getPlayRes,
+    getEventAnchor,
+    anchorToCenterOffset,
+    formatStyleLine,
+    formatEventLine,
+    serializeAss
+};
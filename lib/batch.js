@@ -0,0 +1,481 @@
+/**
+ * Batch conversion: expanding directories and glob patterns, pairing subtitles with their
+ * videos, naming outputs, running conversions in parallel workers and watching for changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.json'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.mov', '.webm', '.avi', '.m4v', '.ts', '.flv', '.wmv'];
+
+/**
+ * File name suffixes before the extension that don't belong to the episode name, e.g.
+ * "Episode01.en.srt", "Episode01.pt-BR.forced.srt"
+ */
+const LANGUAGE_SUFFIX = /\.([a-z]{2,3}(?:[-_][A-Za-z0-9]{2,8})*)$/i;
+const FLAG_SUFFIX = /\.(forced|sdh|cc|hi|default)$/i;
+
+/**
+ * Output name unless --name is given
+ */
+const DEFAULT_NAME_TEMPLATE = '{base}.ass';
+
+/**
+ * Wait (ms) for more file changes before regenerating in watch mode
+ */
+const WATCH_DEBOUNCE = 300;
+
+/**
+ * Whether a path is a glob pattern rather than a file name
+ *
+ * @param {string} value - Path
+ * @returns {boolean} - True if it has *, ?, [..] or {..}
+ */
+function isGlob(value) {
+    return /[*?[\]{}]/.test(value);
+}
+
+/**
+ * Escape text for use in a regular expression
+ *
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Convert a glob pattern to a regular expression over forward-slash paths. Supports *,
+ * ? and [...] within a path segment, ** across segments and {a,b} alternatives.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Expression matching the whole path
+ */
+function globToRegExp(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches any number of directories, including none
+            i++;
+            if (pattern[i + 1] === '/') {
+                i++;
+                source += '(?:.*/)?';
+            } else {
+                source += '.*';
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && pattern.indexOf(']', i + 1) > i + 1) {
+            const close = pattern.indexOf(']', i + 1);
+            const body = pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+            source += `[${body}]`;
+            i = close;
+        } else if (char === '{' && pattern.indexOf('}', i) > i) {
+            const close = pattern.indexOf('}', i);
+            source += `(?:${pattern.slice(i + 1, close).split(',').map(escapeRegExp).join('|')})`;
+            i = close;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * List files under a directory, down to a depth
+ *
+ * @param {string} dir - Directory
+ * @param {number} depth - Levels of subdirectories to enter (Infinity for all)
+ * @returns {Array<string>} - File paths
+ */
+function listFiles(dir, depth) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+
+    return entries
+        .filter(entry => !entry.name.startsWith('.'))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        .flatMap(entry => {
+            const filePath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return depth > 0 ? listFiles(filePath, depth - 1) : [];
+            }
+            return [filePath];
+        });
+}
+
+/**
+ * Files matching a glob pattern. The walk starts at the part of the pattern without
+ * wildcards and only goes as deep as the pattern can match.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {Array<string>} - Matching file paths
+ */
+function expandGlob(pattern) {
+    const segments = pattern.replace(/\\/g, '/').split('/');
+    const firstGlob = segments.findIndex(isGlob);
+    const base = segments.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.');
+    const rest = segments.slice(firstGlob);
+    const matcher = globToRegExp(rest.join('/'));
+    const depth = rest.some(segment => segment.includes('**')) ? Infinity : rest.length - 1;
+
+    return listFiles(base, depth).filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')));
+}
+
+/**
+ * Episode name and language of a subtitle or video file, used to pair them:
+ * "Episode01.en.srt" and "Episode01.mkv" are both "Episode01"
+ *
+ * @param {string} filePath - File path
+ * @returns {Object} - { base, name, lang } where base is the file name without extension
+ */
+function parseMediaName(filePath) {
+    const base = path.basename(filePath, path.extname(filePath));
+    let name = base;
+    let lang = '';
+
+    while (FLAG_SUFFIX.test(name)) {
+        name = name.replace(FLAG_SUFFIX, '');
+    }
+    const language = name.match(LANGUAGE_SUFFIX);
+    if (language && name.length > language[0].length) {
+        lang = language[1];
+        name = name.slice(0, -language[0].length);
+    }
+
+    return { base, name, lang };
+}
+
+/**
+ * Whether a JSON file found in a directory or by a glob pattern is a word-timed transcript,
+ * so that package.json, theme files and other JSON are left out of the batch
+ *
+ * @param {string} filePath - JSON file
+ * @returns {boolean} - True if it holds "segments" or "words", or is an array of segments
+ */
+function isWordTimingFile(filePath) {
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(data) || Boolean(data && (Array.isArray(data.segments) || Array.isArray(data.words)));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Sort the command line inputs into subtitle and video files. Directories give every
+ * subtitle and video file in them, glob patterns every file they match; JSON files among
+ * those only when they are word-timed transcripts.
+ *
+ * @param {Array<string>} inputs - Files, directories and glob patterns
+ * @returns {Object} - { subtitles, videos, explicitVideos } of file paths
+ */
+function expandInputs(inputs) {
+    const subtitles = [];
+    const videos = [];
+    const explicitVideos = [];
+    const add = (filePath, explicit) => {
+        const ext = path.extname(filePath).toLowerCase();
+        if (SUBTITLE_EXTENSIONS.includes(ext)) {
+            if (ext === '.json' && !explicit && !isWordTimingFile(filePath)) {
+                return;
+            }
+            subtitles.push(filePath);
+        } else if (VIDEO_EXTENSIONS.includes(ext)) {
+            videos.push(filePath);
+            if (explicit) {
+                explicitVideos.push(filePath);
+            }
+        } else if (explicit) {
+            throw new Error(`Input file must be ${SUBTITLE_EXTENSIONS.join(', ')} or a video file. Got: ${filePath}`);
+        }
+    };
+
+    inputs.forEach(input => {
+        if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            listFiles(input, 0).forEach(file => add(file, false));
+        } else if (!fs.existsSync(input) && isGlob(input)) {
+            const matches = expandGlob(input);
+            if (!matches.length) {
+                throw new Error(`No files match ${input}`);
+            }
+            matches.forEach(file => add(file, false));
+        } else {
+            add(input, true);
+        }
+    });
+
+    const unique = list => [...new Set(list.map(file => path.normalize(file)))];
+    return { subtitles: unique(subtitles), videos: unique(videos), explicitVideos: unique(explicitVideos) };
+}
+
+/**
+ * Find the video of a subtitle file: a video input named like the subtitle file, with or
+ * without its language suffix, else one next to the subtitle file. Video names are taken
+ * whole; "Part.One.mkv" has no language to strip.
+ *
+ * @param {string} subtitleFile - Subtitle file
+ * @param {Array<string>} videos - Video inputs
+ * @returns {string|undefined} - Video file
+ */
+function findVideo(subtitleFile, videos) {
+    const { base, name } = parseMediaName(subtitleFile);
+    const dir = path.dirname(subtitleFile);
+    const stems = [...new Set([base, name])];
+
+    for (const stem of stems) {
+        let matches = videos.filter(video => path.basename(video, path.extname(video)) === stem);
+        if (matches.length > 1) {
+            // The one next to the subtitle file wins over namesakes elsewhere
+            const nearby = matches.filter(video => path.resolve(path.dirname(video)) === path.resolve(dir));
+            matches = nearby.length ? nearby : matches;
+        }
+        if (matches.length > 1) {
+            throw new Error(`${subtitleFile} matches several videos: ${matches.join(', ')}. Convert it on its own with the video to use.`);
+        }
+        if (matches.length) {
+            return matches[0];
+        }
+    }
+
+    return stems
+        .flatMap(stem => VIDEO_EXTENSIONS.flatMap(ext => [stem + ext, stem + ext.toUpperCase()]))
+        .map(file => path.join(dir, file))
+        .find(file => fs.existsSync(file));
+}
+
+/**
+ * Output file name from a template. Placeholders: {base} (input name without extension),
+ * {name} (without the language too), {lang}, {.lang} (".en" or nothing) and {ext}
+ * (input extension without the dot).
+ *
+ * @param {string} subtitleFile - Subtitle file
+ * @param {string} template - Naming template
+ * @returns {string} - Output file name
+ */
+function formatOutputName(subtitleFile, template) {
+    const { base, name, lang } = parseMediaName(subtitleFile);
+    const values = {
+        base,
+        name,
+        lang,
+        '.lang': lang ? `.${lang}` : '',
+        ext: path.extname(subtitleFile).slice(1)
+    };
+
+    const output = template.replace(/\{(\.?[a-z]+)\}/g, (match, key) => (key in values ? values[key] : match));
+    return /\.ass$/i.test(output) ? output : `${output}.ass`;
+}
+
+/**
+ * Plan the conversions: one job per subtitle file, with its video and output file
+ *
+ * @param {Array<string>} inputs - Files, directories and glob patterns
+ * @param {Object} params - Output settings
+ * @param {string|undefined} params.output - Output file, for a single input only
+ * @param {string|undefined} params.outputDir - Directory for the outputs (default: current)
+ * @param {string|undefined} params.name - Naming template
+ * @returns {Array<Object>} - Jobs { subtitleFile, videoFile, outputFile }
+ */
+function planJobs(inputs, { output, outputDir, name } = {}) {
+    const { subtitles, videos, explicitVideos } = expandInputs(inputs);
+    if (!subtitles.length) {
+        throw new Error(`No subtitle files (${SUBTITLE_EXTENSIONS.join(', ')}) found in ${inputs.join(', ')}`);
+    }
+    if (output && subtitles.length > 1) {
+        throw new Error(`--output takes a single subtitle file; got ${subtitles.length}. Use --output-dir and --name instead.`);
+    }
+
+    const jobs = subtitles.map(subtitleFile => {
+        // A single subtitle file and a single video given by name go together whatever their names
+        const videoFile = subtitles.length === 1 && explicitVideos.length === 1
+            ? explicitVideos[0]
+            : findVideo(subtitleFile, videos);
+
+        // Don't overwrite an ASS input with its own output
+        const template = name || (path.extname(subtitleFile).toLowerCase() === '.ass' ? '{base}.rounded.ass' : DEFAULT_NAME_TEMPLATE);
+        const outputFile = output || path.join(outputDir || '', formatOutputName(subtitleFile, template));
+
+        return { subtitleFile, videoFile, outputFile };
+    });
+
+    const seen = new Map();
+    jobs.forEach(job => {
+        const key = path.resolve(job.outputFile);
+        if (seen.has(key)) {
+            throw new Error(`${seen.get(key)} and ${job.subtitleFile} would both be written to ${job.outputFile}. Use --name with {base} or {lang}.`);
+        }
+        if (key === path.resolve(job.subtitleFile)) {
+            throw new Error(`${job.subtitleFile} would be overwritten by its own output. Use --name or --output-dir.`);
+        }
+        seen.set(key, job.subtitleFile);
+    });
+
+    return jobs;
+}
+
+/**
+ * Run conversions. With one worker they run one after the other in this process;
+ * with more, each worker is a child process (lib/batchWorker.js) taking the next job
+ * when it is done. A failed job doesn't stop the others.
+ *
+ * @param {Array<Object>} jobs - Jobs { subtitleFile, videoFile, outputFile, options }
+ * @param {Object} params - Run settings
+ * @param {number} params.workers - Number of jobs to run at the same time
+ * @param {Function} params.onResult - Called with each result as it comes in
+ * @returns {Promise<Array<Object>>} - Results { job, ok, error, duration }, in job order
+ */
+async function runJobs(jobs, { workers = 1, onResult = () => {} } = {}) {
+    const results = new Array(jobs.length);
+    const finish = (index, error, started) => {
+        results[index] = { job: jobs[index], ok: !error, error: error ? error.message : null, duration: Date.now() - started };
+        onResult(results[index]);
+    };
+
+    if (workers <= 1 || jobs.length < 2) {
+        const { createRoundedAss } = require('./roundedAss');
+        for (let i = 0; i < jobs.length; i++) {
+            const started = Date.now();
+            try {
+                await createRoundedAss(jobs[i].subtitleFile, jobs[i].videoFile, jobs[i].outputFile, jobs[i].options);
+                finish(i, null, started);
+            } catch (error) {
+                finish(i, error, started);
+            }
+        }
+        return results;
+    }
+
+    const { fork } = require('child_process');
+    let next = 0;
+
+    const startWorker = () => new Promise(resolve => {
+        const child = fork(path.join(__dirname, 'batchWorker.js'));
+        let current = null;
+        let started = 0;
+
+        const sendNext = () => {
+            if (next >= jobs.length) {
+                current = null;
+                child.disconnect();
+                return;
+            }
+            current = next++;
+            started = Date.now();
+            child.send({ index: current, job: jobs[current] });
+        };
+
+        child.on('message', message => {
+            finish(message.index, message.ok ? null : new Error(message.error), started);
+            sendNext();
+        });
+        child.on('exit', code => {
+            if (current !== null) {
+                // The worker died mid-job: report it and carry on with a new worker
+                finish(current, new Error(`Worker exited with code ${code}`), started);
+                current = null;
+                resolve(next < jobs.length ? startWorker() : undefined);
+                return;
+            }
+            resolve();
+        });
+
+        sendNext();
+    });
+
+    await Promise.all(Array.from({ length: Math.min(workers, jobs.length) }, startWorker));
+    return results;
+}
+
+/**
+ * Summary table of a batch run
+ *
+ * @param {Array<Object>} results - Results of runJobs()
+ * @returns {string} - Table, one line per job and a total line
+ */
+function formatSummary(results) {
+    const rows = results.map(result => [
+        result.ok ? 'ok' : 'FAILED',
+        result.job.subtitleFile,
+        result.ok ? result.job.outputFile : result.error,
+        `${(result.duration / 1000).toFixed(1)}s`
+    ]);
+    const header = ['Status', 'Subtitle', 'Output / error', 'Time'];
+    const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+    const line = row => row.map((cell, col) => (col === row.length - 1 ? cell : cell.padEnd(widths[col]))).join('  ');
+
+    const failed = results.filter(result => !result.ok).length;
+    return [
+        line(header),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(line),
+        '',
+        `${results.length - failed} converted, ${failed} failed`
+    ].join('\n');
+}
+
+/**
+ * Watch files for changes. Their directories are watched rather than the files, so that
+ * editors that save by replacing the file are noticed too. Changes are collected for
+ * WATCH_DEBOUNCE ms and reported together.
+ *
+ * @param {Array<string>} files - Files to watch
+ * @param {Function} onChange - Called with the changed file paths (resolved)
+ * @returns {Function} - Stops watching
+ */
+function watchFiles(files, onChange) {
+    const byDir = new Map();
+    files.filter(Boolean).forEach(file => {
+        const resolved = path.resolve(file);
+        const dir = path.dirname(resolved);
+        if (!byDir.has(dir)) {
+            byDir.set(dir, new Set());
+        }
+        byDir.get(dir).add(path.basename(resolved));
+    });
+
+    let changed = new Set();
+    let timer = null;
+    const watchers = [...byDir.entries()].map(([dir, names]) => fs.watch(dir, (event, filename) => {
+        if (!filename || !names.has(filename.toString())) {
+            return;
+        }
+        changed.add(path.join(dir, filename.toString()));
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const files = [...changed];
+            changed = new Set();
+            onChange(files);
+        }, WATCH_DEBOUNCE);
+    }));
+
+    return () => {
+        clearTimeout(timer);
+        watchers.forEach(watcher => watcher.close());
+    };
+}
+
+module.exports = {
+    SUBTITLE_EXTENSIONS,
+    VIDEO_EXTENSIONS,
+    globToRegExp,
+    expandInputs,
+    parseMediaName,
+    formatOutputName,
+    planJobs,
+    runJobs,
+    formatSummary,
+    watchFiles
+};
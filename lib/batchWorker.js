@@ -0,0 +1,15 @@
+/**
+ * Batch worker process: converts the jobs sent by runJobs() in lib/batch.js, one at a time,
+ * until the parent disconnects
+ */
+
+const { createRoundedAss } = require('./roundedAss');
+
+process.on('message', async ({ index, job }) => {
+    try {
+        await createRoundedAss(job.subtitleFile, job.videoFile, job.outputFile, job.options);
+        process.send({ index, ok: true });
+    } catch (error) {
+        process.send({ index, ok: false, error: error.message });
+    }
+});
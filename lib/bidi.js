@@ -0,0 +1,160 @@
+/**
+ * Bidirectional text: base direction per cue, and isolates around runs written the other
+ * way so numbers, Latin names and punctuation stay in place in Arabic and Hebrew cues
+ */
+
+/**
+ * Ways to set the base direction of cues
+ */
+const BIDI_MODES = ['auto', 'rtl', 'ltr', 'off'];
+
+const RTL_SCRIPT = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+const LETTER = /\p{L}/u;
+const DIGIT = /\p{Nd}/u;
+const MARK = /\p{M}/u;
+
+// Isolates added here; removed before processing again so the text can be rewrapped
+const LRI = '\u2066';
+const RLI = '\u2067';
+const PDI = '\u2069';
+const ISOLATES = /[\u2066-\u2069]/g;
+
+/**
+ * Check if script is right-to-left
+ *
+ * @param {string} script - Script name from lib/scripts.js
+ * @returns {boolean} - True if RTL
+ */
+function isRtlScript(script) {
+    return ['arabic', 'hebrew'].includes(script);
+}
+
+/**
+ * Parse a bidi mode option
+ *
+ * @param {string} value - Mode name
+ * @returns {string} - One of BIDI_MODES
+ */
+function parseBidiMode(value) {
+    const mode = String(value).trim().toLowerCase();
+    if (!BIDI_MODES.includes(mode)) {
+        throw new Error(`Invalid bidi mode "${value}". Expected one of: ${BIDI_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+/**
+ * Split an ASS line into override blocks, escapes and single characters, each with its
+ * direction class: 'R' (RTL letter), 'L' (other letter), 'N' (digit), 'T' (override block,
+ * transparent) or 'O' (other neutral)
+ *
+ * @param {string} line - ASS text without \N breaks
+ * @returns {Array<Object>} - Units { text, type }
+ */
+function classifyUnits(line) {
+    const units = [];
+    (line.match(/\{[^}]*\}|\\[hn]|[\s\S]/gu) || []).forEach(text => {
+        let type = 'O';
+        if (text.startsWith('{') && text.endsWith('}')) {
+            type = 'T';
+        } else if (LETTER.test(text)) {
+            type = RTL_SCRIPT.test(text) ? 'R' : 'L';
+        } else if (DIGIT.test(text)) {
+            // Arabic-Indic digits belong with the Arabic text around them
+            type = RTL_SCRIPT.test(text) ? 'R' : 'N';
+        } else if (MARK.test(text)) {
+            // Combining marks go with the letter they follow
+            const previous = units.length ? units[units.length - 1].type : 'O';
+            type = previous === 'T' ? 'O' : previous;
+        }
+        units.push({ text, type });
+    });
+    return units;
+}
+
+/**
+ * Pick the base direction of a cue from its letters: right-to-left when RTL letters make up
+ * at least half of them, so a brand name at the start doesn't flip a Hebrew or Arabic cue
+ *
+ * @param {string} text - ASS text
+ * @param {string} fallback - 'rtl' or 'ltr' for cues without letters (numbers, punctuation)
+ * @returns {string} - 'rtl' or 'ltr'
+ */
+function detectDirection(text, fallback = 'ltr') {
+    let rtl = 0;
+    let ltr = 0;
+    classifyUnits(text.replace(/\\N/g, ' ')).forEach(unit => {
+        if (unit.type === 'R') {
+            rtl++;
+        } else if (unit.type === 'L') {
+            ltr++;
+        }
+    });
+    if (!rtl && !ltr) {
+        return fallback;
+    }
+    return rtl >= ltr ? 'rtl' : 'ltr';
+}
+
+/**
+ * Isolate the runs of one line written against its base direction, and isolate a
+ * right-to-left line as a whole so its end punctuation resolves to its own direction
+ *
+ * @param {string} line - ASS text without \N breaks
+ * @param {string} direction - 'rtl' or 'ltr'
+ * @returns {string} - Line with isolates
+ */
+function isolateLine(line, direction) {
+    const units = classifyUnits(line.replace(ISOLATES, ''));
+    const rtl = direction === 'rtl';
+    // Against an RTL base, digits read left to right with the Latin words next to them
+    const opposite = rtl ? ['L', 'N'] : ['R'];
+    const own = rtl ? 'R' : 'L';
+    const isolate = rtl ? LRI : RLI;
+
+    // A run goes from its first to its last opposite unit, with no letter of the base direction in between
+    const runs = [];
+    let run = null;
+    units.forEach((unit, i) => {
+        if (opposite.includes(unit.type)) {
+            if (run) {
+                run.end = i;
+            } else {
+                run = { start: i, end: i };
+                runs.push(run);
+            }
+        } else if (unit.type === own) {
+            run = null;
+        }
+    });
+
+    const starts = new Set(runs.map(r => r.start));
+    const ends = new Set(runs.map(r => r.end));
+    let result = units.map((unit, i) => `${starts.has(i) ? isolate : ''}${unit.text}${ends.has(i) ? PDI : ''}`).join('');
+
+    if (rtl && units.some(unit => unit.type !== 'T')) {
+        const leadingTags = (result.match(/^(?:\{[^}]*\})*/) || [''])[0];
+        result = `${leadingTags}${RLI}${result.slice(leadingTags.length)}${PDI}`;
+    }
+    return result;
+}
+
+/**
+ * Apply a base direction to a cue, line by line. Isolates added by an earlier call are
+ * replaced, so a cue can be processed again after it has been rewrapped.
+ *
+ * @param {string} text - ASS text with \N line breaks
+ * @param {string} direction - 'rtl' or 'ltr'
+ * @returns {string} - Text with bidi isolates
+ */
+function applyBidi(text, direction) {
+    return text.split('\\N').map(line => isolateLine(line, direction)).join('\\N');
+}
+
+module.exports = {
+    BIDI_MODES,
+    isRtlScript,
+    parseBidiMode,
+    detectDirection,
+    applyBidi
+};
@@ -0,0 +1,145 @@
+/**
+ * Bilingual output: pairing the cues of a secondary subtitle file with the main ones by time
+ */
+
+/**
+ * Ways to show the two languages:
+ * - stack: two boxes, the secondary one above the main one
+ * - split: the main box at the bottom, the secondary one at the top of the frame
+ * - merge: one box with both texts, separated by a divider line
+ */
+const BILINGUAL_LAYOUTS = ['stack', 'split', 'merge'];
+
+/**
+ * Parse a bilingual layout option
+ *
+ * @param {string} value - Layout name
+ * @returns {string} - One of BILINGUAL_LAYOUTS
+ */
+function parseBilingualLayout(value) {
+    const layout = String(value).trim().toLowerCase();
+    if (!BILINGUAL_LAYOUTS.includes(layout)) {
+        throw new Error(`Invalid bilingual layout "${value}". Expected one of: ${BILINGUAL_LAYOUTS.join(', ')}`);
+    }
+    return layout;
+}
+
+/**
+ * Time two cues are shown together, in seconds
+ *
+ * @param {Object} a - Cue with start and end
+ * @param {Object} b - Cue with start and end
+ * @returns {number} - Overlap, 0 if they don't overlap
+ */
+function overlap(a, b) {
+    return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+}
+
+/**
+ * Join cues of one language shown as a pair into a single cue spanning all of them
+ *
+ * @param {Array<Object>} cues - Cues ordered by start time
+ * @returns {Object|null} - Joined cue, or null without cues
+ */
+function joinCues(cues) {
+    if (!cues.length) {
+        return null;
+    }
+    if (cues.length === 1) {
+        return cues[0];
+    }
+
+    const words = cues.flatMap(cue => cue.words || []);
+    const last = cues[cues.length - 1];
+    return {
+        ...cues[0],
+        start: Math.min(...cues.map(cue => cue.start)),
+        end: Math.max(...cues.map(cue => cue.end)),
+        text: cues.map(cue => cue.text).join('\\N'),
+        words: words.length ? words : undefined,
+        joinedNext: last.joinedNext
+    };
+}
+
+/**
+ * Pair main and secondary cues by time. Two cues belong together when they overlap for at
+ * least minOverlap of the shorter one, so a translation that starts a little late still
+ * pairs up, and one that only touches the next cue doesn't. Cues linked through a split
+ * (one cue translated as two, or two as one) form one pair, with the cues on each side
+ * joined into one spanning them all. Cues without a partner are shown alone.
+ *
+ * @param {Array<Object>} primary - Main cues with start and end in seconds
+ * @param {Array<Object>} secondary - Secondary cues
+ * @param {Object} params - Pairing settings
+ * @param {number} params.minOverlap - Share of the shorter cue two cues must overlap (0-1)
+ * @returns {Array<Object>} - Pairs { start, end, primary, secondary } ordered by start time,
+ *                            where primary and secondary are cues or null
+ */
+function pairCues(primary, secondary, { minOverlap = 0.5 } = {}) {
+    const cues = [
+        ...primary.map(cue => ({ cue, side: 'primary' })),
+        ...secondary.map(cue => ({ cue, side: 'secondary' }))
+    ];
+
+    // Union-find over both sides
+    const parent = cues.map((entry, i) => i);
+    const find = i => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    const offset = primary.length;
+    const bySecondaryStart = secondary
+        .map((cue, i) => ({ cue, index: offset + i }))
+        .sort((a, b) => a.cue.start - b.cue.start);
+    primary.forEach((cue, i) => {
+        for (const other of bySecondaryStart) {
+            if (other.cue.start >= cue.end) {
+                break;
+            }
+            const shared = overlap(cue, other.cue);
+            const shorter = Math.min(cue.end - cue.start, other.cue.end - other.cue.start);
+            if (shared > 0 && shared >= minOverlap * shorter) {
+                parent[find(i)] = find(other.index);
+            }
+        }
+    });
+
+    const groups = new Map();
+    cues.forEach((entry, i) => {
+        const root = find(i);
+        if (!groups.has(root)) {
+            groups.set(root, { primary: [], secondary: [] });
+        }
+        groups.get(root)[entry.side].push(entry.cue);
+    });
+
+    return [...groups.values()]
+        .map(group => {
+            const byStart = (a, b) => a.start - b.start;
+            const pair = {
+                primary: joinCues(group.primary.sort(byStart)),
+                secondary: joinCues(group.secondary.sort(byStart))
+            };
+            const members = [pair.primary, pair.secondary].filter(Boolean);
+            const start = Math.min(...members.map(cue => cue.start));
+            const end = Math.max(...members.map(cue => cue.end));
+            // Both sides of a pair are shown for the whole pair
+            return {
+                start,
+                end,
+                primary: pair.primary && { ...pair.primary, start, end },
+                secondary: pair.secondary && { ...pair.secondary, start, end }
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    BILINGUAL_LAYOUTS,
+    parseBilingualLayout,
+    pairCues
+};
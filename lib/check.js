@@ -0,0 +1,347 @@
+/**
+ * Subtitle checks: the problems found while laying out subtitles, without writing any output,
+ * reported as a table for people or as JSON or JUnit XML for CI
+ */
+
+const { renderRoundedAss } = require('./roundedAss');
+
+/**
+ * Issue severities, most severe first
+ */
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * What is checked:
+ * - overlong-line: text that doesn't fit the maximum box width in the maximum number of lines
+ * - box-clipped: a box taller than the space above the bottom margin, or wider than the screen
+ * - box-moved: a box moved to keep it on screen
+ * - font-size-reduced: a cue shrunk to fit its lines or the screen height
+ * - cps: a cue read faster than the maximum reading speed
+ * - overlap: cues shown at the same time in the same region
+ * - empty-cue: a cue without visible text
+ * - encoding: input that isn't UTF-8 and had its code page guessed
+ * - missing-font: a font that isn't installed, so boxes were measured with another one
+ * - fonts-unchecked: no installed fonts could be listed
+ */
+const ISSUE_TYPES = [
+    'overlong-line',
+    'box-clipped',
+    'box-moved',
+    'font-size-reduced',
+    'cps',
+    'overlap',
+    'empty-cue',
+    'encoding',
+    'missing-font',
+    'fonts-unchecked'
+];
+
+/**
+ * Report formats
+ */
+const REPORT_FORMATS = ['table', 'json', 'junit'];
+
+/**
+ * Reading speed checked against when no maximum is set, in characters per second
+ */
+const DEFAULT_MAX_CPS = 20;
+
+/**
+ * Parse a report format
+ *
+ * @param {string} value - Format name
+ * @returns {string} - One of REPORT_FORMATS
+ */
+function parseReportFormat(value) {
+    const format = String(value).trim().toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new Error(`Invalid report format "${value}". Expected one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+/**
+ * Parse the severity from which a check fails
+ *
+ * @param {string} value - A severity, or 'never'
+ * @returns {string} - One of SEVERITIES, or 'never'
+ */
+function parseFailOn(value) {
+    const level = String(value).trim().toLowerCase();
+    if (!SEVERITIES.includes(level) && level !== 'never') {
+        throw new Error(`Invalid severity "${value}". Expected one of: ${[...SEVERITIES, 'never'].join(', ')}`);
+    }
+    return level;
+}
+
+/**
+ * Whether an issue makes the check fail
+ *
+ * @param {Object} issue - Issue with a severity
+ * @param {string} failOn - Severity from which a check fails, or 'never'
+ * @returns {boolean} - True if the issue is at least that severe
+ */
+function isFailing(issue, failOn) {
+    return failOn !== 'never' && SEVERITIES.indexOf(issue.severity) <= SEVERITIES.indexOf(failOn);
+}
+
+/**
+ * Lay out subtitles the way a conversion would and collect the problems found. Reading speed
+ * is checked against DEFAULT_MAX_CPS unless maxCps is set (0 skips it); here maxCps is only
+ * the threshold, so no cue is extended and the times are those of a conversion without it.
+ * Missing fonts are all listed, as errors with missingFonts 'error', instead of stopping at
+ * the first.
+ *
+ * @param {Object} params - renderRoundedAss() input and options
+ * @returns {Object} - { issues, stats } with issues { type, severity, message, cue, start }
+ *                     ordered by time; issues of the whole file come first
+ */
+function checkSubtitles({ missingFonts, maxCps, ...params }) {
+    const result = renderRoundedAss({
+        silent: true,
+        ...params,
+        missingFonts: missingFonts === 'error' ? 'warn' : missingFonts,
+        maxCps: 0,
+        reportCps: maxCps !== undefined ? maxCps : DEFAULT_MAX_CPS
+    });
+
+    // The sort is stable, so issues at the same time keep the order they were found in
+    const time = issue => (issue.start !== undefined ? issue.start : -Infinity);
+    const issues = result.issues
+        .map(issue => (issue.type === 'missing-font' && missingFonts === 'error' ? { ...issue, severity: 'error' } : issue))
+        .sort((a, b) => (time(a) === time(b) ? 0 : time(a) - time(b)));
+    return { issues, stats: result.stats };
+}
+
+/**
+ * Issues of a file report, with one for a file that could not be checked
+ *
+ * @param {Object} report - { file, issues, error }
+ * @returns {Array<Object>} - Issues
+ */
+function reportIssues(report) {
+    return report.error
+        ? [{ type: 'unreadable', severity: 'error', message: report.error }]
+        : report.issues;
+}
+
+/**
+ * Count the issues of every file
+ *
+ * @param {Array<Object>} reports - File reports { file, issues, error }
+ * @param {string} failOn - Severity from which a check fails, or 'never'
+ * @returns {Object} - { files, unreadable, error, warning, info, failing }
+ */
+function summarize(reports, failOn) {
+    const summary = { files: reports.length, unreadable: reports.filter(report => report.error).length, error: 0, warning: 0, info: 0, failing: 0 };
+    reports.forEach(report => reportIssues(report).forEach(issue => {
+        summary[issue.severity]++;
+        if (isFailing(issue, failOn)) {
+            summary.failing++;
+        }
+    }));
+    return summary;
+}
+
+/**
+ * Exit code for CI: 2 if a file could not be checked, 1 if an issue is at least as severe as
+ * failOn, else 0
+ *
+ * @param {Array<Object>} reports - File reports { file, issues, error }
+ * @param {string} failOn - Severity from which a check fails, or 'never'
+ * @returns {number} - Exit code
+ */
+function exitCode(reports, failOn) {
+    const summary = summarize(reports, failOn);
+    return summary.unreadable ? 2 : summary.failing ? 1 : 0;
+}
+
+/**
+ * Format seconds as H:MM:SS.mmm
+ *
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - Timestamp
+ */
+function formatTime(seconds) {
+    const millis = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(millis / 3600000);
+    const m = Math.floor(millis / 60000) % 60;
+    const s = Math.floor(millis / 1000) % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(millis % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * Summary line, e.g. "2 files checked: 1 error, 3 warnings, 0 info; failed (1 at error or above)"
+ *
+ * @param {Object} summary - Result of summarize()
+ * @param {string} failOn - Severity from which a check fails, or 'never'
+ * @returns {string} - Summary
+ */
+function formatSummaryLine(summary, failOn) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const counts = `${plural(summary.files, 'file')} checked: ${plural(summary.error, 'error')}, ${plural(summary.warning, 'warning')}, ${summary.info} info`;
+    if (summary.unreadable) {
+        return `${counts}; ${summary.unreadable} could not be checked`;
+    }
+    return summary.failing ? `${counts}; failed (${summary.failing} at ${failOn} or above)` : counts;
+}
+
+/**
+ * Issues as a table, one line per issue and a summary line
+ *
+ * @param {Array<Object>} reports - File reports { file, issues, error }
+ * @param {Object} params - Report settings
+ * @param {string} params.failOn - Severity from which a check fails, or 'never'
+ * @returns {string} - Table
+ */
+function formatTable(reports, { failOn = 'error' } = {}) {
+    const rows = reports.flatMap(report => reportIssues(report).map(issue => [
+        issue.severity,
+        issue.type,
+        report.file,
+        issue.cue !== undefined ? `#${issue.cue}` : '',
+        issue.start !== undefined ? formatTime(issue.start) : '',
+        issue.message
+    ]));
+    const summary = formatSummaryLine(summarize(reports, failOn), failOn);
+    if (!rows.length) {
+        return `No issues found\n\n${summary}`;
+    }
+
+    const header = ['Severity', 'Type', 'File', 'Cue', 'Time', 'Message'];
+    const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+    const line = row => row.map((cell, col) => (col === row.length - 1 ? cell : cell.padEnd(widths[col]))).join('  ');
+    return [
+        line(header),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(line),
+        '',
+        summary
+    ].join('\n');
+}
+
+/**
+ * Issues as JSON: the summary, and every file with its issues and stats
+ *
+ * @param {Array<Object>} reports - File reports { file, issues, stats, error }
+ * @param {Object} params - Report settings
+ * @param {string} params.failOn - Severity from which a check fails, or 'never'
+ * @returns {string} - JSON
+ */
+function formatJson(reports, { failOn = 'error' } = {}) {
+    return JSON.stringify({
+        failOn,
+        summary: summarize(reports, failOn),
+        files: reports.map(report => ({
+            file: report.file,
+            ...(report.error ? { error: report.error } : {}),
+            issues: reportIssues(report),
+            ...(report.stats ? { stats: report.stats } : {})
+        }))
+    }, null, 2);
+}
+
+/**
+ * Escape text for XML
+ *
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Issues as JUnit XML: a test suite per file with a test case per check. A check fails with
+ * the issues at least as severe as failOn; the others are listed in its output. A file that
+ * could not be checked has one test case with an error.
+ *
+ * @param {Array<Object>} reports - File reports { file, issues, error }
+ * @param {Object} params - Report settings
+ * @param {string} params.failOn - Severity from which a check fails, or 'never'
+ * @returns {string} - XML
+ */
+function formatJunit(reports, { failOn = 'error' } = {}) {
+    const describe = issue => `${issue.severity}: ${issue.cue !== undefined ? `#${issue.cue} ` : ''}${issue.start !== undefined ? `at ${formatTime(issue.start)} ` : ''}${issue.message}`;
+    let tests = 0;
+    let failures = 0;
+    let errors = 0;
+
+    const suites = reports.map(report => {
+        const name = escapeXml(report.file);
+        if (report.error) {
+            tests++;
+            errors++;
+            return [
+                `  <testsuite name="${name}" tests="1" failures="0" errors="1">`,
+                `    <testcase classname="${name}" name="read">`,
+                `      <error message="${escapeXml(report.error)}"/>`,
+                '    </testcase>',
+                '  </testsuite>'
+            ].join('\n');
+        }
+
+        let suiteFailures = 0;
+        const cases = ISSUE_TYPES.map(type => {
+            const issues = report.issues.filter(issue => issue.type === type);
+            const failing = issues.filter(issue => isFailing(issue, failOn));
+            const passing = issues.filter(issue => !isFailing(issue, failOn));
+            const body = [];
+            if (failing.length) {
+                suiteFailures++;
+                body.push(`      <failure type="${type}" message="${failing.length} ${type} issue${failing.length === 1 ? '' : 's'}">${escapeXml(failing.map(describe).join('\n'))}</failure>`);
+            }
+            if (passing.length) {
+                body.push(`      <system-out>${escapeXml(passing.map(describe).join('\n'))}</system-out>`);
+            }
+            return body.length
+                ? [`    <testcase classname="${name}" name="${type}">`, ...body, '    </testcase>'].join('\n')
+                : `    <testcase classname="${name}" name="${type}"/>`;
+        });
+        tests += cases.length;
+        failures += suiteFailures;
+        return [
+            `  <testsuite name="${name}" tests="${cases.length}" failures="${suiteFailures}" errors="0">`,
+            ...cases,
+            '  </testsuite>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="rounded-ass check" tests="${tests}" failures="${failures}" errors="${errors}">`,
+        ...suites,
+        '</testsuites>'
+    ].join('\n');
+}
+
+/**
+ * Format the reports of a check
+ *
+ * @param {Array<Object>} reports - File reports { file, issues, stats, error }
+ * @param {string} format - One of REPORT_FORMATS
+ * @param {Object} params - Report settings
+ * @param {string} params.failOn - Severity from which a check fails, or 'never'
+ * @returns {string} - Report
+ */
+function formatReport(reports, format, params) {
+    const formatters = { table: formatTable, json: formatJson, junit: formatJunit };
+    return formatters[parseReportFormat(format)](reports, params);
+}
+
+module.exports = {
+    SEVERITIES,
+    ISSUE_TYPES,
+    REPORT_FORMATS,
+    DEFAULT_MAX_CPS,
+    parseReportFormat,
+    parseFailOn,
+    checkSubtitles,
+    summarize,
+    exitCode,
+    formatReport
+};
@@ -0,0 +1,181 @@
+/**
+ * CSS colour parsing and conversion to ASS colours (&HAABBGGRR, where alpha 00 is opaque)
+ */
+
+/**
+ * CSS named colours as RRGGBB
+ */
+const NAMED_COLORS = {
+    aliceblue: 'F0F8FF', antiquewhite: 'FAEBD7', aqua: '00FFFF', aquamarine: '7FFFD4', azure: 'F0FFFF',
+    beige: 'F5F5DC', bisque: 'FFE4C4', black: '000000', blanchedalmond: 'FFEBCD', blue: '0000FF',
+    blueviolet: '8A2BE2', brown: 'A52A2A', burlywood: 'DEB887', cadetblue: '5F9EA0', chartreuse: '7FFF00',
+    chocolate: 'D2691E', coral: 'FF7F50', cornflowerblue: '6495ED', cornsilk: 'FFF8DC', crimson: 'DC143C',
+    cyan: '00FFFF', darkblue: '00008B', darkcyan: '008B8B', darkgoldenrod: 'B8860B', darkgray: 'A9A9A9',
+    darkgreen: '006400', darkgrey: 'A9A9A9', darkkhaki: 'BDB76B', darkmagenta: '8B008B', darkolivegreen: '556B2F',
+    darkorange: 'FF8C00', darkorchid: '9932CC', darkred: '8B0000', darksalmon: 'E9967A', darkseagreen: '8FBC8F',
+    darkslateblue: '483D8B', darkslategray: '2F4F4F', darkslategrey: '2F4F4F', darkturquoise: '00CED1', darkviolet: '9400D3',
+    deeppink: 'FF1493', deepskyblue: '00BFFF', dimgray: '696969', dimgrey: '696969', dodgerblue: '1E90FF',
+    firebrick: 'B22222', floralwhite: 'FFFAF0', forestgreen: '228B22', fuchsia: 'FF00FF', gainsboro: 'DCDCDC',
+    ghostwhite: 'F8F8FF', gold: 'FFD700', goldenrod: 'DAA520', gray: '808080', green: '008000',
+    greenyellow: 'ADFF2F', grey: '808080', honeydew: 'F0FFF0', hotpink: 'FF69B4', indianred: 'CD5C5C',
+    indigo: '4B0082', ivory: 'FFFFF0', khaki: 'F0E68C', lavender: 'E6E6FA', lavenderblush: 'FFF0F5',
+    lawngreen: '7CFC00', lemonchiffon: 'FFFACD', lightblue: 'ADD8E6', lightcoral: 'F08080', lightcyan: 'E0FFFF',
+    lightgoldenrodyellow: 'FAFAD2', lightgray: 'D3D3D3', lightgreen: '90EE90', lightgrey: 'D3D3D3', lightpink: 'FFB6C1',
+    lightsalmon: 'FFA07A', lightseagreen: '20B2AA', lightskyblue: '87CEFA', lightslategray: '778899', lightslategrey: '778899',
+    lightsteelblue: 'B0C4DE', lightyellow: 'FFFFE0', lime: '00FF00', limegreen: '32CD32', linen: 'FAF0E6',
+    magenta: 'FF00FF', maroon: '800000', mediumaquamarine: '66CDAA', mediumblue: '0000CD', mediumorchid: 'BA55D3',
+    mediumpurple: '9370DB', mediumseagreen: '3CB371', mediumslateblue: '7B68EE', mediumspringgreen: '00FA9A', mediumturquoise: '48D1CC',
+    mediumvioletred: 'C71585', midnightblue: '191970', mintcream: 'F5FFFA', mistyrose: 'FFE4E1', moccasin: 'FFE4B5',
+    navajowhite: 'FFDEAD', navy: '000080', oldlace: 'FDF5E6', olive: '808000', olivedrab: '6B8E23',
+    orange: 'FFA500', orangered: 'FF4500', orchid: 'DA70D6', palegoldenrod: 'EEE8AA', palegreen: '98FB98',
+    paleturquoise: 'AFEEEE', palevioletred: 'DB7093', papayawhip: 'FFEFD5', peachpuff: 'FFDAB9', peru: 'CD853F',
+    pink: 'FFC0CB', plum: 'DDA0DD', powderblue: 'B0E0E6', purple: '800080', rebeccapurple: '663399',
+    red: 'FF0000', rosybrown: 'BC8F8F', royalblue: '4169E1', saddlebrown: '8B4513', salmon: 'FA8072',
+    sandybrown: 'F4A460', seagreen: '2E8B57', seashell: 'FFF5EE', sienna: 'A0522D', silver: 'C0C0C0',
+    skyblue: '87CEEB', slateblue: '6A5ACD', slategray: '708090', slategrey: '708090', snow: 'FFFAFA',
+    springgreen: '00FF7F', steelblue: '4682B4', tan: 'D2B48C', teal: '008080', thistle: 'D8BFD8',
+    tomato: 'FF6347', turquoise: '40E0D0', violet: 'EE82EE', wheat: 'F5DEB3', white: 'FFFFFF',
+    whitesmoke: 'F5F5F5', yellow: 'FFFF00', yellowgreen: '9ACD32'
+};
+
+/**
+ * Parse one rgb()/rgba() channel: 0-255 or a percentage
+ *
+ * @param {string} value - Channel value
+ * @returns {number} - Channel 0-255
+ */
+function parseChannel(value) {
+    const number = parseFloat(value);
+    if (isNaN(number)) {
+        throw new Error(`Invalid colour channel "${value}"`);
+    }
+    const channel = value.trim().endsWith('%') ? number * 2.55 : number;
+    return Math.round(Math.min(255, Math.max(0, channel)));
+}
+
+/**
+ * Parse an opacity: a number from 0 to 1, or a percentage such as "50%"
+ *
+ * @param {number|string} value - Opacity
+ * @returns {number} - Opacity from 0 (transparent) to 1 (opaque)
+ */
+function parseOpacity(value) {
+    const text = String(value).trim();
+    const number = parseFloat(text);
+
+    if (text === '' || isNaN(number) || !/^[\d.]+%?$/.test(text)) {
+        throw new Error(`Invalid opacity "${value}". Use a number from 0 to 1 or a percentage`);
+    }
+
+    const percentage = text.endsWith('%');
+    const opacity = percentage ? number / 100 : number;
+    if (opacity > 1) {
+        throw new Error(percentage
+            ? `Invalid opacity "${value}". Percentages go up to 100%`
+            : `Invalid opacity "${value}". Use a number from 0 to 1, or a percentage with "%"`);
+    }
+    return opacity;
+}
+
+/**
+ * Parse a CSS colour: #RGB, #RGBA, #RRGGBB, #RRGGBBAA (the # is optional), rgb(), rgba(),
+ * a named colour or "transparent"
+ *
+ * @param {string} value - Colour
+ * @returns {Object} - { r, g, b, a, hasAlpha } with channels 0-255 and alpha 0-1
+ */
+function parseColor(value) {
+    const text = String(value).trim().toLowerCase();
+
+    if (text === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0, hasAlpha: true };
+    }
+
+    let hex = NAMED_COLORS[text];
+    if (!hex && /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(text)) {
+        hex = text.replace('#', '');
+        if (hex.length <= 4) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+    }
+    if (hex) {
+        return {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16),
+            a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1,
+            hasAlpha: hex.length === 8
+        };
+    }
+
+    // rgb(255, 0, 0), rgba(255, 0, 0, 0.5), rgb(255 0 0 / 50%)
+    const functional = text.match(/^rgba?\(([^)]*)\)$/);
+    if (functional) {
+        const [channels, alpha] = functional[1].split('/');
+        const parts = channels.split(/[\s,]+/).filter(Boolean);
+        if (alpha !== undefined) {
+            parts.push(alpha);
+        }
+        if (parts.length === 3 || parts.length === 4) {
+            return {
+                r: parseChannel(parts[0]),
+                g: parseChannel(parts[1]),
+                b: parseChannel(parts[2]),
+                a: parts.length === 4 ? parseOpacity(parts[3]) : 1,
+                hasAlpha: parts.length === 4
+            };
+        }
+    }
+
+    throw new Error(`Invalid colour "${value}". Use #RRGGBB, #RRGGBBAA, rgb(), rgba() or a CSS colour name`);
+}
+
+/**
+ * Two-digit uppercase hex
+ *
+ * @param {number} value - 0-255
+ * @returns {string} - Hex digits
+ */
+function hexByte(value) {
+    return Math.round(value).toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * ASS colour value for override tags such as \1c: &HBBGGRR&
+ *
+ * @param {Object} color - Parsed colour
+ * @returns {string} - ASS colour
+ */
+function toAssColor(color) {
+    return `&H${hexByte(color.b)}${hexByte(color.g)}${hexByte(color.r)}&`;
+}
+
+/**
+ * ASS alpha value for override tags such as \1a: &HXX&, where 00 is opaque
+ *
+ * @param {number} opacity - Opacity from 0 to 1
+ * @returns {string} - ASS alpha
+ */
+function toAssAlpha(opacity) {
+    return `&H${hexByte((1 - opacity) * 255)}&`;
+}
+
+/**
+ * ASS colour value for style lines, alpha included: &HAABBGGRR
+ *
+ * @param {Object} color - Parsed colour
+ * @param {number} opacity - Opacity from 0 to 1 (defaults to the colour's own alpha)
+ * @returns {string} - ASS style colour
+ */
+function toAssStyleColor(color, opacity = color.a) {
+    return `&H${hexByte((1 - opacity) * 255)}${hexByte(color.b)}${hexByte(color.g)}${hexByte(color.r)}`;
+}
+
+module.exports = {
+    NAMED_COLORS,
+    parseColor,
+    parseOpacity,
+    toAssColor,
+    toAssAlpha,
+    toAssStyleColor
+};
@@ -0,0 +1,258 @@
+/**
+ * Styling presets, theme files and .roundedassrc lookup
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Default values of the styling options. Options that are worked out from the video or
+ * the subtitles when not given (radius, bottom margin, highlight mode) are not listed.
+ */
+const DEFAULT_OPTIONS = {
+    font: 'Arial',
+    fontSize: 48,
+    textColor: '#FFFFFF',
+    bgColor: '#000000',
+    opacity: 0.7,
+    paddingX: 20,
+    paddingY: 10,
+    widthRatio: 1.0,
+    shape: 'rounded',
+    tailOffset: 0,
+    tailSize: 20,
+    speakerShapes: {},
+    speakerStyles: false,
+    speakers: {},
+    speakerLabels: false,
+    boxMode: 'block',
+    lineGap: 4,
+    maxWidthRatio: 0.9,
+    maxLines: 2,
+    wrap: true,
+    lineSpacing: 1.2,
+    widthCorrection: 0.95,
+    tightFit: true,
+    stackOverlaps: true,
+    stackGap: 8,
+    highlightColor: '#FFD700',
+    layout: 'auto',
+    chunkWords: 3,
+    animationOut: 'none',
+    animateJoined: false,
+    shift: 0,
+    retime: 'none',
+    snapFrames: false,
+    minDuration: 0,
+    minGap: 0,
+    maxCps: 0,
+    chainThreshold: 0.1,
+    encoding: 'auto',
+    fontFallbacks: {},
+    language: 'auto',
+    missingFonts: 'warn',
+    embedFonts: false,
+    bidi: 'auto',
+    bilingual: 'stack',
+    boxOutline: 0,
+    boxOutlineColor: '#FFFFFF',
+    boxShadow: 'none',
+    boxGradient: 'none',
+    textOutline: 0,
+    textOutlineColor: '#000000',
+    textShadow: 0,
+    textShadowColor: 'rgba(0, 0, 0, 0.5)'
+};
+
+/**
+ * Options that are determined automatically unless given
+ */
+const AUTO_OPTIONS = ['radius', 'marginBottom', 'marginSide', 'highlight', 'popIn', 'animationIn', 'animationDuration', 'speakerPalette', 'fps', 'secondaryFont', 'secondaryFontSize', 'secondaryTextColor', 'secondaryBgColor'];
+
+/**
+ * Named presets, applied below theme files and command line options
+ */
+const PRESETS = {
+    'netflix-like': {
+        font: 'Arial',
+        boxMode: 'lines',
+        opacity: 0.6,
+        paddingX: 14,
+        paddingY: 6,
+        radius: 4,
+        lineGap: 2,
+        maxWidthRatio: 0.8
+    },
+    pill: {
+        boxMode: 'lines',
+        opacity: 0.75,
+        paddingX: 28,
+        paddingY: 8,
+        shape: 'pill',
+        lineGap: 6
+    },
+    minimal: {
+        opacity: 0.4,
+        paddingX: 12,
+        paddingY: 4,
+        radius: 6
+    },
+    shorts: {
+        layout: 'shorts',
+        popIn: true,
+        chunkWords: 3,
+        highlightColor: '#FFD700'
+    }
+};
+
+/**
+ * Names of the theme file looked up next to the input and in the home directory
+ */
+const RC_FILE_NAMES = ['.roundedassrc', '.roundedassrc.json', '.roundedassrc.yaml', '.roundedassrc.yml'];
+
+const KNOWN_OPTIONS = [...Object.keys(DEFAULT_OPTIONS), ...AUTO_OPTIONS, 'preset', 'skipStyles'];
+
+/**
+ * Convert kebab-case keys (as written on the command line) to option names
+ *
+ * @param {string} key - Key from a theme file
+ * @returns {string} - camelCase option name
+ */
+function toOptionName(key) {
+    return key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Read a JSON or YAML theme file. Files without a .json extension are read as YAML,
+ * which also accepts JSON.
+ *
+ * @param {string} filePath - Path to the theme file
+ * @returns {Object} - Options from the file, with camelCase keys
+ */
+function loadThemeFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    let data;
+
+    try {
+        if (path.extname(filePath).toLowerCase() === '.json') {
+            data = JSON.parse(content);
+        } else {
+            const yaml = require('js-yaml');
+            data = yaml.load(content);
+        }
+    } catch (error) {
+        throw new Error(`Invalid theme file ${filePath}: ${error.message}`);
+    }
+
+    if (data === undefined || data === null) {
+        return {};
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Theme file ${filePath} must contain an object of options`);
+    }
+
+    const options = {};
+    Object.keys(data).forEach(key => {
+        options[toOptionName(key)] = data[key];
+    });
+    return options;
+}
+
+/**
+ * Find a .roundedassrc next to the input file, or else in the home directory
+ *
+ * @param {string|undefined} inputPath - Subtitle file being converted
+ * @returns {string|null} - Path of the first file found
+ */
+function findRcFile(inputPath) {
+    const directories = [inputPath ? path.dirname(path.resolve(inputPath)) : process.cwd(), os.homedir()];
+
+    for (const directory of directories) {
+        for (const name of RC_FILE_NAMES) {
+            const candidate = path.join(directory, name);
+            if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+                return candidate;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the options for a run. Later sources win: defaults, preset, theme file
+ * (--theme, or else a .roundedassrc), then options given directly (the command line).
+ * A theme file may name a preset with a "preset" key; a preset given directly wins.
+ *
+ * @param {Object} params - Where to look
+ * @param {Object} params.options - Options given directly
+ * @param {string} params.preset - Preset name
+ * @param {string} params.theme - Path to a theme file
+ * @param {string} params.inputPath - Subtitle file, used to find a .roundedassrc
+ * @param {boolean} params.rcFile - Look for a .roundedassrc when no theme is given (default true)
+ * @returns {Object} - { options, resolved, sources, themeFile, warnings } where options are
+ *                     to be passed to createRoundedAss (defaults left out), resolved includes
+ *                     the defaults, and sources names where each resolved value came from
+ */
+function resolveOptions({ options = {}, preset, theme, inputPath, rcFile = true } = {}) {
+    const warnings = [];
+    const themeFile = theme ? path.resolve(theme) : rcFile ? findRcFile(inputPath) : null;
+    const fileOptions = themeFile ? loadThemeFile(themeFile) : {};
+
+    Object.keys(fileOptions)
+        .filter(key => !KNOWN_OPTIONS.includes(key))
+        .forEach(key => warnings.push(`Unknown option "${key}" in ${themeFile} was ignored.`));
+
+    const presetName = preset || options.preset || fileOptions.preset;
+    if (presetName && !PRESETS[presetName]) {
+        throw new Error(`Unknown preset "${presetName}". Expected one of: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    const presetOptions = presetName ? PRESETS[presetName] : {};
+
+    const layers = [
+        ['default', DEFAULT_OPTIONS],
+        [`preset ${presetName}`, presetOptions],
+        [themeFile, fileOptions],
+        ['command line', options]
+    ];
+
+    const merged = {};
+    const resolved = {};
+    const sources = {};
+    layers.forEach(([source, values], layer) => {
+        Object.keys(values)
+            .filter(key => KNOWN_OPTIONS.includes(key) && key !== 'preset' && values[key] !== undefined)
+            .forEach(key => {
+                if (layer > 0) {
+                    merged[key] = values[key];
+                }
+                resolved[key] = values[key];
+                sources[key] = source;
+            });
+    });
+
+    AUTO_OPTIONS.filter(key => resolved[key] === undefined).forEach(key => {
+        resolved[key] = 'auto';
+        sources[key] = 'default';
+    });
+
+    // Options that aren't styling (output, verbose, ...) pass straight through
+    Object.keys(options)
+        .filter(key => !KNOWN_OPTIONS.includes(key))
+        .forEach(key => {
+            merged[key] = options[key];
+        });
+
+    return { options: merged, resolved, sources, preset: presetName || null, themeFile, warnings };
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    KNOWN_OPTIONS,
+    PRESETS,
+    toOptionName,
+    loadThemeFile,
+    findRcFile,
+    resolveOptions
+};
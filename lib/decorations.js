@@ -0,0 +1,138 @@
+/**
+ * Box decorations: outline stroke, drop shadow and vertical gradient fill
+ */
+
+const { parseColor, toAssColor, toAssAlpha } = require('./color');
+
+/**
+ * Colour parts of a value: rgb()/rgba() calls or single words
+ */
+const COLOR_TOKEN = /rgba?\([^)]*\)|[^\s,()]+/gi;
+
+/**
+ * Parse a drop shadow written like CSS box-shadow: "<x> <y> [blur] [colour]", e.g.
+ * "0 4 12 rgba(0, 0, 0, 0.5)". Lengths may have a px suffix.
+ *
+ * @param {string} value - Shadow, or 'none'
+ * @returns {Object|null} - { x, y, blur, color } or null for no shadow
+ */
+function parseShadow(value) {
+    if (value === undefined || value === null || value === false || String(value).trim() === 'none') {
+        return null;
+    }
+
+    const tokens = String(value).match(COLOR_TOKEN) || [];
+    const lengths = [];
+    let color = null;
+
+    tokens.forEach(token => {
+        if (/^-?[\d.]+(px)?$/i.test(token)) {
+            lengths.push(parseFloat(token));
+        } else if (color === null) {
+            color = parseColor(token);
+        } else {
+            throw new Error(`Invalid shadow "${value}"`);
+        }
+    });
+
+    if (lengths.length < 2 || lengths.length > 3) {
+        throw new Error(`Invalid shadow "${value}". Use "<x> <y> [blur] [color]"`);
+    }
+
+    return {
+        x: lengths[0],
+        y: lengths[1],
+        blur: Math.max(0, lengths[2] || 0),
+        color: color || parseColor('rgba(0, 0, 0, 0.5)')
+    };
+}
+
+/**
+ * Parse a vertical gradient: "<top colour>, <bottom colour>"
+ *
+ * @param {string|Array<string>} value - Gradient, or 'none'
+ * @returns {Array<Object>|null} - [top, bottom] parsed colours, or null for a flat fill
+ */
+function parseGradient(value) {
+    if (value === undefined || value === null || value === false || String(value).trim() === 'none') {
+        return null;
+    }
+
+    const colors = Array.isArray(value) ? value : String(value).match(COLOR_TOKEN) || [];
+    if (colors.length !== 2) {
+        throw new Error(`Invalid gradient "${value}". Use "<top color>,<bottom color>"`);
+    }
+    return colors.map(parseColor);
+}
+
+/**
+ * Build the override blocks and drawing of every layer that makes up one box shape, in
+ * drawing order: the shadow first, then the fill with its outline. A gradient fill is
+ * one copy of the shape per horizontal band, each clipped to its band.
+ *
+ * @param {string} drawing - Shape drawing, centred on the origin
+ * @param {Object} params - Decoration settings
+ * @param {Function} params.position - (dx, dy) => position tag for the shape moved by dx/dy
+ * @param {string} params.tags - Extra override tags for every layer (e.g. animation)
+ * @param {Object} params.fill - { color, opacity } of a flat fill
+ * @param {Object} params.gradient - { top, bottom, topOpacity, bottomOpacity, bounds } where
+ *                                   bounds { left, top, right, bottom } is the absolute box the
+ *                                   gradient spans, or null for a flat fill
+ * @param {Object} params.outline - { width, color } or null
+ * @param {Object} params.shadow - Result of parseShadow(), or null
+ * @returns {Array<string>} - Event texts, bottom layer first
+ */
+function buildBoxLayers(drawing, { position, tags = '', fill, gradient = null, outline = null, shadow = null }) {
+    const layers = [];
+    const border = outline && outline.width > 0
+        ? `\\bord${outline.width}\\3c${toAssColor(outline.color)}\\3a${toAssAlpha(outline.color.a)}`
+        : '\\bord0';
+    const shape = `${drawing}{\\p0}`;
+
+    if (shadow) {
+        // The shadow follows the outer edge, outline included
+        const shadowColor = `\\1c${toAssColor(shadow.color)}\\1a${toAssAlpha(shadow.color.a)}`;
+        const shadowBorder = outline && outline.width > 0
+            ? `\\bord${outline.width}\\3c${toAssColor(shadow.color)}\\3a${toAssAlpha(shadow.color.a)}`
+            : '\\bord0';
+        const blur = shadow.blur ? `\\blur${Math.round(shadow.blur / 2 * 10) / 10}` : '';
+        layers.push(`{${position(shadow.x, shadow.y)}${shadowBorder}\\shad0${shadowColor}${blur}${tags}\\p1}${shape}`);
+    }
+
+    if (!gradient) {
+        layers.push(`{${position(0, 0)}${border}\\shad0\\1c${toAssColor(fill.color)}\\1a${toAssAlpha(fill.opacity)}${tags}\\p1}${shape}`);
+        return layers;
+    }
+
+    // Bands of about 4px; the outline is drawn with every band, clipped like its fill
+    const { bounds } = gradient;
+    const extra = outline && outline.width > 0 ? Math.ceil(outline.width) : 0;
+    const height = bounds.bottom - bounds.top;
+    const bands = Math.min(32, Math.max(2, Math.ceil(height / 4)));
+    const left = Math.floor(bounds.left - extra);
+    const right = Math.ceil(bounds.right + extra);
+
+    for (let i = 0; i < bands; i++) {
+        const t = i / (bands - 1);
+        const mix = (a, b) => a + (b - a) * t;
+        const color = {
+            r: mix(gradient.top.r, gradient.bottom.r),
+            g: mix(gradient.top.g, gradient.bottom.g),
+            b: mix(gradient.top.b, gradient.bottom.b)
+        };
+        const opacity = mix(gradient.topOpacity, gradient.bottomOpacity);
+
+        const top = i === 0 ? Math.floor(bounds.top - extra) : Math.round(bounds.top + height * i / bands);
+        const bottom = i === bands - 1 ? Math.ceil(bounds.bottom + extra) : Math.round(bounds.top + height * (i + 1) / bands);
+
+        layers.push(`{${position(0, 0)}\\clip(${left},${top},${right},${bottom})${border}\\shad0\\1c${toAssColor(color)}\\1a${toAssAlpha(opacity)}${tags}\\p1}${shape}`);
+    }
+
+    return layers;
+}
+
+module.exports = {
+    parseShadow,
+    parseGradient,
+    buildBoxLayers
+};
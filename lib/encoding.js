@@ -0,0 +1,363 @@
+/**
+ * Character encoding detection for subtitle files: byte order marks, a strict UTF-8
+ * check, and a guess between common legacy code pages from how the decoded text reads
+ */
+
+/**
+ * Bytes looked at when guessing a legacy code page
+ */
+const SAMPLE_SIZE = 256 * 1024;
+
+/**
+ * Below this confidence a guessed code page is reported with a hint to use --encoding
+ */
+const LOW_CONFIDENCE = 0.5;
+
+/**
+ * Byte order marks, longest first so UTF-32 LE isn't taken for UTF-16 LE
+ */
+const BOMS = [
+    { encoding: 'utf-32le', bytes: [0xFF, 0xFE, 0x00, 0x00] },
+    { encoding: 'utf-32be', bytes: [0x00, 0x00, 0xFE, 0xFF] },
+    { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+    { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+    { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+/**
+ * Letters and punctuation counted as belonging to a script
+ */
+const SCRIPTS = {
+    latin: /\p{Script=Latin}/u,
+    cyrillic: /\p{Script=Cyrillic}/u,
+    arabic: /[\p{Script=Arabic}\u200C-\u200F]/u,
+    chinese: /[\p{Script=Han}\u3000-\u303F\uFF01-\uFF5E]/u,
+    japanese: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303Fー\uFF01-\uFF5E]/u,
+    korean: /[\p{Script=Hangul}\p{Script=Han}\u3000-\u303F\uFF01-\uFF5E]/u
+};
+
+/**
+ * Legacy code pages to choose from. `common` holds the non-ASCII characters that make up
+ * most of the non-ASCII text in the languages written with the code page, and `expected`
+ * the share of them in real text; decoding with the wrong code page gives other characters.
+ */
+const CODE_PAGES = [
+    {
+        encoding: 'windows-1252',
+        script: 'latin',
+        common: 'éèàçñüöäßáíóúêâôãõïëîûœÉÀÇÑÜÖÄ¿¡',
+        expected: 0.8
+    },
+    {
+        encoding: 'windows-1250',
+        script: 'latin',
+        common: 'čřšžěůýáíéóúłąęśćńźżőűăâîşţČŘŠŽŁŚŻ',
+        expected: 0.8
+    },
+    {
+        encoding: 'windows-1251',
+        script: 'cyrillic',
+        common: 'оеаинтсрвлкмдпуяыьгзбчйхжшюцщэфъёОЕАИНТСРВЛКМДПУЯЗБЧЭ',
+        expected: 0.9
+    },
+    {
+        encoding: 'windows-1256',
+        script: 'arabic',
+        common: 'الينمورهتبعةدكفقسحشجصطذخزءأإآضغظثى،؟پچگک',
+        expected: 0.9
+    },
+    {
+        encoding: 'gb18030',
+        script: 'chinese',
+        common: '的一是不了在人有我他这个们中来上大为和国地到以说时要就出会可也你对生能而子那得于着下自之年过发后作里用道行所然家种事成方多经么去法学如都同现当没动面起看定天分还进好小部其些主样理心她本前开但因只从想实吗呢吧啊什没',
+        expected: 0.3
+    },
+    {
+        encoding: 'big5',
+        script: 'chinese',
+        common: '的一是不了在人有我他這個們中來上大為和國地到以說時要就出會可也你對生能而子那得於著下自之年過發後作裡用道行所然家種事成方多經麼去法學如都同現當沒動面起看定天分還進好小部其些主樣理心她本前開但因只從想實嗎呢吧啊什',
+        expected: 0.3
+    },
+    {
+        encoding: 'shift_jis',
+        script: 'japanese',
+        // Hiragana: about half of running Japanese text
+        common: Array.from({ length: 0x3096 - 0x3041 + 1 }, (_, i) => String.fromCharCode(0x3041 + i)).join('') + '、。ー',
+        expected: 0.45
+    },
+    {
+        encoding: 'euc-kr',
+        script: 'korean',
+        common: '이다는의에가을고하지서기로한있를도요게나어리니그사아면해수우시대자정들것만주보내일거라까했된인무전',
+        expected: 0.35
+    }
+];
+
+/**
+ * Match a byte order mark at the start of a buffer
+ *
+ * @param {Buffer} buffer - File content
+ * @returns {Object|null} - { encoding, length } or null without a BOM
+ */
+function detectBom(buffer) {
+    const bom = BOMS.find(({ bytes }) => bytes.length <= buffer.length && bytes.every((byte, i) => buffer[i] === byte));
+    return bom ? { encoding: bom.encoding, length: bom.bytes.length } : null;
+}
+
+/**
+ * UTF-16 without a BOM: text that is mostly ASCII has a zero in every other byte
+ *
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} - 'utf-16le', 'utf-16be' or null
+ */
+function detectUtf16(buffer) {
+    const pairs = Math.floor(Math.min(buffer.length, SAMPLE_SIZE) / 2);
+    if (pairs < 4) {
+        return null;
+    }
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+        if (buffer[i] === 0) evenZeros++;
+        if (buffer[i + 1] === 0) oddZeros++;
+    }
+
+    if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) {
+        return 'utf-16le';
+    }
+    if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) {
+        return 'utf-16be';
+    }
+    return null;
+}
+
+/**
+ * Strict UTF-8 check: no overlong forms, surrogates or code points past U+10FFFF. A
+ * sequence cut off by the end of the buffer is allowed, as the buffer may be a sample.
+ *
+ * @param {Buffer} buffer - Bytes to check
+ * @returns {Object} - { valid, multibyte } where multibyte counts the non-ASCII characters
+ */
+function checkUtf8(buffer) {
+    let multibyte = 0;
+
+    for (let i = 0; i < buffer.length; i++) {
+        const byte = buffer[i];
+        if (byte < 0x80) {
+            continue;
+        }
+
+        let length;
+        let min = 0x80;
+        let max = 0xBF;
+        if (byte >= 0xC2 && byte <= 0xDF) {
+            length = 1;
+        } else if (byte >= 0xE0 && byte <= 0xEF) {
+            length = 2;
+            if (byte === 0xE0) min = 0xA0;
+            if (byte === 0xED) max = 0x9F;
+        } else if (byte >= 0xF0 && byte <= 0xF4) {
+            length = 3;
+            if (byte === 0xF0) min = 0x90;
+            if (byte === 0xF4) max = 0x8F;
+        } else {
+            return { valid: false, multibyte };
+        }
+
+        for (let n = 1; n <= length; n++) {
+            if (i + n >= buffer.length) {
+                return { valid: true, multibyte };
+            }
+            const next = buffer[i + n];
+            if (n === 1 ? next < min || next > max : next < 0x80 || next > 0xBF) {
+                return { valid: false, multibyte };
+            }
+        }
+
+        multibyte++;
+        i += length;
+    }
+
+    return { valid: true, multibyte };
+}
+
+/**
+ * Score how much a decoding reads like text of a code page's languages, from local
+ * statistics of its non-ASCII characters:
+ * - how many decode to real characters rather than replacement or control characters
+ * - how many belong to the code page's script
+ * - how many of the letters next to each other belong together: same script, and no
+ *   capital right after a small letter in the middle of a word
+ * - how many are among the code page's common characters
+ * Latin code pages also lose points for runs of three or more accented letters, which
+ * are what Cyrillic or Greek text decoded as Latin looks like.
+ *
+ * @param {string} text - Decoded text
+ * @param {Object} codePage - Entry of CODE_PAGES
+ * @returns {number} - Score from 0 to 1
+ */
+function scoreDecoding(text, codePage) {
+    const script = SCRIPTS[codePage.script];
+    const chars = Array.from(text);
+    let total = 0;
+    let invalid = 0;
+    let inScript = 0;
+    let common = 0;
+    let pairs = 0;
+    let coherent = 0;
+    let run = 0;
+    let longRuns = 0;
+
+    const isLetter = char => /\p{L}/u.test(char);
+    const sameScript = char => char < '\u0080' ? codePage.script === 'latin' : script.test(char);
+
+    chars.forEach((char, i) => {
+        const ascii = char < '\u0080';
+        run = !ascii && isLetter(char) ? run + 1 : 0;
+        if (run === 3) {
+            longRuns++;
+        }
+        if (ascii) {
+            return;
+        }
+
+        total++;
+        if (char === '\uFFFD' || /[\u0080-\u009F\uE000-\uF8FF]/.test(char)) {
+            invalid++;
+            return;
+        }
+        if (script.test(char)) {
+            inScript++;
+        } else if (/[\p{P}\p{S}\p{Zs}]/u.test(char)) {
+            // Typographic quotes, dashes and symbols fit any script
+            inScript += 0.5;
+        }
+        if (codePage.common.includes(char)) {
+            common++;
+        }
+
+        const previous = chars[i - 1];
+        if (previous && isLetter(char) && isLetter(previous)) {
+            pairs++;
+            const caseFlip = /\p{Ll}/u.test(previous) && /\p{Lu}/u.test(char);
+            if (sameScript(previous) && script.test(char) && !caseFlip) {
+                coherent++;
+            }
+        }
+    });
+
+    if (!total) {
+        return 0;
+    }
+
+    const valid = 1 - invalid / total;
+    const letters = total - invalid;
+    const commonShare = letters ? Math.min(1, common / letters / codePage.expected) : 0;
+    const coherence = pairs ? coherent / pairs : 1;
+    let score = Math.pow(valid, 4) * (0.3 * (inScript / total) + 0.3 * coherence + 0.4 * commonShare);
+
+    if (codePage.script === 'latin') {
+        score *= 1 - Math.min(1, longRuns / Math.max(1, total / 6));
+    }
+    return Math.max(0, Math.min(1, score));
+}
+
+/**
+ * Guess the legacy code page of text that isn't UTF-8
+ *
+ * @param {Buffer} buffer - File content
+ * @returns {Array<Object>} - Candidates { encoding, confidence }, best first
+ */
+function guessCodePage(buffer) {
+    const iconv = require('iconv-lite');
+    const sample = buffer.subarray(0, SAMPLE_SIZE);
+
+    return CODE_PAGES
+        .map(codePage => ({ encoding: codePage.encoding, confidence: scoreDecoding(iconv.decode(sample, codePage.encoding), codePage) }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Detect the encoding of a subtitle file: a byte order mark wins, then UTF-16 without
+ * one, then UTF-8 if the bytes are valid UTF-8, else the best-reading legacy code page.
+ * The confidence of a guess is its score, lowered when the runner-up scores close to it.
+ *
+ * @param {Buffer} buffer - File content
+ * @returns {Object} - { encoding, confidence, method } where method is 'bom', 'utf-16',
+ *                     'utf-8' or 'guess'
+ */
+function detectEncoding(buffer) {
+    const bom = detectBom(buffer);
+    if (bom) {
+        return { encoding: bom.encoding, confidence: 1, method: 'bom' };
+    }
+
+    const utf16 = detectUtf16(buffer);
+    if (utf16) {
+        return { encoding: utf16, confidence: 0.9, method: 'utf-16' };
+    }
+
+    const utf8 = checkUtf8(buffer.subarray(0, SAMPLE_SIZE));
+    if (utf8.valid) {
+        // Legacy text that happens to be valid UTF-8 is rare and gets rarer with every character
+        const confidence = utf8.multibyte ? 1 - Math.pow(0.5, utf8.multibyte + 2) : 1;
+        return { encoding: 'utf-8', confidence: Math.round(confidence * 100) / 100, method: 'utf-8' };
+    }
+
+    const [best, runnerUp] = guessCodePage(buffer);
+    const margin = runnerUp && best.confidence ? 1 - runnerUp.confidence / best.confidence : 1;
+    return {
+        encoding: best.encoding,
+        confidence: Math.round(best.confidence * (0.5 + 0.5 * margin) * 100) / 100,
+        method: 'guess'
+    };
+}
+
+/**
+ * Check an encoding name given with --encoding
+ *
+ * @param {string} value - Encoding name, or 'auto'
+ * @returns {string} - The encoding name
+ */
+function parseEncoding(value) {
+    const name = String(value).trim().toLowerCase();
+    if (name === 'auto') {
+        return name;
+    }
+
+    const iconv = require('iconv-lite');
+    if (!iconv.encodingExists(name)) {
+        throw new Error(`Unknown encoding "${value}". Use e.g. utf-8, utf-16le, windows-1251, gb18030 or shift_jis`);
+    }
+    return name;
+}
+
+/**
+ * Decode a subtitle file, detecting its encoding unless one is given. A byte order mark
+ * of the encoding used is removed.
+ *
+ * @param {Buffer} buffer - File content
+ * @param {string} encoding - Encoding name, or 'auto' to detect it
+ * @returns {Object} - { text, encoding, confidence, method } where method is 'forced'
+ *                     for a given encoding
+ */
+function decodeText(buffer, encoding = 'auto') {
+    const iconv = require('iconv-lite');
+    const detected = encoding === 'auto'
+        ? detectEncoding(buffer)
+        : { encoding, confidence: 1, method: 'forced' };
+
+    // iconv-lite removes the BOM of the Unicode encodings
+    const text = iconv.decode(buffer, detected.encoding).replace(/^\uFEFF/, '');
+    return { text, ...detected };
+}
+
+module.exports = {
+    LOW_CONFIDENCE,
+    detectBom,
+    checkUtf8,
+    detectEncoding,
+    parseEncoding,
+    decodeText
+};
@@ -0,0 +1,438 @@
+/**
+ * Installed fonts: resolving font names to files (fontconfig, or the system font
+ * directories), reporting missing fonts and embedding font files in the [Fonts] section
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc', '.otc'];
+
+/**
+ * What to do about a font that isn't installed
+ */
+const MISSING_FONT_MODES = ['warn', 'error', 'ignore'];
+
+/**
+ * Styles of a family taken as its regular face, best first
+ */
+const REGULAR_STYLES = ['regular', 'book', 'normal', 'roman', 'medium', 'standard'];
+
+/**
+ * Embedded fonts are UU-encoded in lines of this many characters
+ */
+const UUENCODE_LINE_LENGTH = 80;
+
+/**
+ * Index of installed fonts by lower-cased family name, built once per process
+ */
+let fontIndex = null;
+
+/**
+ * Directories searched when fontconfig isn't available
+ *
+ * @returns {Array<string>} - Font directories of the platform
+ */
+function systemFontDirs() {
+    const home = os.homedir();
+    if (process.platform === 'win32') {
+        return [
+            path.join(process.env.WINDIR || 'C:\\Windows', 'Fonts'),
+            path.join(process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local'), 'Microsoft', 'Windows', 'Fonts')
+        ];
+    }
+    if (process.platform === 'darwin') {
+        return ['/System/Library/Fonts', '/Library/Fonts', path.join(home, 'Library', 'Fonts')];
+    }
+    return ['/usr/share/fonts', '/usr/local/share/fonts', path.join(home, '.fonts'), path.join(home, '.local', 'share', 'fonts')];
+}
+
+/**
+ * Read part of a file
+ *
+ * @param {number} fd - Open file descriptor
+ * @param {number} offset - Byte offset
+ * @param {number} length - Number of bytes
+ * @returns {Buffer} - Bytes read
+ */
+function readAt(fd, offset, length) {
+    const buffer = Buffer.alloc(length);
+    const read = fs.readSync(fd, buffer, 0, length, offset);
+    return buffer.subarray(0, read);
+}
+
+/**
+ * Family and style names from the name table of one font in an sfnt file
+ *
+ * @param {number} fd - Open file descriptor
+ * @param {number} offset - Offset of the font's table directory
+ * @returns {Object|null} - { families, style } or null if there is no name table
+ */
+function readNameTable(fd, offset) {
+    const header = readAt(fd, offset, 12);
+    const numTables = header.readUInt16BE(4);
+    const directory = readAt(fd, offset + 12, numTables * 16);
+
+    let nameOffset = -1;
+    let nameLength = 0;
+    for (let i = 0; i < numTables; i++) {
+        if (directory.toString('latin1', i * 16, i * 16 + 4) === 'name') {
+            nameOffset = directory.readUInt32BE(i * 16 + 8);
+            nameLength = directory.readUInt32BE(i * 16 + 12);
+        }
+    }
+    if (nameOffset < 0) {
+        return null;
+    }
+
+    const table = readAt(fd, nameOffset, nameLength);
+    const count = table.readUInt16BE(2);
+    const stringOffset = table.readUInt16BE(4);
+    const families = new Set();
+    const styles = {};
+
+    for (let i = 0; i < count; i++) {
+        const record = 6 + i * 12;
+        const platformId = table.readUInt16BE(record);
+        const languageId = table.readUInt16BE(record + 4);
+        const nameId = table.readUInt16BE(record + 6);
+        const length = table.readUInt16BE(record + 8);
+        const start = stringOffset + table.readUInt16BE(record + 10);
+        if (![1, 2, 16, 17].includes(nameId) || start + length > table.length) {
+            continue;
+        }
+
+        // Windows and Unicode names are UTF-16BE, Macintosh names are (mostly) Roman
+        const bytes = Buffer.from(table.subarray(start, start + length));
+        const name = platformId === 1 ? bytes.toString('latin1') : bytes.swap16().toString('utf16le');
+        if (nameId === 1 || nameId === 16) {
+            families.add(name.trim());
+        } else if (platformId !== 3 || languageId === 0x409) {
+            styles[nameId] = name.trim();
+        }
+    }
+
+    return { families: [...families].filter(Boolean), style: styles[17] || styles[2] || 'Regular' };
+}
+
+/**
+ * Family and style names of every font in a font file (several for collections)
+ *
+ * @param {string} file - Font file
+ * @returns {Array<Object>} - Faces { families, style, file }
+ */
+function readFontFile(file) {
+    let fd;
+    try {
+        fd = fs.openSync(file, 'r');
+        const header = readAt(fd, 0, 12);
+        const offsets = header.toString('latin1', 0, 4) === 'ttcf'
+            ? Array.from({ length: header.readUInt32BE(8) }, (_, i) => readAt(fd, 12 + i * 4, 4).readUInt32BE(0))
+            : [0];
+        return offsets.map(offset => readNameTable(fd, offset)).filter(Boolean).map(face => ({ ...face, file }));
+    } catch (error) {
+        // Unreadable or broken font files are skipped
+        return [];
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * List font files under a directory
+ *
+ * @param {string} dir - Directory
+ * @returns {Array<string>} - Font files
+ */
+function listFontFiles(dir) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+
+    return entries.flatMap(entry => {
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return listFontFiles(filePath);
+        }
+        return FONT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [filePath] : [];
+    });
+}
+
+/**
+ * Installed faces from fontconfig, the font lookup libass itself uses
+ *
+ * @returns {Array<Object>|null} - Faces { families, style, file }, or null without fontconfig
+ */
+function listFontconfigFaces() {
+    try {
+        const { execFileSync } = require('child_process');
+        const output = execFileSync('fc-list', ['--format', '%{family}\t%{style}\t%{file}\n'], {
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+            maxBuffer: 64 * 1024 * 1024
+        });
+
+        return output.split('\n').filter(Boolean).map(line => {
+            const [families, style, file] = line.split('\t');
+            return {
+                families: families.split(',').map(name => name.trim()).filter(Boolean),
+                style: (style || 'Regular').split(',')[0].trim(),
+                file
+            };
+        });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build (once) the index of installed fonts: from fontconfig where it is available,
+ * otherwise from the name tables of the files in the system font directories
+ *
+ * @returns {Map<string, Array<Object>>} - Faces by lower-cased family name
+ */
+function getFontIndex() {
+    if (fontIndex) {
+        return fontIndex;
+    }
+
+    const faces = listFontconfigFaces() || systemFontDirs().flatMap(listFontFiles).flatMap(readFontFile);
+    fontIndex = new Map();
+    faces.forEach(face => {
+        face.families.forEach(family => {
+            const key = family.toLowerCase();
+            if (!fontIndex.has(key)) {
+                fontIndex.set(key, []);
+            }
+            fontIndex.get(key).push({ family, style: face.style, file: face.file });
+        });
+    });
+    return fontIndex;
+}
+
+/**
+ * Find the file of an installed font
+ *
+ * @param {string} name - Family name
+ * @param {Object} params - Face wanted
+ * @param {boolean} params.bold - Bold face
+ * @param {boolean} params.italic - Italic face
+ * @returns {Object|null} - { family, style, file } or null if the family isn't installed
+ */
+function findFont(name, { bold = false, italic = false } = {}) {
+    const faces = getFontIndex().get(String(name).trim().toLowerCase());
+    if (!faces) {
+        return null;
+    }
+
+    const score = face => {
+        const style = face.style.toLowerCase();
+        const isBold = /bold|black|heavy/.test(style);
+        const isItalic = /italic|oblique/.test(style);
+        const regularRank = REGULAR_STYLES.findIndex(regular => style === regular);
+        return (isBold === bold ? 0 : 100)
+            + (isItalic === italic ? 0 : 50)
+            + (style.includes('semi') || style.includes('light') || style.includes('thin') ? 10 : 0)
+            + (regularRank >= 0 ? regularRank : REGULAR_STYLES.length);
+    };
+    return [...faces].sort((a, b) => score(a) - score(b))[0];
+}
+
+/**
+ * Whether a font family is installed. When no fonts can be listed at all, every font is
+ * taken as installed, since nothing can be checked.
+ *
+ * @param {string} name - Family name
+ * @returns {boolean} - True if installed
+ */
+function isFontInstalled(name) {
+    const index = getFontIndex();
+    return !index.size || index.has(String(name).trim().toLowerCase());
+}
+
+/**
+ * Font fontconfig falls back to for a missing family, as libass would
+ *
+ * @param {string} name - Family name
+ * @returns {string|null} - "Family (file)" or null without fontconfig
+ */
+function fallbackFont(name) {
+    try {
+        const { execFileSync } = require('child_process');
+        return execFileSync('fc-match', ['--format', '%{family[0]} (%{file})', name], {
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim() || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check a missing-font mode
+ *
+ * @param {string} value - Mode
+ * @returns {string} - The mode
+ */
+function parseMissingFontMode(value) {
+    const mode = String(value).trim().toLowerCase();
+    if (!MISSING_FONT_MODES.includes(mode)) {
+        throw new Error(`Invalid missing font mode "${value}". Expected one of: ${MISSING_FONT_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+/**
+ * Fonts and faces used by ASS text: \fn overrides, and whether \b or \i turn on bold or italic
+ *
+ * @param {Array<string>} texts - ASS texts
+ * @returns {Object} - { fonts, bold, italic } where fonts is a Set of family names
+ */
+function collectTextFonts(texts) {
+    const fonts = new Set();
+    let bold = false;
+    let italic = false;
+
+    texts.forEach(text => {
+        (text.match(/\{[^}]*\}/g) || []).forEach(block => {
+            (block.match(/\\fn[^\\}]*/g) || []).forEach(tag => {
+                if (tag.length > 3) {
+                    fonts.add(tag.slice(3).trim());
+                }
+            });
+            if (/\\b(?:1|[5-9]00)(?![0-9])/.test(block)) bold = true;
+            if (/\\i1(?![0-9])/.test(block)) italic = true;
+        });
+    });
+
+    return { fonts, bold, italic };
+}
+
+/**
+ * Resolve the fonts a script uses to files, report each one and deal with the missing ones
+ * ('ignore' still resolves the installed ones, for embedding)
+ *
+ * @param {Array<string>} names - Family names
+ * @param {Object} params - Check settings
+ * @param {string} params.mode - 'warn', 'error' or 'ignore'
+ * @param {boolean} params.bold - Also look for bold faces
+ * @param {boolean} params.italic - Also look for italic faces
+ * @param {Object} params.logger - Logger
+ * @returns {Array<Object>} - Faces found { family, style, file }, regular first
+ */
+function checkFonts(names, { mode = 'warn', bold = false, italic = false, logger }) {
+    if (!getFontIndex().size) {
+        if (mode !== 'ignore') {
+            const message = 'No installed fonts could be listed (no fontconfig or font directories); fonts are not checked.';
+            logger.warn(message);
+            logger.issue('fonts-unchecked', 'info', message);
+        }
+        return [];
+    }
+
+    const found = [];
+    const missing = [];
+    [...new Set(names)].forEach(name => {
+        const regular = findFont(name);
+        if (!regular) {
+            missing.push(name);
+            return;
+        }
+        logger.log(`Font "${name}": ${regular.file} (${regular.style})`);
+
+        const faces = [regular];
+        if (bold) faces.push(findFont(name, { bold: true }));
+        if (italic) faces.push(findFont(name, { italic: true }));
+        faces.forEach(face => {
+            if (!found.some(other => other.file === face.file)) {
+                found.push(face);
+            }
+        });
+    });
+
+    if (missing.length && mode !== 'ignore') {
+        const details = missing.map(name => {
+            const fallback = fallbackFont(name);
+            return `"${name}"${fallback ? ` (measured with ${fallback} instead)` : ''}`;
+        });
+        const message = `Font${missing.length > 1 ? 's' : ''} not installed: ${details.join(', ')}. Boxes may not match players that have ${missing.length > 1 ? 'these fonts' : 'it'}; install ${missing.length > 1 ? 'them' : 'it'} or pick another with --font or --font-fallback.`;
+        if (mode === 'error') {
+            throw new Error(message);
+        }
+        logger.warn(message);
+        missing.forEach((name, i) => {
+            logger.issue('missing-font', 'warning', `Font not installed: ${details[i]}.`, { font: name });
+        });
+    }
+
+    return found;
+}
+
+/**
+ * UU-encode a font file the way ASS embeds fonts: every 3 bytes become 4 characters of
+ * 6 bits plus 33, a last group of 1 or 2 bytes becomes 2 or 3 characters, and the
+ * result is split into lines of 80 characters
+ *
+ * @param {Buffer} data - Font file content
+ * @returns {Array<string>} - Encoded lines
+ */
+function uuencodeFont(data) {
+    let encoded = '';
+    for (let i = 0; i < data.length; i += 3) {
+        const bytes = [data[i], data[i + 1] || 0, data[i + 2] || 0];
+        const group = (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+        const chars = [18, 12, 6, 0].map(shift => String.fromCharCode(((group >> shift) & 0x3F) + 33));
+        encoded += chars.slice(0, Math.min(4, data.length - i + 1)).join('');
+    }
+
+    const lines = [];
+    for (let i = 0; i < encoded.length; i += UUENCODE_LINE_LENGTH) {
+        lines.push(encoded.slice(i, i + UUENCODE_LINE_LENGTH));
+    }
+    return lines;
+}
+
+/**
+ * [Fonts] section embedding font files
+ *
+ * @param {Array<Object>} faces - Faces from checkFonts()
+ * @param {Object} logger - Logger
+ * @returns {string} - Section text, or an empty string without fonts
+ */
+function buildFontsSection(faces, logger) {
+    if (!faces.length) {
+        return '';
+    }
+
+    const used = new Set();
+    const entries = faces.map(face => {
+        const data = fs.readFileSync(face.file);
+        // Embedded font names must be unique; the file name keeps the face recognisable
+        let name = path.basename(face.file);
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${path.basename(face.file, path.extname(face.file))}_${n}${path.extname(face.file)}`;
+        }
+        used.add(name.toLowerCase());
+        logger.log(`Embedding ${face.family} ${face.style}: ${face.file} (${Math.round(data.length / 1024)} KB)`);
+        return [`fontname: ${name}`, ...uuencodeFont(data)].join('\n');
+    });
+
+    return `[Fonts]\n${entries.join('\n')}\n`;
+}
+
+module.exports = {
+    MISSING_FONT_MODES,
+    findFont,
+    isFontInstalled,
+    parseMissingFontMode,
+    collectTextFonts,
+    checkFonts,
+    uuencodeFont,
+    buildFontsSection
+};
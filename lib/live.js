@@ -0,0 +1,267 @@
+/**
+ * Live captions: cues that keep arriving (a growing SRT or VTT file, or one JSON cue per
+ * line) are laid out as they come and written as a growing ASS script
+ */
+
+const fs = require('fs');
+const subtitle = require('subtitle');
+const { renderRoundedAss, Logger } = require('./roundedAss');
+const { decodeText } = require('./encoding');
+
+/**
+ * Formats read in live mode: SRT or VTT blocks, or newline-delimited JSON cues
+ */
+const LIVE_FORMATS = ['srt', 'vtt', 'ndjson'];
+
+/**
+ * Cues that ended this long (seconds) before the written part are still laid out with the
+ * new ones, so the flicker fix and timing rules see their neighbours
+ */
+const KEEP_BEHIND = 1;
+
+/**
+ * How often a followed file is checked for new content, in milliseconds
+ */
+const POLL_INTERVAL = 250;
+
+/**
+ * Parse one line of newline-delimited JSON: { start, end, text } in seconds, with
+ * optional settings, speaker and words ({ word | text, start, end })
+ *
+ * @param {string} line - JSON line
+ * @returns {Object} - Cue
+ */
+function parseCueLine(line) {
+    let data;
+    try {
+        data = JSON.parse(line);
+    } catch (error) {
+        throw new Error(`Invalid JSON cue: ${error.message}`);
+    }
+    if (!data || typeof data.start !== 'number' || typeof data.end !== 'number') {
+        throw new Error('JSON cues need a start and end time in seconds');
+    }
+
+    const words = Array.isArray(data.words)
+        ? data.words
+            .map(word => ({ text: String(word.text !== undefined ? word.text : word.word || '').trim(), start: word.start, end: word.end }))
+            .filter(word => word.text && typeof word.start === 'number' && typeof word.end === 'number')
+        : [];
+    return {
+        start: data.start,
+        end: data.end,
+        text: String(data.text !== undefined ? data.text : words.map(word => word.text).join(' ')),
+        settings: data.settings,
+        speaker: data.speaker,
+        words: words.length ? words : undefined
+    };
+}
+
+/**
+ * Split incoming bytes into cues. SRT and VTT cues are complete at the blank line after
+ * them, JSON cues at the end of their line; the rest waits for more input.
+ *
+ * @param {string} format - One of LIVE_FORMATS
+ * @param {Object} params - Reader settings
+ * @param {string} params.encoding - Character encoding, or 'auto' to detect it per chunk
+ * @param {Logger} params.logger - Logger for cues that can't be read
+ * @returns {Object} - { write(chunk) -> cues, end() -> cues } with times in seconds
+ */
+function createCueReader(format, { encoding = 'auto', logger = new Logger() } = {}) {
+    if (!LIVE_FORMATS.includes(format)) {
+        throw new Error(`Live input must be ${LIVE_FORMATS.join(', ')}. Got: ${format}`);
+    }
+    let pending = Buffer.alloc(0);
+
+    const parse = bytes => {
+        const text = decodeText(bytes, encoding).text;
+        if (format === 'ndjson') {
+            return text.split(/\r?\n/).filter(line => line.trim()).flatMap(line => {
+                try {
+                    return [parseCueLine(line)];
+                } catch (error) {
+                    logger.warn(`${error.message}; line skipped: ${line.slice(0, 80)}`);
+                    return [];
+                }
+            });
+        }
+        return subtitle.parseSync(text)
+            .filter(item => item.type === 'cue')
+            .map(({ data }) => ({ start: data.start / 1000, end: data.end / 1000, text: data.text, settings: data.settings }));
+    };
+
+    // Offset just past the last complete cue; latin1 keeps one character per byte
+    const completeUpTo = () => {
+        const text = pending.toString('latin1');
+        if (format === 'ndjson') {
+            return text.lastIndexOf('\n') + 1;
+        }
+        let end = 0;
+        const blank = /\r?\n[ \t]*\r?\n/g;
+        let match;
+        while ((match = blank.exec(text))) {
+            end = match.index + match[0].length;
+        }
+        return end;
+    };
+
+    return {
+        write(chunk) {
+            pending = Buffer.concat([pending, chunk]);
+            const end = completeUpTo();
+            if (!end) {
+                return [];
+            }
+            const complete = pending.slice(0, end);
+            pending = pending.slice(end);
+            return parse(complete);
+        },
+        end() {
+            const rest = pending;
+            pending = Buffer.alloc(0);
+            return rest.toString('latin1').trim() ? parse(rest) : [];
+        }
+    };
+}
+
+/**
+ * Create a live renderer. Every batch of new cues is laid out together with the cues still
+ * on screen, so rolling captions keep stacking: the newest cue sits on the base line and
+ * pushes the older ones up. Measurements are cached, so only new texts are measured.
+ *
+ * What is shown before the start of the newest cue can no longer change, and is written;
+ * the rest waits for the next batch (a newer cue may push it up) or for flush().
+ *
+ * @param {Object} options - renderRoundedAss() options (width, height and styling); no input
+ * @returns {Object} - { push(cues) -> string, flush() -> string } where the strings are ASS
+ *                     text to append: the header first, then Dialogue lines
+ */
+function createLiveRenderer({ logger: output, silent = false, ...options } = {}) {
+    const logger = output instanceof Logger ? output : new Logger(options.verbose, silent ? null : output || console);
+
+    if (options.secondary) {
+        throw new Error('Secondary subtitles are not supported in live mode');
+    }
+    if (options.format && !['cues', 'ndjson', 'srt', 'vtt'].includes(options.format)) {
+        throw new Error(`Live mode lays out SRT, VTT or JSON cues. Got: ${options.format}`);
+    }
+    // The styles are in the header, written before the later speakers are known
+    if (options.speakerStyles || (options.speakers && Object.keys(options.speakers).length)) {
+        logger.warn('Speaker styles are not supported in live mode and were turned off.');
+    }
+    const renderOptions = { ...options, speakerStyles: false, speakers: {} };
+    delete renderOptions.format;
+
+    let header = null;
+    // Everything shown before this time has been written
+    let written = -Infinity;
+    let window = [];
+    const warnings = new Set();
+
+    const render = (cues, range) => {
+        const result = renderRoundedAss({ ...renderOptions, input: cues, format: 'cues', range, silent: true });
+        result.warnings.filter(warning => !warnings.has(warning)).forEach(warning => {
+            warnings.add(warning);
+            logger.warn(warning);
+        });
+
+        const lines = result.ass.split('\n');
+        const eventsStart = lines.findIndex(line => line.trim() === '[Events]') + 2;
+        let text = lines.slice(eventsStart).filter(line => line.startsWith('Dialogue:')).map(line => `${line}\n`).join('');
+        if (header === null) {
+            header = `${lines.slice(0, eventsStart).join('\n')}\n`;
+            text = header + text;
+            // Later batches keep the font of the header's Default style
+            const defaultStyle = lines.find(line => line.startsWith('Style: Default,'));
+            if (!renderOptions.font && defaultStyle) {
+                renderOptions.font = defaultStyle.split(',')[1];
+            }
+        }
+        logger.log(`Live: ${result.stats.events} events written up to ${isFinite(range.end) ? `${range.end.toFixed(2)}s` : 'the end'}, ${result.stats.measured} new texts measured`);
+        return text;
+    };
+
+    return {
+        push(cues) {
+            if (!cues.length) {
+                return '';
+            }
+            cues.filter(cue => cue.start < written).forEach(cue => {
+                logger.warn(`Cue at ${cue.start.toFixed(2)}s arrived after that time was written; only its rest is shown.`);
+            });
+
+            const next = [...window, ...cues].sort((a, b) => a.start - b.start);
+            const until = Math.max(written, ...cues.map(cue => cue.start));
+            const text = render(next, { start: written, end: until });
+
+            written = until;
+            window = next.filter((cue, i) => cue.end > written - KEEP_BEHIND || i === next.length - 1);
+            return text;
+        },
+        flush() {
+            if (!window.length) {
+                return '';
+            }
+            const text = render(window, { start: written, end: Infinity });
+            written = Math.max(written, ...window.map(cue => cue.end));
+            window = [];
+            return text;
+        }
+    };
+}
+
+/**
+ * Follow a file that keeps growing, like tail -f. Content already in the file comes first.
+ * A file that shrinks (truncated or replaced) is read again from the start.
+ *
+ * @param {string} filePath - File to follow
+ * @param {Function} onData - Called with each new chunk of bytes
+ * @param {Object} params - Settings
+ * @param {Function} params.onReset - Called when the file was truncated
+ * @param {number} params.interval - Poll interval in milliseconds
+ * @returns {Function} - Stops following
+ */
+function tailFile(filePath, onData, { onReset = () => {}, interval = POLL_INTERVAL } = {}) {
+    let offset = 0;
+
+    const read = () => {
+        let size;
+        try {
+            size = fs.statSync(filePath).size;
+        } catch (error) {
+            // Not there (yet), e.g. while being replaced
+            return;
+        }
+        if (size < offset) {
+            offset = 0;
+            onReset();
+        }
+        if (size === offset) {
+            return;
+        }
+
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const chunk = Buffer.alloc(size - offset);
+            const bytesRead = fs.readSync(fd, chunk, 0, chunk.length, offset);
+            offset += bytesRead;
+            if (bytesRead) {
+                onData(chunk.slice(0, bytesRead));
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    };
+
+    read();
+    fs.watchFile(filePath, { interval }, read);
+    return () => fs.unwatchFile(filePath, read);
+}
+
+module.exports = {
+    LIVE_FORMATS,
+    parseCueLine,
+    createCueReader,
+    createLiveRenderer,
+    tailFile
+};
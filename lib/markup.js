@@ -0,0 +1,245 @@
+/**
+ * Translate inline SRT/WebVTT markup into ASS override tags
+ */
+
+const { NAMED_COLORS, parseColor, toAssColor } = require('./color');
+
+/**
+ * Simple on/off styles and their ASS override tag
+ */
+const TOGGLE_TAGS = {
+    i: 'i',
+    em: 'i',
+    b: 'b',
+    strong: 'b',
+    u: 'u',
+    s: 's'
+};
+
+/**
+ * Tags that carry no visual styling in ASS and are dropped without a warning
+ */
+const SILENT_TAGS = ['v', 'lang', 'span', 'rb', 'rp'];
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': "'",
+    '&nbsp;': ' ',
+    '&lrm;': '\u200E',
+    '&rlm;': '\u200F'
+};
+
+/**
+ * Convert a colour from markup (#RRGGBB, rgb(), a colour name, ...) into an ASS colour value
+ *
+ * @param {string} value - Colour from markup
+ * @returns {string|null} - ASS colour like &H0000FF& (BBGGRR), or null if not recognised
+ */
+function markupColorToAss(value) {
+    try {
+        return toAssColor(parseColor(value));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read an attribute from the inside of an HTML-like tag
+ *
+ * @param {string} attributes - Raw attribute string, e.g. 'color="#ff0000" face=Arial'
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} - Attribute value
+ */
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? (match[1] ?? match[2] ?? match[3]) : undefined;
+}
+
+/**
+ * Translate the inline markup of one cue into ASS override tags.
+ *
+ * Supported: <i>, <b>, <u>, <s> (and <em>/<strong>), <font color/face>, WebVTT <c.class>
+ * colour classes, <v Speaker> (removed, speaker reported), <ruby> (base text kept, <rt>
+ * annotations dropped), <lang> and inline timestamps (removed). Anything else is stripped
+ * and reported through onUnsupported.
+ *
+ * @param {string} text - Cue text with SRT/VTT markup
+ * @param {Object} options - Translator options
+ * @param {Function} options.onUnsupported - Called once per unsupported tag name
+ * @returns {Object} - { text, speaker } with ASS override tags in text
+ */
+function convertMarkupToAss(text, options = {}) {
+    const onUnsupported = options.onUnsupported || (() => {});
+    const depth = { i: 0, b: 0, u: 0, s: 0 };
+    const colorStack = [];
+    const fontStack = [];
+    // Every opened <c>/<font> records what it changed so its closing tag can undo exactly that
+    const classStack = [];
+    let rubyTextDepth = 0;
+    let speaker = null;
+
+    const restoreColor = () => (colorStack.length ? `\\1c${colorStack[colorStack.length - 1]}` : '\\1c');
+    const restoreFont = () => (fontStack.length ? `\\fn${fontStack[fontStack.length - 1]}` : '\\fn');
+
+    let output = '';
+    let cursor = 0;
+    const tagPattern = /<(\/?)(\d{2}:[\d:.]+|[a-zA-Z][a-zA-Z0-9]*)((?:\.[\w-]+)*)([^>]*)>/g;
+    let match;
+
+    while ((match = tagPattern.exec(text)) !== null) {
+        if (!rubyTextDepth) {
+            output += text.slice(cursor, match.index);
+        }
+        cursor = tagPattern.lastIndex;
+
+        const closing = match[1] === '/';
+        const name = match[2].toLowerCase();
+        const classes = match[3] ? match[3].slice(1).split('.') : [];
+        const attributes = match[4] || '';
+
+        // Inline karaoke timestamps such as <00:00:01.500>
+        if (/^\d{2}:/.test(name)) {
+            continue;
+        }
+
+        if (TOGGLE_TAGS[name]) {
+            const tag = TOGGLE_TAGS[name];
+            if (closing) {
+                depth[tag] = Math.max(0, depth[tag] - 1);
+                if (depth[tag] === 0) {
+                    output += `{\\${tag}0}`;
+                }
+            } else {
+                if (depth[tag] === 0) {
+                    output += `{\\${tag}1}`;
+                }
+                depth[tag]++;
+            }
+            continue;
+        }
+
+        if (name === 'font' || name === 'c') {
+            if (closing) {
+                const opened = classStack.pop() || {};
+                const restore = [];
+                if (opened.color) {
+                    colorStack.pop();
+                    restore.push(restoreColor());
+                }
+                if (opened.face) {
+                    fontStack.pop();
+                    restore.push(restoreFont());
+                }
+                if (restore.length) {
+                    output += `{${restore.join('')}}`;
+                }
+                continue;
+            }
+
+            const opened = {};
+            const tags = [];
+            const colorValue = name === 'font'
+                ? getAttribute(attributes, 'color')
+                : classes.map(cls => (NAMED_COLORS[cls.toLowerCase()] ? cls : null)).filter(Boolean).pop();
+            const color = colorValue !== undefined && colorValue !== null ? markupColorToAss(colorValue) : null;
+            const face = name === 'font' ? getAttribute(attributes, 'face') : undefined;
+
+            if (color) {
+                colorStack.push(color);
+                opened.color = true;
+                tags.push(`\\1c${color}`);
+            } else if (colorValue) {
+                onUnsupported(`font color "${colorValue}"`);
+            }
+            if (face) {
+                fontStack.push(face);
+                opened.face = true;
+                tags.push(`\\fn${face}`);
+            }
+            if (name === 'font' && getAttribute(attributes, 'size') !== undefined) {
+                onUnsupported('font size');
+            }
+
+            classStack.push(opened);
+            if (tags.length) {
+                output += `{${tags.join('')}}`;
+            }
+            continue;
+        }
+
+        if (name === 'v') {
+            if (!closing && speaker === null) {
+                speaker = attributes.trim() || null;
+            }
+            continue;
+        }
+
+        if (name === 'ruby') {
+            continue;
+        }
+
+        if (name === 'rt') {
+            rubyTextDepth = closing ? Math.max(0, rubyTextDepth - 1) : rubyTextDepth + 1;
+            continue;
+        }
+
+        if (SILENT_TAGS.includes(name)) {
+            continue;
+        }
+
+        if (!closing) {
+            onUnsupported(`<${name}>`);
+        }
+    }
+
+    if (!rubyTextDepth) {
+        output += text.slice(cursor);
+    }
+
+    output = output.replace(/&(?:amp|lt|gt|quot|apos|nbsp|lrm|rlm);/g, entity => ENTITIES[entity]);
+
+    // Merge adjacent override blocks: {\i1}{\b1} -> {\i1\b1}
+    output = output.replace(/\}\{/g, '');
+
+    return { text: output, speaker };
+}
+
+/**
+ * Split ASS text on \N, carrying the override tags of earlier lines into later ones so
+ * each line renders with the same styling it had as part of the whole cue.
+ *
+ * @param {string} text - ASS text with \N line breaks
+ * @returns {Array<string>} - Lines with inherited override blocks prefixed
+ */
+function splitAssLines(text) {
+    const lines = text.split('\\N');
+    let inherited = '';
+
+    return lines.map(line => {
+        const result = inherited ? `{${inherited}}${line}` : line;
+        (line.match(/\{[^}]*\}/g) || []).forEach(block => {
+            inherited += block.slice(1, -1);
+        });
+        return result;
+    });
+}
+
+/**
+ * Remove ASS override blocks, leaving only visible text
+ *
+ * @param {string} text - ASS text
+ * @returns {string} - Text without {...} blocks
+ */
+function stripAssTags(text) {
+    return text.replace(/\{[^}]*\}/g, '');
+}
+
+module.exports = {
+    convertMarkupToAss,
+    markupColorToAss,
+    splitAssLines,
+    stripAssTags
+};
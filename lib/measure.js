@@ -0,0 +1,257 @@
+/**
+ * Text measurement with ass-measure: batched, cached and with unique temporary files
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Measurements kept per process, so the same text is only measured once across cues,
+ * wrapping passes and files. The oldest entries are dropped past MAX_CACHE_ENTRIES.
+ */
+const cache = new Map();
+const MAX_CACHE_ENTRIES = 100000;
+
+/**
+ * Counters for the verbose summary: ass-measure calls, texts measured and cache hits
+ */
+const stats = { calls: 0, measured: 0, hits: 0 };
+
+let tempCounter = 0;
+
+/**
+ * Path for a new temporary ASS file. Process id, a counter and random bytes keep names
+ * unique within the same millisecond and across processes.
+ *
+ * @returns {string} - Path in the system temp directory
+ */
+function tempAssPath() {
+    tempCounter += 1;
+    return path.join(os.tmpdir(), `rounded-ass-${process.pid}-${tempCounter}-${crypto.randomBytes(4).toString('hex')}.ass`);
+}
+
+/**
+ * Measure every dialogue line of an ASS file with the ass-measure addon
+ *
+ * @param {string} assFilePath - Path to ASS file
+ * @param {number} videoWidth - Video width
+ * @param {number} videoHeight - Video height
+ * @returns {Array} - Array of dimensions { index, text, width, height }
+ */
+function measureAssFile(assFilePath, videoWidth, videoHeight) {
+    try {
+        const measureDimensions = require('ass-measure');
+        const result = measureDimensions(assFilePath, videoWidth, videoHeight);
+        stats.calls += 1;
+
+        return result.map((line, index) => ({
+            index,
+            text: line.text,
+            width: line.width,
+            height: line.height
+        }));
+    } catch (error) {
+        throw new Error(`Failed to measure subtitle dimensions: ${error.message}`);
+    }
+}
+
+/**
+ * Write ASS content to a temporary file, measure it and always remove the file
+ *
+ * @param {string} content - ASS script
+ * @param {number} videoWidth - Video width
+ * @param {number} videoHeight - Video height
+ * @param {number} expected - Number of dialogue lines in the script
+ * @returns {Array} - Array of dimensions, one per dialogue line
+ */
+function measureAssContent(content, videoWidth, videoHeight, expected) {
+    const tempFilePath = tempAssPath();
+    fs.writeFileSync(tempFilePath, content, 'utf8');
+    try {
+        const dimensions = measureAssFile(tempFilePath, videoWidth, videoHeight);
+        if (!dimensions || dimensions.length !== expected) {
+            throw new Error(`Expected ${expected} measurements, got ${dimensions ? dimensions.length : 0}`);
+        }
+        return dimensions;
+    } finally {
+        fs.removeSync(tempFilePath);
+    }
+}
+
+/**
+ * Format seconds as an ASS time (H:MM:SS.ss)
+ *
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - ASS time
+ */
+function assTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toFixed(2).padStart(5, '0')}`;
+}
+
+/**
+ * ASS script that holds the subtitles as dialogue lines in one Default style, each with
+ * its own font size if it has one
+ *
+ * @param {Array<Object>} subtitles - Subtitles with text, and optional fontSize and margins
+ * @param {string} fontName - Font name
+ * @param {number} fontSize - Font size of the style
+ * @param {number} videoWidth - Video width
+ * @param {number} videoHeight - Video height
+ * @returns {string} - ASS script
+ */
+function buildMeasureScript(subtitles, fontName, fontSize, videoWidth, videoHeight) {
+    const events = subtitles.map(sub => {
+        const sizeTag = sub.fontSize ? `{\\fs${sub.fontSize}}` : '';
+        return `Dialogue: 0,${assTime(sub.start || 0)},${assTime(sub.end || 1)},Default,,${sub.marginL || 0},${sub.marginR || 0},0,,${sizeTag}${sub.text}`;
+    });
+
+    return `[Script Info]
+Title: Temporary ASS file for measurement
+ScriptType: v4.00+
+PlayResX: ${videoWidth}
+PlayResY: ${videoHeight}
+WrapStyle: 0
+ScaledBorderAndShadow: yes
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,${fontName},${fontSize},&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,0,0,5,10,10,10,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+${events.join('\n')}
+`;
+}
+
+/**
+ * Measure a batch of subtitles (or plain strings). Texts already measured with the same
+ * font, size, margins and resolution come from the cache; the rest are measured together
+ * in a single ass-measure call.
+ *
+ * @param {Array<Object|string>} items - Subtitles, or texts to measure
+ * @param {string} fontName - Font name
+ * @param {number} fontSize - Font size, unless an item has its own
+ * @param {number} videoWidth - Video width
+ * @param {number} videoHeight - Video height
+ * @returns {Array} - Array of dimensions { width, height }, in the same order as items
+ */
+function measureTexts(items, fontName, fontSize, videoWidth, videoHeight) {
+    if (!items.length) {
+        return [];
+    }
+
+    const subtitles = items.map(item => (typeof item === 'string' ? { text: item } : item));
+    const keys = subtitles.map(sub => [
+        videoWidth, videoHeight, fontName, sub.fontSize || fontSize, sub.marginL || 0, sub.marginR || 0, sub.text
+    ].join('|'));
+
+    // Distinct texts that aren't cached yet, measured once each
+    const missing = new Map();
+    keys.forEach((key, i) => {
+        if (cache.has(key)) {
+            stats.hits += 1;
+        } else if (!missing.has(key)) {
+            missing.set(key, subtitles[i]);
+        }
+    });
+
+    if (missing.size) {
+        const batch = [...missing.values()];
+        const dimensions = measureAssContent(buildMeasureScript(batch, fontName, fontSize, videoWidth, videoHeight), videoWidth, videoHeight, batch.length);
+        stats.measured += batch.length;
+
+        [...missing.keys()].forEach((key, i) => {
+            if (cache.size >= MAX_CACHE_ENTRIES) {
+                cache.delete(cache.keys().next().value);
+            }
+            cache.set(key, { width: dimensions[i].width, height: dimensions[i].height });
+        });
+    }
+
+    return keys.map(key => ({ ...cache.get(key) }));
+}
+
+/**
+ * Find the largest font size at which each subtitle fits a maximum height, with a binary
+ * search per subtitle. Every round measures the next candidate size of all subtitles still
+ * searching in one batch. Subtitles that don't fit even at minFontSize get that size.
+ *
+ * @param {Array<Object>} subtitles - Subtitles, with their own fontSize if they have one
+ * @param {Array<Object>} dimensions - Current measurements of the subtitles
+ * @param {Object} params - Font, video and fitting settings
+ * @param {Function} params.fits - (dimensions) => whether a measurement fits
+ * @param {number} params.minFontSize - Smallest size to try
+ * @returns {Array<Object>} - { fontSize, dimensions, reduced } per subtitle
+ */
+function fitFontSizes(subtitles, dimensions, params) {
+    const { fontName, fontSize, videoWidth, videoHeight, fits, minFontSize = 10 } = params;
+
+    const results = subtitles.map((sub, idx) => ({
+        fontSize: sub.fontSize || fontSize,
+        dimensions: dimensions[idx],
+        reduced: false
+    }));
+
+    let searches = results
+        .map((result, idx) => ({ idx, low: minFontSize, high: result.fontSize - 1, best: null, smallest: null }))
+        .filter(search => !fits(results[search.idx].dimensions) && search.high >= search.low);
+
+    const fitted = searches;
+    while (searches.length) {
+        const sizes = searches.map(search => Math.floor((search.low + search.high) / 2));
+        const measured = measureTexts(
+            searches.map((search, i) => ({ ...subtitles[search.idx], fontSize: sizes[i] })),
+            fontName,
+            fontSize,
+            videoWidth,
+            videoHeight
+        );
+
+        searches.forEach((search, i) => {
+            const candidate = { fontSize: sizes[i], dimensions: measured[i] };
+            if (fits(measured[i])) {
+                search.best = candidate;
+                search.low = sizes[i] + 1;
+            } else {
+                search.smallest = candidate;
+                search.high = sizes[i] - 1;
+            }
+        });
+        searches = searches.filter(search => search.low <= search.high);
+    }
+
+    fitted.forEach(search => {
+        results[search.idx] = { ...(search.best || search.smallest), reduced: true };
+    });
+
+    return results;
+}
+
+/**
+ * Measurement counters since the process started
+ *
+ * @returns {Object} - { calls, measured, hits, cached }
+ */
+function measureStats() {
+    return { ...stats, cached: cache.size };
+}
+
+/**
+ * Forget every cached measurement
+ */
+function clearMeasureCache() {
+    cache.clear();
+}
+
+module.exports = {
+    measureAssContent,
+    measureTexts,
+    fitFontSizes,
+    measureStats,
+    clearMeasureCache
+};
@@ -0,0 +1,238 @@
+/**
+ * Cue placement hints: WebVTT cue settings and SRT/ASS {\anN} alignment tags
+ */
+
+/**
+ * Legacy SSA \a values mapped to numpad-style \an values
+ */
+const LEGACY_ALIGNMENT = {
+    1: 1, 2: 2, 3: 3,
+    5: 7, 6: 8, 7: 9,
+    9: 4, 10: 5, 11: 6
+};
+
+/**
+ * Parse a WebVTT cue settings string such as "line:10% position:20%,line-left align:start size:50%"
+ *
+ * @param {string|undefined} settings - Raw cue settings from the timing line
+ * @returns {Object|null} - Parsed settings, or null when there are none
+ */
+function parseCueSettings(settings) {
+    if (!settings || !settings.trim()) {
+        return null;
+    }
+
+    const parsed = {};
+
+    settings.trim().split(/\s+/).forEach(token => {
+        const separator = token.indexOf(':');
+        if (separator <= 0) {
+            return;
+        }
+
+        const key = token.slice(0, separator);
+        const [value, modifier] = token.slice(separator + 1).split(',');
+
+        switch (key) {
+            case 'line': {
+                const number = parseFloat(value);
+                if (!isNaN(number)) {
+                    parsed.line = { value: number, percent: value.endsWith('%') };
+                    if (['start', 'center', 'end'].includes(modifier)) {
+                        parsed.lineAlign = modifier;
+                    }
+                }
+                break;
+            }
+            case 'position': {
+                const number = parseFloat(value);
+                if (!isNaN(number) && value.endsWith('%')) {
+                    parsed.position = number;
+                    if (['line-left', 'center', 'line-right'].includes(modifier)) {
+                        parsed.positionAlign = modifier;
+                    }
+                }
+                break;
+            }
+            case 'size': {
+                const number = parseFloat(value);
+                if (!isNaN(number) && value.endsWith('%')) {
+                    parsed.size = number;
+                }
+                break;
+            }
+            case 'align':
+                if (['start', 'center', 'middle', 'end', 'left', 'right'].includes(value)) {
+                    parsed.align = value;
+                }
+                break;
+            case 'vertical':
+                if (['rl', 'lr'].includes(value)) {
+                    parsed.vertical = value;
+                }
+                break;
+            default:
+                break;
+        }
+    });
+
+    return Object.keys(parsed).length ? parsed : null;
+}
+
+/**
+ * Remove \anN (and legacy \aN) positioning tags from cue text and report the alignment they asked for
+ *
+ * @param {string} text - Cue text, possibly containing override blocks like {\an8}
+ * @returns {Object} - { text, alignment } where alignment is a numpad value 1-9 or null
+ */
+function extractAlignmentTag(text) {
+    let alignment = null;
+
+    const stripped = text.replace(/\{([^}]*)\}/g, (block, tags) => {
+        const remaining = tags.replace(/\\an?(\d{1,2})/g, (tag, value) => {
+            const number = parseInt(value, 10);
+            const resolved = tag.startsWith('\\an') ? (number >= 1 && number <= 9 ? number : null) : LEGACY_ALIGNMENT[number];
+
+            // Like libass, the first alignment tag in a line wins
+            if (resolved && alignment === null) {
+                alignment = resolved;
+            }
+            return '';
+        });
+
+        return remaining.trim() ? `{${remaining}}` : '';
+    });
+
+    return { text: stripped, alignment };
+}
+
+/**
+ * Map a horizontal keyword (VTT align or numpad column) to a text alignment
+ *
+ * @param {string} align - VTT align value
+ * @returns {string} - 'left', 'center' or 'right'
+ */
+function textAlignFromVtt(align) {
+    if (align === 'start' || align === 'left') {
+        return 'left';
+    }
+    if (align === 'end' || align === 'right') {
+        return 'right';
+    }
+    return 'center';
+}
+
+/**
+ * Resolve a cue's placement hints into screen anchors.
+ *
+ * The horizontal result describes where the box's aligned edge sits: its left edge for
+ * left-aligned text, its centre for centred text and its right edge for right-aligned
+ * text. The vertical result is one of:
+ * - bottom: stacked up from the bottom margin (the default)
+ * - top: stacked down from the top margin
+ * - middle: centred on screen
+ * - line: the box edge given by lineAlign sits at lineY
+ *
+ * @param {Object} sub - Subtitle with optional settings (parsed VTT settings) and alignment (numpad 1-9)
+ * @param {Object} params - Layout parameters
+ * @param {number} params.videoWidth - Video width
+ * @param {number} params.videoHeight - Video height
+ * @param {number} params.lineHeight - Height of one text line, for VTT integer line numbers
+ * @param {number} params.marginTop - Top margin
+ * @param {number} params.marginBottom - Bottom margin
+ * @param {number} params.marginSide - Left and right safe margin
+ * @returns {Object} - { vertical, lineY, lineAlign, textAlign, anchorX, maxWidth }
+ */
+function resolveCuePlacement(sub, params) {
+    const { videoWidth, videoHeight, lineHeight, marginTop, marginBottom, marginSide } = params;
+    const settings = sub.settings || {};
+
+    const placement = {
+        vertical: 'bottom',
+        lineY: null,
+        lineAlign: null,
+        textAlign: 'center',
+        anchorX: videoWidth / 2,
+        maxWidth: null
+    };
+
+    // SRT/ASS {\anN} hack: numpad rows pick the vertical region, columns the side
+    if (sub.alignment) {
+        const row = Math.ceil(sub.alignment / 3);
+        const column = (sub.alignment - 1) % 3;
+        placement.vertical = row === 3 ? 'top' : row === 2 ? 'middle' : 'bottom';
+        placement.textAlign = ['left', 'center', 'right'][column];
+    }
+
+    if (settings.align) {
+        placement.textAlign = textAlignFromVtt(settings.align);
+    }
+
+    if (settings.size !== undefined && settings.size < 100) {
+        placement.maxWidth = Math.max(1, videoWidth * settings.size / 100);
+    }
+
+    // The region the cue lives in: its width comes from size, its position from position/positionAlign
+    const usableWidth = videoWidth - marginSide * 2;
+    const regionWidth = Math.min(placement.maxWidth || usableWidth, usableWidth);
+    let regionLeft = marginSide;
+
+    if (settings.position !== undefined) {
+        const x = videoWidth * settings.position / 100;
+        const positionAlign = settings.positionAlign
+            || { left: 'line-left', right: 'line-right', center: 'center' }[placement.textAlign];
+
+        if (positionAlign === 'line-left') {
+            regionLeft = x;
+        } else if (positionAlign === 'line-right') {
+            regionLeft = x - regionWidth;
+        } else {
+            regionLeft = x - regionWidth / 2;
+        }
+    } else if (placement.maxWidth) {
+        regionLeft = placement.textAlign === 'left'
+            ? marginSide
+            : placement.textAlign === 'right'
+                ? videoWidth - marginSide - regionWidth
+                : (videoWidth - regionWidth) / 2;
+    }
+
+    // Keep the region on screen
+    regionLeft = Math.min(Math.max(regionLeft, marginSide), videoWidth - marginSide - regionWidth);
+
+    if (placement.textAlign === 'left') {
+        placement.anchorX = regionLeft;
+    } else if (placement.textAlign === 'right') {
+        placement.anchorX = regionLeft + regionWidth;
+    } else {
+        placement.anchorX = regionLeft + regionWidth / 2;
+    }
+
+    if (settings.line) {
+        const { value, percent } = settings.line;
+
+        if (percent) {
+            placement.vertical = 'line';
+            placement.lineY = videoHeight * value / 100;
+            placement.lineAlign = settings.lineAlign || 'start';
+        } else if (value >= 0) {
+            placement.vertical = 'line';
+            placement.lineY = marginTop + value * lineHeight;
+            placement.lineAlign = 'start';
+        } else if (value < -1) {
+            placement.vertical = 'line';
+            placement.lineY = videoHeight - marginBottom - (-value - 1) * lineHeight;
+            placement.lineAlign = 'end';
+        } else {
+            placement.vertical = 'bottom';
+        }
+    }
+
+    return placement;
+}
+
+module.exports = {
+    parseCueSettings,
+    extractAlignmentTag,
+    resolveCuePlacement
+};
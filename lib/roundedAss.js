@@ -1,62 +1,273 @@
+const path = require('path');
 const subtitle = require('subtitle');
+const { stackOverlappingCues } = require('./stacking');
+const { parseCueSettings, extractAlignmentTag, resolveCuePlacement } = require('./placement');
+const { convertMarkupToAss, splitAssLines, stripAssTags } = require('./markup');
+const { hasCjk, unwrapText, tokenize, chooseBreaks, greedyBreaks, joinLines } = require('./wrap');
+const {
+    parseAss,
+    getPlayRes,
+    getEventAnchor,
+    anchorToCenterOffset,
+    formatStyleLine,
+    formatEventLine,
+    serializeAss
+} = require('./assInput');
+const { HIGHLIGHT_MODES, parseWordTimings, splitWordRuns, wordIntervals, buildKaraokeText } = require('./words');
+const { LAYOUTS, resolveLayout, chunkSubtitles } = require('./shorts');
+const { parseAnimation, cueAnimation, eventAnimation, animationMoves } = require('./animation');
+const { measureAssContent, measureTexts, fitFontSizes, measureStats } = require('./measure');
+const {
+    DEFAULT_CHAIN_THRESHOLD,
+    parseTimeOffset,
+    parseFrameRate,
+    parseRetime,
+    retimeSubtitles,
+    applyTimingRules,
+    findFastCues,
+    snapToFrames
+} = require('./timing');
+const { LOW_CONFIDENCE, parseEncoding, decodeText } = require('./encoding');
+const { parseFontFallbacks, planFonts, applyFontRuns, parseLanguageTag, languageForScript } = require('./scripts');
+const { isFontInstalled, parseMissingFontMode, collectTextFonts, checkFonts, buildFontsSection } = require('./fonts');
+const { isRtlScript, parseBidiMode, detectDirection, applyBidi } = require('./bidi');
+const { parseBilingualLayout, pairCues } = require('./bilingual');
+const { detectSpeakers, parseSpeakerStyles, parseSpeakerPalette, createSpeakerStyler } = require('./speakers');
+const { DEFAULT_OPTIONS } = require('./config');
+const { parseColor, parseOpacity, toAssColor, toAssAlpha, toAssStyleColor } = require('./color');
+const { parseShadow, parseGradient, buildBoxLayers } = require('./decorations');
+const {
+    parseRadius,
+    parseShape,
+    parseSpeakerShapes,
+    drawShape,
+    shapeOverhang,
+    generateRoundedRectDrawing,
+    generateJoinedLinesDrawing
+} = require('./shapes');
 
 /**
- * Utility logger that respects verbose mode
+ * Utility logger that respects verbose mode. Messages go to the console unless another
+ * console-like output is given, or nowhere when output is null. Warnings are also kept,
+ * so callers can report them their own way, and so are issues: problems with the input
+ * or the layout, recorded with a type and severity for the check command.
  */
 class Logger {
-    constructor(verbose = false) {
+    constructor(verbose = false, output = console) {
         this.verbose = verbose;
+        this.output = output;
+        this.warnings = [];
+        this.issues = [];
+    }
+
+    write(method, message) {
+        if (this.output && typeof this.output[method] === 'function') {
+            this.output[method](message);
+        }
     }
 
     log(message) {
         if (this.verbose) {
-            console.log(message);
+            this.write('log', message);
         }
     }
 
     warn(message) {
+        this.warnings.push(message);
         // Always show warnings in non-verbose mode, but prefix differently
         if (this.verbose) {
-            console.warn(`Warning: ${message}`);
+            this.write('warn', `Warning: ${message}`);
         } else {
-            console.warn(message);
+            this.write('warn', message);
         }
     }
 
     error(message) {
         // Always show errors
-        console.error(message);
+        this.write('error', message);
     }
 
     // Special method for important info that should always be shown
     info(message) {
-        console.log(message);
+        this.write('log', message);
+    }
+
+    // Record an issue without printing it; the caller logs it the way it always has
+    issue(type, severity, message, details = {}) {
+        this.issues.push({ type, severity, message, ...details });
     }
 }
 
+/**
+ * Supported background box modes:
+ * - block: one box around the whole cue
+ * - lines: one box per line, stacked with a gap
+ * - joined: one box per line, merged into a single shape with inner corners
+ */
+const BOX_MODES = ['block', 'lines', 'joined'];
+
+/**
+ * Numpad alignment used for the text event, by horizontal text alignment
+ */
+const TEXT_ALIGNMENT = { left: 4, center: 5, right: 6 };
+
 async function createRoundedAss(subtitlePath, videoPath, outputPath, options = {}) {
     // Initialize logger with verbose setting
     const logger = new Logger(options.verbose);
+    const fs = require('fs-extra');
+
+    const { width, height, fps } = await probeVideo(videoPath, options, logger);
+
+    logger.log(`Reading subtitles: ${subtitlePath}`);
+    const result = renderRoundedAss({
+        ...options,
+        input: fs.readFileSync(subtitlePath),
+        format: options.subtitleFormat,
+        secondary: options.secondary ? fs.readFileSync(options.secondary) : undefined,
+        secondaryFormat: options.secondary ? path.extname(options.secondary).toLowerCase().slice(1) : undefined,
+        width,
+        height,
+        fps,
+        logger
+    });
+
+    fs.writeFileSync(outputPath, result.ass, 'utf8');
+    logger.info(`ASS file generated: ${outputPath}`);
+
+    return outputPath;
+}
+
+/**
+ * Video dimensions and, for snapping to frames, its frame rate. ASS scripts have their own
+ * resolution, so the video is only probed for other formats.
+ *
+ * @param {string|undefined} videoPath - Path to video file
+ * @param {Object} options - Options: subtitleFormat, snapFrames and fps
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} - { width, height, fps } where fps is the given one unless read from the video
+ */
+async function probeVideo(videoPath, options = {}, logger = new Logger()) {
+    let width = 1920;
+    let height = 1080;
+    let fps = options.fps;
+    if (!videoPath || options.subtitleFormat === 'ass') {
+        return { width, height, fps };
+    }
+
+    try {
+        const dimensions = await getVideoDimensions(videoPath, logger);
+        if (dimensions) {
+            width = dimensions.width;
+            height = dimensions.height;
+            logger.log(`Video dimensions: ${width}x${height}`);
+        }
+    } catch (error) {
+        logger.warn(`Could not get video dimensions: ${error.message}`);
+        logger.warn('Using default dimensions: 1920x1080');
+    }
+
+    if (options.snapFrames && (fps === undefined || fps === 'auto')) {
+        fps = await getVideoFrameRate(videoPath, logger) || undefined;
+    }
+    return { width, height, fps };
+}
+
+/**
+ * Render subtitles to an ASS script in memory, without reading or writing files
+ *
+ * @param {Object} params - Input and options
+ * @param {string|Buffer|Array<Object>} params.input - Subtitle text, raw file bytes (the encoding is
+ *                                                     detected) or cues { start, end, text } in seconds
+ * @param {string} params.format - 'srt', 'vtt', 'json', 'ass' or 'cues' (default: 'cues' for arrays, else 'srt')
+ * @param {number} params.width - Video width (default: 1920)
+ * @param {number} params.height - Video height (default: 1080)
+ * @param {string|Buffer|Array<Object>} params.secondary - Secondary subtitles, in the same forms as input
+ * @param {string} params.secondaryFormat - Format of the secondary subtitles
+ * @param {Logger|Object} params.logger - Logger, or a console-like object for the messages
+ * @param {boolean} params.silent - Print nothing; warnings are still returned
+ * @param {Object} params.range - Only write what is shown from range.start up to range.end (seconds)
+ * @param {number} params.reportCps - Report cues faster than this many characters per second,
+ *                                    without extending them as maxCps does
+ * @returns {Object} - { ass, events, boxes, warnings, issues, stats } where issues are the
+ *                     problems found, { type, severity, message, cue, start }
+ */
+function renderRoundedAss({ input, format, width, height, secondary, secondaryFormat, logger: output, silent = false, range, reportCps, ...options } = {}) {
+    const logger = output instanceof Logger ? output : new Logger(options.verbose, silent ? null : output || console);
+    const warningsBefore = logger.warnings.length;
+    const issuesBefore = logger.issues.length;
 
     // Log the options passed in when in verbose mode
     if (options.verbose) {
-        logger.log('Options passed to createRoundedAss:');
+        logger.log('Options passed to renderRoundedAss:');
         logger.log(JSON.stringify(options, null, 2));
     }
 
+    if (input === undefined || input === null) {
+        throw new Error('No subtitle input given');
+    }
+    const subtitleFormat = format || options.subtitleFormat || (Array.isArray(input) ? 'cues' : 'srt');
+    const wordTimed = subtitleFormat === 'json' || (subtitleFormat === 'cues' && Array.isArray(input) && input.some(cue => cue && cue.words));
+
     const config = {
-        videoPath,
-        font: options.font || 'Arial',
-        fontSize: options.fontSize || 48,
-        textColor: options.textColor || 'FFFFFF',
-        bgColor: options.bgColor || '000000',
-        bgAlpha: options.opacity || 0,
-        paddingX: options.paddingX || 20,
-        paddingY: options.paddingY || 10,
-        radius: options.radius,
-        widthRatio: options.widthRatio || 1.0,
+        font: options.font || DEFAULT_OPTIONS.font,
+        fontSize: options.fontSize || DEFAULT_OPTIONS.fontSize,
+        textColor: options.textColor || DEFAULT_OPTIONS.textColor,
+        bgColor: options.bgColor || DEFAULT_OPTIONS.bgColor,
+        opacity: options.opacity !== undefined ? options.opacity : DEFAULT_OPTIONS.opacity,
+        paddingX: options.paddingX || DEFAULT_OPTIONS.paddingX,
+        paddingY: options.paddingY || DEFAULT_OPTIONS.paddingY,
+        radius: parseRadius(options.radius),
+        shape: options.shape || DEFAULT_OPTIONS.shape,
+        tailOffset: options.tailOffset !== undefined ? options.tailOffset : DEFAULT_OPTIONS.tailOffset,
+        tailSize: options.tailSize !== undefined ? options.tailSize : DEFAULT_OPTIONS.tailSize,
+        speakerShapes: options.speakerShapes || DEFAULT_OPTIONS.speakerShapes,
+        speakerStyles: options.speakerStyles !== undefined ? options.speakerStyles : DEFAULT_OPTIONS.speakerStyles,
+        speakers: options.speakers || DEFAULT_OPTIONS.speakers,
+        speakerPalette: options.speakerPalette,
+        speakerLabels: options.speakerLabels !== undefined ? options.speakerLabels : DEFAULT_OPTIONS.speakerLabels,
+        widthRatio: options.widthRatio || DEFAULT_OPTIONS.widthRatio,
         marginBottom: options.marginBottom,
-        subtitleFormat: options.subtitleFormat || 'srt' // Default to SRT if not specified
+        boxMode: options.boxMode || DEFAULT_OPTIONS.boxMode,
+        lineGap: options.lineGap !== undefined ? options.lineGap : DEFAULT_OPTIONS.lineGap,
+        stackOverlaps: options.stackOverlaps !== undefined ? options.stackOverlaps : DEFAULT_OPTIONS.stackOverlaps,
+        stackGap: options.stackGap !== undefined ? options.stackGap : DEFAULT_OPTIONS.stackGap,
+        skipStyles: normalizeStyleList(options.skipStyles),
+        highlight: options.highlight || (wordTimed ? 'color' : 'none'),
+        highlightColor: options.highlightColor || DEFAULT_OPTIONS.highlightColor,
+        layout: options.layout || DEFAULT_OPTIONS.layout,
+        chunkWords: options.chunkWords || DEFAULT_OPTIONS.chunkWords,
+        animationIn: options.animationIn,
+        animationOut: options.animationOut || DEFAULT_OPTIONS.animationOut,
+        animationDuration: options.animationDuration,
+        animateJoined: options.animateJoined !== undefined ? options.animateJoined : DEFAULT_OPTIONS.animateJoined,
+        boxOutline: options.boxOutline !== undefined ? options.boxOutline : DEFAULT_OPTIONS.boxOutline,
+        boxOutlineColor: options.boxOutlineColor || DEFAULT_OPTIONS.boxOutlineColor,
+        boxShadow: options.boxShadow || DEFAULT_OPTIONS.boxShadow,
+        boxGradient: options.boxGradient || DEFAULT_OPTIONS.boxGradient,
+        textOutline: options.textOutline !== undefined ? options.textOutline : DEFAULT_OPTIONS.textOutline,
+        textOutlineColor: options.textOutlineColor || DEFAULT_OPTIONS.textOutlineColor,
+        textShadow: options.textShadow !== undefined ? options.textShadow : DEFAULT_OPTIONS.textShadow,
+        textShadowColor: options.textShadowColor || DEFAULT_OPTIONS.textShadowColor,
+        shift: parseTimeOffset(options.shift !== undefined ? options.shift : DEFAULT_OPTIONS.shift),
+        retime: parseRetime(options.retime || DEFAULT_OPTIONS.retime),
+        snapFrames: options.snapFrames !== undefined ? options.snapFrames : DEFAULT_OPTIONS.snapFrames,
+        fps: options.fps !== undefined && options.fps !== 'auto' ? parseFrameRate(options.fps) : undefined,
+        minDuration: options.minDuration !== undefined ? parseTimeOffset(options.minDuration) : DEFAULT_OPTIONS.minDuration,
+        minGap: options.minGap !== undefined ? parseTimeOffset(options.minGap) : DEFAULT_OPTIONS.minGap,
+        maxCps: options.maxCps !== undefined ? Number(options.maxCps) : DEFAULT_OPTIONS.maxCps,
+        chainThreshold: options.chainThreshold !== undefined ? parseTimeOffset(options.chainThreshold) : DEFAULT_CHAIN_THRESHOLD,
+        encoding: parseEncoding(options.encoding || DEFAULT_OPTIONS.encoding),
+        fontFallbacks: parseFontFallbacks(options.fontFallbacks),
+        language: parseLanguageTag(options.language || DEFAULT_OPTIONS.language),
+        missingFonts: parseMissingFontMode(options.missingFonts || DEFAULT_OPTIONS.missingFonts),
+        embedFonts: options.embedFonts !== undefined ? options.embedFonts : DEFAULT_OPTIONS.embedFonts,
+        bidi: parseBidiMode(options.bidi || DEFAULT_OPTIONS.bidi),
+        bilingual: parseBilingualLayout(options.bilingual || DEFAULT_OPTIONS.bilingual),
+        secondaryFont: options.secondaryFont,
+        secondaryFontSize: options.secondaryFontSize,
+        secondaryTextColor: options.secondaryTextColor,
+        secondaryBgColor: options.secondaryBgColor,
+        subtitleFormat
     };
 
     // Log which options are using defaults vs specified values
@@ -64,141 +275,401 @@ async function createRoundedAss(subtitlePath, videoPath, outputPath, options = {
         logger.log('Configuration settings:');
         logger.log(`- Font: ${options.font ? `"${config.font}" (user specified)` : `"${config.font}" (default)`}`);
         logger.log(`- Font size: ${options.fontSize ? `${config.fontSize}px (user specified)` : `${config.fontSize}px (default)`}`);
-        logger.log(`- Text color: #${options.textColor ? `${config.textColor} (user specified)` : `${config.textColor} (default)`}`);
-        logger.log(`- Background color: #${options.bgColor ? `${config.bgColor} (user specified)` : `${config.bgColor} (default)`}`);
-        logger.log(`- Background opacity: ${options.opacity !== undefined ? `${config.bgAlpha} (user specified)` : `${config.bgAlpha} (default)`}`);
+        logger.log(`- Text color: ${options.textColor ? `${config.textColor} (user specified)` : `${config.textColor} (default)`}`);
+        logger.log(`- Background color: ${options.bgColor ? `${config.bgColor} (user specified)` : `${config.bgColor} (default)`}`);
+        logger.log(`- Background opacity: ${options.opacity !== undefined ? `${config.opacity} (user specified)` : `${config.opacity} (default)`}`);
         logger.log(`- Horizontal padding: ${options.paddingX ? `${config.paddingX}px (user specified)` : `${config.paddingX}px (default)`}`);
         logger.log(`- Vertical padding: ${options.paddingY ? `${config.paddingY}px (user specified)` : `${config.paddingY}px (default)`}`);
-        logger.log(`- Border radius: ${options.radius !== undefined ? `${config.radius}px (user specified)` : 'auto (will be determined)'}`);
+        logger.log(`- Border radius: ${config.radius !== undefined ? `${[].concat(config.radius).join('px ')}px (user specified)` : 'auto (will be determined)'}`);
+        logger.log(`- Box shape: ${options.shape ? `${config.shape} (user specified)` : `${config.shape} (default)`}`);
+        logger.log(`- Bubble tail: ${config.tailSize}px at ${config.tailOffset}px from the middle${options.tailSize !== undefined || options.tailOffset !== undefined ? ' (user specified)' : ' (default)'}`);
+        logger.log(`- Speaker shapes: ${Object.keys(config.speakerShapes).length ? JSON.stringify(config.speakerShapes) : 'none'}`);
+        logger.log(`- Speaker styles: ${config.speakerStyles || Object.keys(config.speakers).length ? `on${Object.keys(config.speakers).length ? ` (${Object.keys(config.speakers).join(', ')})` : ''}` : 'off'}`);
+        logger.log(`- Speaker palette: ${config.speakerPalette !== undefined ? `${config.speakerPalette} (user specified)` : 'auto (default)'}`);
+        logger.log(`- Speaker labels: ${options.speakerLabels !== undefined ? `${config.speakerLabels} (user specified)` : `${config.speakerLabels} (default)`}`);
         logger.log(`- Width ratio: ${options.widthRatio ? `${config.widthRatio} (user specified)` : `${config.widthRatio} (default)`}`);
         logger.log(`- Bottom margin: ${options.marginBottom !== undefined ? `${config.marginBottom}px (user specified)` : 'auto (will be determined)'}`);
+        logger.log(`- Box mode: ${options.boxMode ? `${config.boxMode} (user specified)` : `${config.boxMode} (default)`}`);
+        logger.log(`- Line gap: ${options.lineGap !== undefined ? `${config.lineGap}px (user specified)` : `${config.lineGap}px (default)`}`);
+        logger.log(`- Stack overlapping cues: ${options.stackOverlaps !== undefined ? `${config.stackOverlaps} (user specified)` : `${config.stackOverlaps} (default)`}`);
+        logger.log(`- Stack gap: ${options.stackGap !== undefined ? `${config.stackGap}px (user specified)` : `${config.stackGap}px (default)`}`);
+        logger.log(`- Word highlight: ${options.highlight ? `${config.highlight} (user specified)` : `${config.highlight} (default)`}`);
+        logger.log(`- Highlight color: ${options.highlightColor ? `${config.highlightColor} (user specified)` : `${config.highlightColor} (default)`}`);
+        logger.log(`- Layout: ${options.layout ? `${config.layout} (user specified)` : `${config.layout} (default)`}`);
+        logger.log(`- Words per chunk (shorts): ${options.chunkWords ? `${config.chunkWords} (user specified)` : `${config.chunkWords} (default)`}`);
+        logger.log(`- Enter animation: ${options.animationIn ? `${config.animationIn} (user specified)` : 'auto (will be determined)'}`);
+        logger.log(`- Exit animation: ${options.animationOut ? `${config.animationOut} (user specified)` : `${config.animationOut} (default)`}`);
+        logger.log(`- Animation duration: ${config.animationDuration !== undefined ? `${config.animationDuration}ms (user specified)` : 'auto (per animation)'}`);
+        logger.log(`- Animate between joined cues: ${options.animateJoined !== undefined ? `${config.animateJoined} (user specified)` : `${config.animateJoined} (default)`}`);
+        logger.log(`- Box outline: ${options.boxOutline !== undefined ? `${config.boxOutline}px (user specified)` : `${config.boxOutline}px (default)`}`);
+        logger.log(`- Box outline color: ${options.boxOutlineColor ? `${config.boxOutlineColor} (user specified)` : `${config.boxOutlineColor} (default)`}`);
+        logger.log(`- Box shadow: ${options.boxShadow ? `${config.boxShadow} (user specified)` : `${config.boxShadow} (default)`}`);
+        logger.log(`- Box gradient: ${options.boxGradient ? `${config.boxGradient} (user specified)` : `${config.boxGradient} (default)`}`);
+        logger.log(`- Text outline: ${options.textOutline !== undefined ? `${config.textOutline}px ${config.textOutlineColor} (user specified)` : `${config.textOutline}px (default)`}`);
+        logger.log(`- Text shadow: ${options.textShadow !== undefined ? `${config.textShadow}px ${config.textShadowColor} (user specified)` : `${config.textShadow}px (default)`}`);
+        logger.log(`- Skipped styles (ASS input): ${config.skipStyles.length ? config.skipStyles.join(', ') : 'none'}`);
+        logger.log(`- Time shift: ${config.shift}s`);
+        logger.log(`- Frame rate conversion: ${config.retime ? `${config.retime.from.toFixed(3)} -> ${config.retime.to.toFixed(3)} fps` : 'none'}`);
+        logger.log(`- Snap to frames: ${config.snapFrames ? `on at ${config.fps ? `${config.fps.toFixed(3)} fps` : 'the video frame rate'}` : 'off'}`);
+        logger.log(`- Minimum duration: ${config.minDuration}s, minimum gap: ${config.minGap}s, chaining below: ${config.chainThreshold}s`);
+        logger.log(`- Maximum reading speed: ${config.maxCps ? `${config.maxCps} characters per second` : 'not checked'}`);
         logger.log(`- Subtitle format: ${config.subtitleFormat}`);
+        logger.log(`- Encoding: ${config.encoding === 'auto' ? 'detected' : `${config.encoding} (user specified)`}`);
+        logger.log(`- Missing fonts: ${config.missingFonts}${config.embedFonts ? ', fonts embedded' : ''}`);
+        logger.log(`- Text direction: ${config.bidi === 'auto' ? 'detected per cue' : config.bidi}`);
+        logger.log(`- Secondary subtitles: ${secondary ? `yes (${config.bilingual})` : 'none'}`);
+    }
+
+    if (!BOX_MODES.includes(config.boxMode)) {
+        throw new Error(`Unknown box mode "${config.boxMode}". Expected one of: ${BOX_MODES.join(', ')}`);
+    }
+
+    if (!HIGHLIGHT_MODES.includes(config.highlight)) {
+        throw new Error(`Unknown highlight mode "${config.highlight}". Expected one of: ${HIGHLIGHT_MODES.join(', ')}`);
+    }
+
+    if (!LAYOUTS.includes(config.layout)) {
+        throw new Error(`Unknown layout "${config.layout}". Expected one of: ${LAYOUTS.join(', ')}`);
+    }
+
+    if (!Number.isInteger(config.chunkWords) || config.chunkWords < 1 || config.chunkWords > 4) {
+        throw new Error(`Words per chunk must be between 1 and 4. Got: ${config.chunkWords}`);
+    }
+
+    ['minDuration', 'minGap', 'maxCps', 'chainThreshold'].forEach(key => {
+        if (!(config[key] >= 0)) {
+            throw new Error(`${key} must be a number of 0 or more. Got: ${options[key]}`);
+        }
+    });
+
+    if (config.animationIn !== undefined) {
+        config.animationIn = parseAnimation(config.animationIn, 'enter animation');
+    }
+    config.animationOut = parseAnimation(config.animationOut, 'exit animation');
+
+    if (config.animationDuration !== undefined && !(Number(config.animationDuration) >= 0)) {
+        throw new Error(`Animation duration must be a number of milliseconds. Got: ${config.animationDuration}`);
     }
+    if (config.animationDuration !== undefined) {
+        config.animationDuration = Number(config.animationDuration);
+    }
+
+    // Colours are CSS colours; ASS wants BBGGRR with an alpha where 00 is opaque.
+    // A background colour with its own alpha keeps it unless an opacity is given.
+    config.colors = {
+        text: parseColor(config.textColor),
+        bg: parseColor(config.bgColor),
+        highlight: parseColor(config.highlightColor),
+        textOutline: parseColor(config.textOutlineColor),
+        textShadow: parseColor(config.textShadowColor),
+        secondaryText: parseColor(config.secondaryTextColor || config.textColor)
+    };
+    const fillOpacity = color => color.a * (options.opacity !== undefined || !color.hasAlpha ? parseOpacity(config.opacity) : 1);
+    config.bgOpacity = fillOpacity(config.colors.bg);
+
+    // Outline, drop shadow and gradient of the boxes
+    const gradient = parseGradient(config.boxGradient);
+    config.decorations = {
+        outline: config.boxOutline > 0 ? { width: config.boxOutline, color: parseColor(config.boxOutlineColor) } : null,
+        shadow: parseShadow(config.boxShadow),
+        gradient: gradient
+            ? { top: gradient[0], bottom: gradient[1], topOpacity: fillOpacity(gradient[0]), bottomOpacity: fillOpacity(gradient[1]) }
+            : null
+    };
+
+    // Box shape for everyone, and for speakers that have their own
+    const tail = { tailOffset: config.tailOffset, tailSize: config.tailSize };
+    config.shapes = {
+        default: parseShape(config.shape, tail),
+        speakers: parseSpeakerShapes(config.speakerShapes, tail)
+    };
+    config.shapeFor = speaker => (speaker && config.shapes.speakers.get(String(speaker).trim().toLowerCase())) || config.shapes.default;
+
+    // Colours, alignment and label of each speaker, handed out in order of appearance
+    const speakerStyles = parseSpeakerStyles(config.speakers);
+    config.speakerStyler = config.speakerStyles || speakerStyles.size
+        ? createSpeakerStyler({
+            styles: speakerStyles,
+            palette: parseSpeakerPalette(config.speakerPalette),
+            labels: config.speakerLabels
+        })
+        : null;
+    config.speakerNames = new Set(speakerStyles.keys());
+    config.fillFor = color => (color ? { color, opacity: fillOpacity(color) } : { color: config.colors.bg, opacity: config.bgOpacity });
+    config.secondaryFill = config.secondaryBgColor ? config.fillFor(parseColor(config.secondaryBgColor)) : undefined;
 
     // Implementation of rounded ASS subtitle generation
     try {
-        const fs = require('fs-extra');
+        const measuredBefore = measureStats();
 
-        // Parse subtitle file (SRT or VTT)
-        logger.log(`Parsing ${config.subtitleFormat.toUpperCase()} file: ${subtitlePath}`);
-        const subtitles = parseSubtitles(subtitlePath, config.subtitleFormat, logger);
-        if (!subtitles.length) {
-            throw new Error(`No subtitles found in the ${config.subtitleFormat.toUpperCase()} file`);
+        // Existing ASS scripts keep their own styles and layout; only boxes are added
+        if (config.subtitleFormat === 'ass') {
+            if (secondary) {
+                throw new Error('Secondary subtitles are not supported with ASS input');
+            }
+            const rendered = renderAssInput(decodeSubtitleInput(input, logger, config.encoding), config, logger);
+            return renderResult(rendered.ass, rendered.boxes, { cues: rendered.cues, logger, warningsBefore, issuesBefore, measuredBefore });
         }
 
-        logger.log(`Parsed ${subtitles.length} subtitles from ${subtitlePath}`);
+        // Parse subtitles (SRT or VTT, a word-timed JSON transcript, or cues given as objects), shift
+        // and convert their frame rate, then apply the duration, gap and reading speed rules
+        const readCues = (source, format, label = '') => {
+            logger.log(`Parsing ${format.toUpperCase()}${label ? ` ${label}` : ''} subtitles`);
+            let cues;
+            if (format === 'cues') {
+                if (!Array.isArray(source)) {
+                    throw new Error('Cues must be given as an array of { start, end, text }');
+                }
+                cues = prepareCues(source, logger, { chainThreshold: config.chainThreshold });
+            } else {
+                const content = decodeSubtitleInput(source, logger, config.encoding);
+                cues = format === 'json'
+                    ? parseWordTimings(content)
+                    : parseSubtitleText(content, format, logger, { chainThreshold: config.chainThreshold });
+            }
+            if (!cues.length) {
+                throw new Error(`No subtitles found in the ${label ? `${label} ` : ''}${format.toUpperCase()} input`);
+            }
 
-        // Get video dimensions (fallback to defaults)
-        let videoWidth = 1920;
-        let videoHeight = 1080;
+            logger.log(`Parsed ${cues.length} subtitles`);
 
-        // If videoPath is provided, get actual dimensions
-        if (videoPath) {
-            try {
-                const dimensions = await getVideoDimensions(videoPath, logger);
-                if (dimensions) {
-                    videoWidth = dimensions.width;
-                    videoHeight = dimensions.height;
-                    logger.log(`Video dimensions: ${videoWidth}x${videoHeight}`);
-                }
-            } catch (error) {
-                logger.warn(`Could not get video dimensions: ${error.message}`);
-                logger.warn('Using default dimensions: 1920x1080');
+            cues = retimeSubtitles(cues, { shift: config.shift, retime: config.retime })
+                .sort((a, b) => a.start - b.start);
+            const timing = applyTimingRules(cues, { minDuration: config.minDuration, minGap: config.minGap, maxCps: config.maxCps });
+            const where = label ? ` in the ${label} subtitles` : '';
+            if (timing.trimmed || timing.lengthened || timing.extended) {
+                logger.log(`Timing${where}: ${timing.trimmed} cues cut short for the minimum gap, ${timing.lengthened} lengthened to the minimum duration, ${timing.extended} extended for reading speed`);
+            }
+            if (timing.tooFast.length) {
+                logger.warn(`${timing.tooFast.length} cues${where} are still faster than ${config.maxCps} characters per second: ${timing.tooFast.map(cue => `#${cue.index} (${cue.cps})`).join(', ')}`);
+                timing.tooFast.forEach(cue => {
+                    logger.issue('cps', 'warning', `Subtitle #${cue.index}${where} reads at ${cue.cps} characters per second, above ${config.maxCps}.`, { cue: cue.index, start: cue.start });
+                });
+            }
+            if (reportCps > 0) {
+                findFastCues(cues, reportCps).forEach(cue => {
+                    logger.issue('cps', 'warning', `Subtitle #${cue.index}${where} reads at ${cue.cps} characters per second, above ${reportCps}.`, { cue: cue.index, start: cue.start });
+                });
+            }
+
+            // Cues without visible text still get a box
+            const empty = cues.filter(sub => !plainText(sub.text).trim());
+            if (empty.length) {
+                logger.warn(`${empty.length} cues${where} have no text: ${empty.map(sub => `#${sub.index}`).join(', ')}`);
+                empty.forEach(sub => {
+                    logger.issue('empty-cue', 'warning', `Subtitle #${sub.index}${where} has no text.`, { cue: sub.index, start: sub.start });
+                });
+            }
+            return cues;
+        };
+
+        let subtitles = readCues(input, config.subtitleFormat);
+
+        // A second language shown with the first, e.g. a translation for language learners
+        let secondarySubtitles = null;
+        if (secondary) {
+            const secondaryInputFormat = secondaryFormat || (Array.isArray(secondary) ? 'cues' : 'srt');
+            if (!['srt', 'vtt', 'json', 'cues'].includes(secondaryInputFormat)) {
+                throw new Error(`Secondary subtitles must be SRT, VTT, word-timed JSON or cues. Got: ${secondaryInputFormat}`);
+            }
+            secondarySubtitles = readCues(secondary, secondaryInputFormat, 'secondary');
+        }
+
+        // Video dimensions (default: 1920x1080)
+        const videoWidth = width !== undefined ? Number(width) : 1920;
+        const videoHeight = height !== undefined ? Number(height) : 1080;
+        if (!(videoWidth > 0 && videoHeight > 0)) {
+            throw new Error(`Video dimensions must be positive numbers. Got: ${width}x${height}`);
+        }
+
+        // Frame rate for snapping; the file-based API reads it from the video
+        const fps = config.fps;
+        if (config.snapFrames && !fps) {
+            logger.warn('No frame rate to snap to: give --fps or a video file. Times are not snapped.');
+        }
+
+        // Short-form vertical video: a few words at a time in bigger, bold text, higher up
+        const layout = resolveLayout(config.layout, videoWidth, videoHeight);
+        const shorts = layout === 'shorts';
+        const popIn = options.popIn !== undefined ? options.popIn : shorts;
+        const animationIn = config.animationIn || (popIn ? 'pop' : 'none');
+        if (config.speakerStyler) {
+            styleSpeakers(subtitles, config, { boldLabels: !shorts });
+            logger.log(`Speakers: ${config.speakerStyler.styles().map(style => style.name).join(', ') || 'none found'}`);
+        }
+        if (shorts && secondarySubtitles) {
+            logger.warn('Cues are not split into chunks in the shorts layout with secondary subtitles, so that they pair up.');
+        } else if (shorts) {
+            subtitles = chunkSubtitles(subtitles, { maxWords: config.chunkWords })
+                .map(sub => ({ ...sub, text: `{\\b1}${sub.text}` }));
+            logger.log(`Using shorts layout${config.layout === 'auto' ? ' (portrait video)' : ''}: ${subtitles.length} chunks of up to ${config.chunkWords} words`);
+        }
+
+        // Snap last, so that shorts chunks land on frames too
+        if (config.snapFrames && fps) {
+            snapToFrames(subtitles, fps);
+            if (secondarySubtitles) {
+                snapToFrames(secondarySubtitles, fps);
+            }
+            logger.log(`Snapped cue times to frames at ${fps.toFixed(3)} fps`);
+        }
+
+        // Pair the cues of the two languages by time; a pair is shown for as long as either of its cues
+        let pairs = null;
+        if (secondarySubtitles) {
+            pairs = pairCues(subtitles, secondarySubtitles);
+            subtitles = pairs.filter(pair => pair.primary).map(pair => pair.primary);
+            secondarySubtitles = pairs.filter(pair => pair.secondary).map(pair => pair.secondary);
+            const paired = pairs.filter(pair => pair.primary && pair.secondary).length;
+            logger.log(`Bilingual ${config.bilingual} layout: ${paired} pairs, ${subtitles.length - paired} main and ${secondarySubtitles.length - paired} secondary cues alone`);
+
+            // In the split layout the secondary cues go to the top, unless they place themselves
+            if (config.bilingual === 'split') {
+                secondarySubtitles.forEach(sub => {
+                    if (!sub.alignment && !(sub.settings && sub.settings.line)) {
+                        sub.alignment = 8;
+                    }
+                });
             }
         }
 
         // Extended configuration with additional options
         const extendedConfig = {
             ...config,
-            bgAlpha: options.bgAlpha || config.bgAlpha || 80, // 0-255
             paddingV: config.paddingY,
             paddingH: config.paddingX,
             minWidthRatio: options.minWidthRatio || 0.0,
-            maxWidthRatio: options.maxWidthRatio || 1,
-            lineSpacing: options.lineSpacing || 1.2,
+            maxWidthRatio: options.maxWidthRatio || (shorts ? 0.8 : DEFAULT_OPTIONS.maxWidthRatio),
+            maxLines: options.maxLines || DEFAULT_OPTIONS.maxLines,
+            wrap: options.wrap !== undefined ? options.wrap : DEFAULT_OPTIONS.wrap,
+            lineSpacing: options.lineSpacing || DEFAULT_OPTIONS.lineSpacing,
             fontName: config.font,
-            widthCorrection: options.widthCorrection || 0.95,
-            tightFit: options.tightFit !== undefined ? options.tightFit : true,
+            widthCorrection: options.widthCorrection || DEFAULT_OPTIONS.widthCorrection,
+            tightFit: options.tightFit !== undefined ? options.tightFit : DEFAULT_OPTIONS.tightFit,
             disableMinWidth: options.disableMinWidth !== undefined ? options.disableMinWidth : true
         };
 
         // Log extended configuration if in verbose mode
         if (options.verbose) {
             logger.log('Extended configuration:');
-            logger.log(`- Background alpha: ${extendedConfig.bgAlpha}`);
+            logger.log(`- Background alpha: ${toAssAlpha(config.bgOpacity)}`);
             logger.log(`- Min width ratio: ${extendedConfig.minWidthRatio}`);
             logger.log(`- Max width ratio: ${extendedConfig.maxWidthRatio}`);
+            logger.log(`- Wrap long lines: ${extendedConfig.wrap}`);
+            logger.log(`- Max lines: ${extendedConfig.maxLines}`);
             logger.log(`- Line spacing: ${extendedConfig.lineSpacing}`);
             logger.log(`- Width correction: ${extendedConfig.widthCorrection}`);
             logger.log(`- Tight fit: ${extendedConfig.tightFit}`);
             logger.log(`- Disable min width: ${extendedConfig.disableMinWidth}`);
+            logger.log(`- Animations: ${animationIn} in, ${config.animationOut} out`);
 
         }
 
-        // Calculate font size based on video height
-        const fontSize = config.fontSize || Math.floor(videoHeight / 20);
+        // Calculate font size based on video height; shorts use bigger text relative to the width
+        const fontSize = shorts && !options.fontSize
+            ? Math.round(Math.min(videoWidth, videoHeight) * 0.075)
+            : config.fontSize || Math.floor(videoHeight / 20);
 
         // Determine minimum and maximum box width based on video width
         const minWidth = extendedConfig.disableMinWidth ? 0 : videoWidth * extendedConfig.minWidthRatio;
         const maxWidth = videoWidth * extendedConfig.maxWidthRatio;
 
-        // Determine predominant script from all subtitles
-        const allText = subtitles.map(sub => sub.text).join(' ');
-        const predominantScript = detectScript(allText);
-        logger.log(`Detected predominant script: ${predominantScript}`);
-
-        // Adjust font for script if needed (auto-determination with override capability)
-        let fontName = extendedConfig.fontName;
-        let fontSource = "default";
-
-        // Only auto-determine font if one wasn't explicitly specified in options
-        if (!options.font) {
-            if (predominantScript === 'cjk') {
-                if (process.platform === 'win32') { // Windows
-                    fontName = 'Microsoft YaHei';
-                } else { // macOS, Linux
-                    fontName = 'Noto Sans CJK SC';
+        const secondaryFontSize = config.secondaryFontSize || Math.round(fontSize * 0.8);
+
+        // Detect the script of every run of text, separately for each language. The most used script
+        // picks the main font (unless one was specified); runs in other scripts switch to their own
+        // font with \fn. Each cue then gets its base direction, and the runs written the other way are
+        // isolated, before measuring, so the boxes are sized for the text as it will be rendered.
+        const prepareTrack = (cues, userFont, label) => {
+            const fontPlan = planFonts(cues.map(sub => sub.text), {
+                defaultFont: extendedConfig.fontName,
+                userFont,
+                fallbacks: config.fontFallbacks,
+                // Chains skip fonts that aren't installed, as long as the check is on
+                isAvailable: config.missingFonts === 'ignore' ? undefined : isFontInstalled
+            });
+            const trackFont = fontPlan.mainFont;
+            const trackScript = fontPlan.mainScript;
+            logger.log(`Detected predominant script${label}: ${trackScript} (${[...fontPlan.counts.entries()].map(([script, count]) => `${script}: ${count}`).join(', ') || 'no letters'})`);
+            logger.log(`Using font${label}: "${trackFont}" (${userFont ? 'user specified' : `auto-determined for ${trackScript} script`})`);
+
+            let switchedCues = 0;
+            cues.forEach(sub => {
+                const text = applyFontRuns(sub.text, fontPlan);
+                if (text !== sub.text) {
+                    sub.text = text;
+                    switchedCues++;
                 }
-                fontSource = "auto-determined for CJK script";
-            } else if (predominantScript === 'arabic') {
-                fontName = process.platform === 'win32' ? 'Traditional Arabic' : 'Noto Sans Arabic';
-                fontSource = "auto-determined for Arabic script";
-            } else if (predominantScript === 'hebrew') {
-                fontName = process.platform === 'win32' ? 'David' : 'Noto Sans Hebrew';
-                fontSource = "auto-determined for Hebrew script";
+            });
+            if (switchedCues) {
+                const otherFonts = [...fontPlan.counts.keys()].map(script => fontPlan.fontFor(script)).filter(font => font !== trackFont);
+                logger.log(`Font fallbacks in ${switchedCues} cues${label}: ${[...new Set(otherFonts)].join(', ')}`);
             }
-        } else {
-            fontSource = "user specified";
+
+            if (config.bidi !== 'off') {
+                const fileDirection = isRtlScript(trackScript) ? 'rtl' : 'ltr';
+                cues.forEach(sub => {
+                    sub.direction = config.bidi === 'auto' ? detectDirection(sub.text, fileDirection) : config.bidi;
+                    sub.text = applyBidi(sub.text, sub.direction);
+                });
+                const rtlCues = cues.filter(sub => sub.direction === 'rtl').length;
+                if (rtlCues) {
+                    logger.log(`Right-to-left cues${label}: ${rtlCues} of ${cues.length}`);
+                }
+            }
+
+            return { fontName: trackFont, script: trackScript };
+        };
+
+        const mainTrack = prepareTrack(subtitles, options.font, '');
+        const fontName = mainTrack.fontName;
+        const predominantScript = mainTrack.script;
+        const secondaryTrack = secondarySubtitles && prepareTrack(secondarySubtitles, config.secondaryFont, ' (secondary)');
+
+        // Resolve every font to its file (the one ass-measure will use) and embed them if asked
+        const usedFonts = collectTextFonts([...subtitles, ...(secondarySubtitles || [])].map(sub => sub.text));
+        const fontFaces = checkFonts([fontName, ...(secondaryTrack ? [secondaryTrack.fontName] : []), ...usedFonts.fonts], {
+            mode: config.missingFonts,
+            bold: usedFonts.bold,
+            italic: usedFonts.italic,
+            logger
+        });
+        const fontsSection = config.embedFonts ? buildFontsSection(fontFaces, logger) : '';
+        if (config.embedFonts && !fontsSection) {
+            logger.warn('No installed font files found to embed.');
         }
 
-        // Log the font info with more details
-        logger.log(`Using font: "${fontName}" (${fontSource})`);
+        const language = config.language === 'auto' ? languageForScript(predominantScript) : config.language;
+        logger.log(`Language: ${language}${config.language === 'auto' ? ' (from the script)' : ' (user specified)'}`);
 
-        // Auto-determine or use specified bottom margin
-        const marginBottom = determineBottomMargin(options.marginBottom, videoHeight);
+        // Auto-determine or use specified bottom margin; shorts sit in the lower-middle of the frame
+        const marginBottom = determineBottomMargin(
+            options.marginBottom !== undefined || !shorts ? options.marginBottom : Math.floor(videoHeight * 0.25),
+            videoHeight
+        );
         logger.log(`Using bottom margin: ${marginBottom}px${options.marginBottom !== undefined ? ' (user specified)' : ' (auto-determined)'}`);
 
-        // Create ASS header with styles
+        // Create ASS header with styles; the secondary language has a style of its own
+        const secondaryStyle = secondaryTrack && {
+            styleName: 'Secondary',
+            fontName: secondaryTrack.fontName,
+            fontSize: secondaryFontSize,
+            textColor: config.colors.secondaryText
+        };
         let assContent = createAssHeader(
             videoWidth,
             videoHeight,
-            predominantScript,
+            language,
             fontName,
             fontSize,
             marginBottom,
-            extendedConfig.bgColor,
-            extendedConfig.textColor
+            config.colors.bg,
+            config.colors.text,
+            { outlineColor: config.colors.textOutline, shadowColor: config.colors.textShadow },
+            [...(config.speakerStyler ? config.speakerStyler.styles() : []), ...(secondaryStyle ? [secondaryStyle] : [])],
+            fontsSection
         );
 
-        // Use ass-measure to get accurate subtitle dimensions - this is now required
-        logger.log('Using ass-measure for accurate subtitle dimensions');
-        // Create a temporary ASS file for measurement
-        const tempAssFile = createTemporaryAssFile(subtitles, fontName, fontSize, videoWidth, videoHeight);
-        // Measure subtitle dimensions
-        const subtitleDimensions = measureSubtitleDimensions(tempAssFile, videoWidth, videoHeight);
-        // Clean up temporary file
-        fs.removeSync(tempAssFile);
-
         // Check if marginBottom is too large for 33% subtitles
         if (marginBottom > videoHeight * 0.66) {
             logger.warn(`marginBottom (${marginBottom}px) is too large; clamping to ${Math.floor(videoHeight * 0.66)}px.`);
@@ -209,175 +680,594 @@ async function createRoundedAss(subtitlePath, videoPath, outputPath, options = {
             logger.log(`Adjusted bottom margin: ${marginBottom}px`);
         }
 
-        // Generate event lines for each subtitle
-        const events = [];
-
-        // Track dimension stats for summary
-        let measuredCount = subtitles.length;
-        let estimatedCount = 0;
+        // Margins of the top region and the sides
+        const marginTop = determineBottomMargin(undefined, videoHeight);
+        const marginSide = determineSideMargin(options.marginSide, videoWidth);
 
-        for (let idx = 0; idx < subtitles.length; idx++) {
-            const sub = subtitles[idx];
-            const startTime = formatAssTime(sub.start);
-            const endTime = formatAssTime(sub.end);
+        // Use ass-measure to get accurate subtitle dimensions - this is now required
+        logger.log('Using ass-measure for accurate subtitle dimensions');
 
-            let adjustedFontSize = fontSize;
-            if (!subtitleDimensions || !subtitleDimensions[idx]) {
-                logger.error(`Missing subtitle dimensions for index ${idx}. This shouldn't happen as we're using ass-measure.`);
-                throw new Error(`Missing subtitle dimensions for index ${idx}`);
-            }
+        let warnedJoinedTail = false;
 
-            let dimensions = subtitleDimensions[idx];
-            let { width: textWidth, height: textHeight } = dimensions;
-            const maxSubtitleHeight = videoHeight * 0.33;
-
-            // Dynamically adjust font size to fit subtitle vertically - 33% of screen height limit
-            while ((textHeight + extendedConfig.paddingV * 2) > maxSubtitleHeight && adjustedFontSize > 10) {
-                adjustedFontSize -= 2; // Reduce size gradually
-                // Need to remeasure with adjusted font size
-                const tempAssFile = createTemporaryAssFile([sub], fontName, adjustedFontSize, videoWidth, videoHeight);
-                const newDimensions = measureSubtitleDimensions(tempAssFile, videoWidth, videoHeight);
-                fs.removeSync(tempAssFile);
-
-                if (newDimensions && newDimensions[0]) {
-                    dimensions = newDimensions[0];
-                    textWidth = dimensions.width;
-                    textHeight = dimensions.height;
-                } else {
-                    logger.error(`Failed to measure dimensions with adjusted font size ${adjustedFontSize}`);
-                    break;
+        // Lay out the cues of one language in the given font: one layout per cue, in order
+        const layoutTrack = (cues, trackFont, trackFontSize) => {
+            // Resolve VTT cue settings and {\anN} tags into anchors. A cue's max width is applied
+            // through its left/right margins, which libass uses as the wrapping width even with \pos.
+            cues.forEach(sub => {
+                // A speaker's side applies unless the cue places itself
+                if (sub.speakerStyle && sub.speakerStyle.align && !sub.alignment && !(sub.settings && sub.settings.align)) {
+                    sub.settings = { ...sub.settings, align: sub.speakerStyle.align };
                 }
+                sub.placement = resolveCuePlacement(sub, {
+                    videoWidth,
+                    videoHeight,
+                    lineHeight: trackFontSize * extendedConfig.lineSpacing,
+                    marginTop,
+                    marginBottom,
+                    marginSide
+                });
+                const sideMargin = sub.placement.maxWidth ? Math.max(1, Math.floor((videoWidth - sub.placement.maxWidth) / 2)) : 0;
+                sub.marginL = sideMargin;
+                sub.marginR = sideMargin;
+            });
+
+            // Measure every cue
+            let subtitleDimensions = measureTexts(cues, trackFont, trackFontSize, videoWidth, videoHeight);
+
+            // Wrap cues wider than the maximum box width into balanced lines, then measure them again
+            const maxTextWidth = sub => Math.min(maxWidth, sub.placement.maxWidth || Infinity, videoWidth * 0.98) - extendedConfig.paddingH * 2;
+            if (extendedConfig.wrap) {
+                const wrappedCount = wrapSubtitles(cues, subtitleDimensions, {
+                    fontName: trackFont,
+                    fontSize: trackFontSize,
+                    videoWidth,
+                    videoHeight,
+                    maxLines: extendedConfig.maxLines,
+                    minFontSize: Math.max(10, Math.round(trackFontSize * 0.75)),
+                    maxTextWidth
+                }, logger);
+
+                if (wrappedCount) {
+                    logger.log(`Wrapped ${wrappedCount} subtitles to fit a maximum width of ${Math.round(maxWidth)}px`);
+                    // Isolates may now span a line break; redo them line by line
+                    if (config.bidi !== 'off') {
+                        cues.forEach(sub => {
+                            sub.text = applyBidi(sub.text, sub.direction);
+                        });
+                    }
+                    subtitleDimensions = measureTexts(cues, trackFont, trackFontSize, videoWidth, videoHeight);
+                }
+            } else {
+                cues.forEach((sub, idx) => {
+                    if (subtitleDimensions[idx].width > maxTextWidth(sub)) {
+                        const message = `Subtitle #${cueNumber(sub, idx)} is wider than the maximum box width of ${Math.round(maxWidth)}px and wrapping is off.`;
+                        logger.log(message);
+                        logger.issue('overlong-line', 'warning', message, { cue: cueNumber(sub, idx), start: sub.start });
+                    }
+                });
             }
 
-            // ADDITIONAL CHECK: Ensure subtitle fits within available space above bottom margin
+            // Lay out each subtitle's boxes and text
+            const trackLayouts = [];
+
+            // Shrink cues that are too tall for 33% of the screen, or for the space above the bottom
+            // margin, to the largest font size that fits (binary search, one batch per round)
             const availableHeight = videoHeight - marginBottom;
-            let boxHeight = textHeight + (extendedConfig.paddingV * 2);
-
-            // If the subtitle is still too big for available space, reduce font size further
-            while (boxHeight > availableHeight && adjustedFontSize > 10) {
-                adjustedFontSize -= 2;
-
-                // Re-measure with the smaller font size
-                const tempAssFile = createTemporaryAssFile([sub], fontName, adjustedFontSize, videoWidth, videoHeight);
-                const newDimensions = measureSubtitleDimensions(tempAssFile, videoWidth, videoHeight);
-                fs.removeSync(tempAssFile);
-
-                if (newDimensions && newDimensions[0]) {
-                    dimensions = newDimensions[0];
-                    textWidth = dimensions.width;
-                    textHeight = dimensions.height;
-                    boxHeight = textHeight + (extendedConfig.paddingV * 2);
-                } else {
-                    logger.error(`Failed to measure dimensions with adjusted font size ${adjustedFontSize}`);
-                    break;
+            const maxTextHeight = Math.min(videoHeight * 0.33, availableHeight) - extendedConfig.paddingV * 2;
+            const fitted = fitFontSizes(cues, subtitleDimensions, {
+                fontName: trackFont,
+                fontSize: trackFontSize,
+                videoWidth,
+                videoHeight,
+                minFontSize: 10,
+                fits: dimensions => dimensions.height <= maxTextHeight
+            });
+
+            for (let idx = 0; idx < cues.length; idx++) {
+                const sub = cues[idx];
+                const number = cueNumber(sub, idx);
+                const { fontSize: adjustedFontSize, dimensions, reduced } = fitted[idx];
+                const { width: textWidth, height: textHeight } = dimensions;
+                let boxHeight = textHeight + (extendedConfig.paddingV * 2);
+
+                if (reduced) {
+                    const message = `Subtitle #${number} font size reduced to ${adjustedFontSize}px to fit vertically.`;
+                    logger.log(message);
+                    logger.issue('font-size-reduced', 'info', message, { cue: number, start: sub.start, fontSize: adjustedFontSize });
+                }
+
+                // If it's still too big at minimum font size, log a warning
+                if (boxHeight > availableHeight) {
+                    logger.warn(`Subtitle #${number} still exceeds available space at ${adjustedFontSize}px font size.`);
+                    logger.warn(`Box height: ${boxHeight}px, Available height: ${availableHeight}px`);
+                    logger.issue('box-clipped', 'error', `Subtitle #${number} is ${Math.round(boxHeight)}px tall at ${adjustedFontSize}px font size, more than the ${Math.round(availableHeight)}px available.`, { cue: number, start: sub.start });
+                    // Apply a safety measure: force the box height to fit in available space
+                    // by positioning differently
+                }
+
+                // Compute box dimensions after all font adjustments; a box wider than the screen is cut
+                let boxWidth = textWidth + (extendedConfig.paddingH * 2);
+                if (boxWidth > videoWidth * 0.98) {
+                    const message = `Subtitle #${number} is wider than the screen; its box is cut to ${Math.round(videoWidth * 0.98)}px.`;
+                    logger.warn(message);
+                    logger.issue('box-clipped', 'error', message, { cue: number, start: sub.start });
                 }
+                boxWidth = Math.min(boxWidth, videoWidth * 0.98);
+                boxHeight = textHeight + (extendedConfig.paddingV * 2);
+
+                const halfWidth = boxWidth / 2;
+                const halfHeight = boxHeight / 2;
+
+                // Per-line boxes: each \N-separated line gets a box sized from its own measurement
+                const { placement } = sub;
+                const shape = config.shapeFor(sub.speaker);
+                const lines = splitAssLines(sub.text).filter(line => stripAssTags(line).trim() !== '');
+                if (config.boxMode !== 'block' && lines.length > 1) {
+                    const lineLayout = layoutLineBoxes(lines, {
+                        fontName: trackFont,
+                        fontSize: adjustedFontSize,
+                        videoWidth,
+                        videoHeight,
+                        paddingH: extendedConfig.paddingH,
+                        paddingV: extendedConfig.paddingV,
+                        gap: config.boxMode === 'joined' ? 0 : config.lineGap,
+                        textAlign: placement.textAlign
+                    });
+
+                    const smallestRow = lineLayout.rows.reduce((min, row) => Math.min(min, row.halfWidth, row.halfHeight), Infinity);
+                    const lineRadius = determineCornerRadii(config.radius, smallestRow, smallestRow, videoWidth, videoHeight);
+
+                    // A bubble's tail hangs off the last line
+                    if (config.boxMode === 'joined' && shape.tail && !warnedJoinedTail) {
+                        logger.warn('Bubble tails are not drawn in joined box mode.');
+                        warnedJoinedTail = true;
+                    }
+                    const lastRow = lineLayout.rows.length - 1;
+
+                    trackLayouts.push({
+                        index: idx,
+                        number,
+                        start: sub.start,
+                        end: sub.end,
+                        placement,
+                        fontSize: adjustedFontSize,
+                        width: lineLayout.totalWidth,
+                        height: lineLayout.totalHeight,
+                        shapes: config.boxMode === 'joined'
+                            ? [{ offsetX: 0, offsetY: 0, drawing: generateJoinedLinesDrawing(lineLayout.rows, lineRadius, shape) }]
+                            : lineLayout.rows.map((row, i) => ({
+                                offsetX: row.offsetX,
+                                offsetY: row.centerY,
+                                drawing: drawShape(row.halfWidth, row.halfHeight, i === lastRow ? shape : { ...shape, tail: null }, lineRadius)
+                            })),
+                        overhang: shapeOverhang(config.boxMode === 'joined' ? null : shape),
+                        texts: lineLayout.rows.map(row => ({
+                            offsetX: row.offsetX,
+                            offsetY: row.centerY,
+                            alignment: 5,
+                            height: row.halfHeight * 2 - extendedConfig.paddingV * 2,
+                            text: row.text
+                        })),
+                        words: sub.words,
+                        speakerStyle: sub.speakerStyle,
+                        joinedPrevious: sub.joinedPrevious,
+                        joinedNext: sub.joinedNext
+                    });
+                    continue;
+                }
+
+                // Determine effective radius after adjustment
+                const effectiveBorderRadius = determineCornerRadii(
+                    config.radius,
+                    halfWidth,
+                    halfHeight,
+                    videoWidth,
+                    videoHeight
+                );
+
+                // Left/right aligned text is anchored at the padded edge of the box
+                const textOffsetX = placement.textAlign === 'left'
+                    ? -halfWidth + extendedConfig.paddingH
+                    : placement.textAlign === 'right' ? halfWidth - extendedConfig.paddingH : 0;
+
+                trackLayouts.push({
+                    index: idx,
+                    number,
+                    start: sub.start,
+                    end: sub.end,
+                    placement,
+                    marginL: sub.marginL,
+                    marginR: sub.marginR,
+                    fontSize: adjustedFontSize,
+                    width: boxWidth,
+                    height: boxHeight,
+                    shapes: [{ offsetX: 0, offsetY: 0, drawing: drawShape(halfWidth, halfHeight, shape, effectiveBorderRadius) }],
+                    overhang: shapeOverhang(shape),
+                    texts: [{ offsetX: textOffsetX, offsetY: 0, alignment: TEXT_ALIGNMENT[placement.textAlign], height: textHeight, text: sub.text }],
+                    words: sub.words,
+                    speakerStyle: sub.speakerStyle,
+                    joinedPrevious: sub.joinedPrevious,
+                    joinedNext: sub.joinedNext
+                });
             }
 
-            // If it's still too big at minimum font size, log a warning
-            if (boxHeight > availableHeight) {
-                logger.warn(`Subtitle #${idx + 1} still exceeds available space at ${adjustedFontSize}px font size.`);
-                logger.warn(`Box height: ${boxHeight}px, Available height: ${availableHeight}px`);
-                // Apply a safety measure: force the box height to fit in available space
-                // by positioning differently
+            // Pill highlighting needs the position of every word inside its box
+            if (config.highlight === 'pill') {
+                layoutWordPills(trackLayouts.filter(cue => cue.words && cue.words.length), {
+                    fontName: trackFont,
+                    videoWidth,
+                    videoHeight,
+                    paddingH: extendedConfig.paddingH
+                });
             }
 
-            // Compute box dimensions after all font adjustments
-            let boxWidth = textWidth + (extendedConfig.paddingH * 2);
-            boxWidth = Math.min(boxWidth, videoWidth * 0.98);
-            boxHeight = textHeight + (extendedConfig.paddingV * 2);
+            return trackLayouts;
+        };
 
-            const halfWidth = boxWidth / 2;
-            const halfHeight = boxHeight / 2;
+        // Bilingual pairs become one cue with both texts, except in the split layout where the
+        // secondary cues have their own place at the top
+        let layouts = layoutTrack(subtitles, fontName, fontSize);
+        if (pairs) {
+            const mainLayouts = new Map(subtitles.map((sub, i) => [sub, layouts[i]]));
+            const secondaryLayouts = layoutTrack(secondarySubtitles, secondaryTrack.fontName, secondaryFontSize);
+            const secondaryOf = new Map(secondarySubtitles.map((sub, i) => [sub, {
+                ...secondaryLayouts[i],
+                shapes: secondaryLayouts[i].shapes.map(shape => ({ ...shape, fill: config.secondaryFill })),
+                texts: secondaryLayouts[i].texts.map(line => ({ ...line, style: 'Secondary', fontSize: secondaryLayouts[i].fontSize, secondary: true }))
+            }]));
+
+            layouts = pairs.flatMap((pair, index) => {
+                const main = pair.primary && mainLayouts.get(pair.primary);
+                const secondary = pair.secondary && secondaryOf.get(pair.secondary);
+                if (!main || !secondary || config.bilingual === 'split') {
+                    return [secondary, main].filter(Boolean).map(layout => ({ ...layout, index }));
+                }
 
-            // Determine effective radius after adjustment
-            const effectiveBorderRadius = determineBorderRadius(
-                options.radius,
-                halfWidth,
-                halfHeight,
-                videoWidth,
-                videoHeight
-            );
+                const shape = config.shapeFor(pair.primary.speaker);
+                return [{
+                    ...combineBilingualLayouts(secondary, {
+                        ...main,
+                        texts: main.texts.map(line => ({ ...line, fontSize: main.fontSize }))
+                    }, {
+                        mode: config.bilingual,
+                        gap: config.stackGap,
+                        box: (halfWidth, halfHeight) => ({
+                            drawing: drawShape(halfWidth, halfHeight, shape, determineCornerRadii(config.radius, halfWidth, halfHeight, videoWidth, videoHeight)),
+                            overhang: shapeOverhang(shape)
+                        }),
+                        divider: {
+                            fill: { color: config.colors.text, opacity: config.colors.text.a * 0.5 },
+                            thickness: Math.max(1, Math.round(videoHeight / 540)),
+                            inset: extendedConfig.paddingH
+                        }
+                    }),
+                    index
+                }];
+            });
+        }
+
+        const events = [];
+        const boxes = [];
+
+        // Place every cue in its region. Cues that overlap in time are stacked: up from the
+        // bottom margin for bottom cues, down from the top margin for top cues.
+        const baseLine = videoHeight - marginBottom;
+        const stackRegion = (cues, anchor, direction) => (config.stackOverlaps
+            ? stackOverlappingCues(cues, { anchor, gap: config.stackGap, direction })
+            : cues.map(cue => ({ cue, start: cue.start, end: cue.end, anchor: direction === 'up' ? anchor - cue.overhang.bottom : anchor })));
+
+        const placements = [
+            ...stackRegion(layouts.filter(cue => cue.placement.vertical === 'bottom'), baseLine, 'up'),
+            ...stackRegion(layouts.filter(cue => cue.placement.vertical === 'top'), marginTop, 'down'),
+            ...layouts
+                .filter(cue => cue.placement.vertical === 'middle' || cue.placement.vertical === 'line')
+                .map(cue => ({ cue, start: cue.start, end: cue.end }))
+        ].sort((a, b) => a.start - b.start || a.cue.index - b.cue.index);
+
+        // Cues shown at the same time at the top or bottom are stacked, or drawn over each other
+        ['bottom', 'top'].forEach(region => {
+            let latest = null;
+            layouts.filter(cue => cue.placement.vertical === region).sort((a, b) => a.start - b.start).forEach(cue => {
+                if (latest && cue.start < latest.end) {
+                    const message = config.stackOverlaps
+                        ? `Subtitle #${cue.number} overlaps #${latest.number} in time and is stacked.`
+                        : `Subtitle #${cue.number} overlaps #${latest.number} in time; their boxes are drawn over each other.`;
+                    if (config.stackOverlaps) {
+                        logger.log(message);
+                    } else {
+                        logger.warn(message);
+                    }
+                    logger.issue('overlap', config.stackOverlaps ? 'info' : 'warning', message, { cue: cue.number, start: cue.start });
+                }
+                if (!latest || cue.end > latest.end) {
+                    latest = cue;
+                }
+            });
+        });
+
+        // A live stream is written piece by piece: only the part of each placement inside the range
+        const shown = range
+            ? placements
+                .map(placement => ({ ...placement, start: Math.max(placement.start, range.start), end: Math.min(placement.end, range.end) }))
+                .filter(placement => placement.end > placement.start)
+            : placements;
+
+        // A cue stacked in several steps is placed once per step; its moves are reported once
+        const reportedMoves = new Set();
+        const reportMove = (cue, edge, message) => {
+            if (!reportedMoves.has(`${cue.index}:${edge}`)) {
+                reportedMoves.add(`${cue.index}:${edge}`);
+                logger.issue('box-moved', 'warning', message, { cue: cue.number, start: cue.start });
+            }
+        };
+
+        const textColor = toAssColor(config.colors.text);
+        const textBorder = `\\bord${config.textOutline}\\shad${config.textShadow}`;
+        const highlightColor = toAssColor(config.colors.highlight);
+        let warnedSlideGradient = false;
+
+        shown.forEach(({ cue, start, end, anchor }) => {
+            const startTime = formatAssTime(start);
+            const endTime = formatAssTime(end);
+            const halfWidth = cue.width / 2;
+            const halfHeight = cue.height / 2;
+            const { vertical, lineY, lineAlign, textAlign, anchorX } = cue.placement;
 
             // Position subtitles ensuring they're always visible
-            // Calculate ideal position (respecting marginBottom)
-            let yPos = videoHeight - marginBottom - halfHeight;
+            let yPos;
+            if (vertical === 'bottom') {
+                yPos = anchor - halfHeight;
+            } else if (vertical === 'top') {
+                yPos = anchor + halfHeight;
+            } else if (vertical === 'middle') {
+                yPos = videoHeight / 2;
+            } else {
+                yPos = lineAlign === 'end' ? lineY - halfHeight : lineAlign === 'center' ? lineY : lineY + halfHeight;
+            }
 
             // If the box would go off the top of the screen, adjust position to keep it visible
             if (yPos - halfHeight < 0) {
                 // Force the box to start at the top of the screen
                 yPos = halfHeight;
-                logger.warn(`Subtitle #${idx + 1} top position adjusted to fit on screen.`);
+                logger.warn(`Subtitle #${cue.number} top position adjusted to fit on screen.`);
+                reportMove(cue, 'top', `Subtitle #${cue.number} was moved down to keep its top on screen.`);
             }
 
             // If the box would go off the bottom of the screen, adjust position to keep it visible
             if (yPos + halfHeight > videoHeight) {
                 // Force the box to end at the bottom of the screen
                 yPos = videoHeight - halfHeight;
-                logger.warn(`Subtitle #${idx + 1} bottom position adjusted to fit on screen.`);
+                logger.warn(`Subtitle #${cue.number} bottom position adjusted to fit on screen.`);
+                reportMove(cue, 'bottom', `Subtitle #${cue.number} was moved up to keep its bottom on screen.`);
+            }
+
+            // Horizontal centre of the box from its aligned edge, kept on screen
+            const alignedX = textAlign === 'left' ? anchorX + halfWidth : textAlign === 'right' ? anchorX - halfWidth : anchorX;
+            const xPos = Math.min(Math.max(alignedX, halfWidth), videoWidth - halfWidth);
+            if (Math.abs(xPos - alignedX) >= 1) {
+                reportMove(cue, 'side', `Subtitle #${cue.number} was moved ${Math.round(Math.abs(xPos - alignedX))}px ${xPos > alignedX ? 'right' : 'left'} to stay on screen.`);
             }
 
-            // Background dialogue
-            const bgAlphaHex = extendedConfig.bgAlpha.toString(16).padStart(2, '0');
-            const bg = `0,${startTime},${endTime},Box-BG,,0,0,0,,{\\pos(${videoWidth / 2},${yPos})\\bord0\\shad0\\1c&H${extendedConfig.bgColor}\\1a&H${bgAlphaHex}\\p1}`
-                + generateRoundedRectDrawing(halfWidth, halfHeight, effectiveBorderRadius)
-                + "{\\p0}";
+            boxes.push({
+                index: cue.index,
+                start,
+                end,
+                left: xPos - halfWidth,
+                top: yPos - halfHeight,
+                width: cue.width,
+                height: cue.height,
+                fontSize: cue.fontSize,
+                text: cue.texts.map(line => plainText(line.text)).join('\n')
+            });
+
+            // Box and text animate together as the cue enters and leaves. Cues the parser joined
+            // to their neighbour don't animate on that side, so continuous dialogue doesn't blink.
+            const animation = cueAnimation({
+                start: cue.start,
+                end: cue.end,
+                enter: cue.joinedPrevious && !config.animateJoined ? 'none' : animationIn,
+                exit: cue.joinedNext && !config.animateJoined ? 'none' : config.animationOut,
+                duration: config.animationDuration,
+                distance: cue.fontSize / 2
+            });
+            const moves = animationMoves(animation);
+            if (moves && config.decorations.gradient && !warnedSlideGradient) {
+                logger.warn('Sliding boxes are drawn with a flat fill instead of a gradient.');
+                warnedSlideGradient = true;
+            }
 
-            // No RTL marker, letting the system handle text direction automatically
-            const text = `1,${startTime},${endTime},Default,,0,0,0,,{\\an5\\pos(${videoWidth / 2},${yPos})\\bord0\\shad0\\fs${adjustedFontSize}}${sub.text}`;
+            // Background dialogue: shadow, fill and outline of every shape; a gradient spans the whole cue, tail included
+            const { overhang } = cue;
+            const boxAnimation = eventAnimation(animation, start, end);
+            const { speakerStyle } = cue;
+            const gradient = !moves && config.decorations.gradient && {
+                ...config.decorations.gradient,
+                bounds: {
+                    left: xPos - halfWidth - overhang.left,
+                    top: yPos - halfHeight,
+                    right: xPos + halfWidth + overhang.right,
+                    bottom: yPos + halfHeight + overhang.bottom
+                }
+            };
+            // A box with a fill of its own (secondary language) skips the gradient; dividers are drawn plain
+            cue.shapes.forEach(shape => {
+                buildBoxLayers(shape.drawing, {
+                    position: (dx, dy) => boxAnimation.position(xPos + shape.offsetX + dx, yPos + shape.offsetY + dy),
+                    tags: boxAnimation.tags,
+                    fill: shape.fill || config.fillFor(speakerStyle && speakerStyle.bgColor),
+                    gradient: shape.fill ? null : gradient,
+                    outline: shape.divider ? null : config.decorations.outline,
+                    shadow: shape.divider ? null : config.decorations.shadow
+                }).forEach(bg => events.push(`Dialogue: 0,${startTime},${endTime},Box-BG,,0,0,0,,${bg}`));
+            });
+
+            const cueTextColor = speakerStyle ? toAssColor(speakerStyle.textColor) : textColor;
+            const textEvent = (line, eventStart, eventEnd, tags, body) => {
+                const { tags: animationTags, position } = eventAnimation(animation, eventStart, eventEnd);
+                // The Name field ends at a comma like every other field, so commas in it become semicolons
+                const style = line.style ? `${line.style},`
+                    : speakerStyle ? `${speakerStyle.styleName},${speakerStyle.name.replace(/,/g, ';')}` : 'Default,';
+                return `Dialogue: 1,${formatAssTime(eventStart)},${formatAssTime(eventEnd)},${style},${cue.marginL || 0},${cue.marginR || 0},0,,`
+                    + `{\\an${line.alignment}${position(xPos + line.offsetX, yPos + line.offsetY)}${textBorder}\\fs${line.fontSize || cue.fontSize}${animationTags}${tags}}${body}`;
+            };
 
-            events.push(`Dialogue: ${bg}`);
-            events.push(`Dialogue: ${text}`);
-        }
+            // Secondary language texts are never highlighted
+            cue.texts.filter(line => line.secondary).forEach(line => events.push(textEvent(line, start, end, '', line.text)));
+            const texts = cue.texts.filter(line => !line.secondary);
 
+            if (!cue.words || !cue.words.length || config.highlight === 'none') {
+                // Bidi isolates were added to the text before it was measured
+                texts.forEach(line => events.push(textEvent(line, start, end, '', line.text)));
+                return;
+            }
+
+            // Word highlighting: the box above stays steady, only the text (or a pill behind it) changes
+            const runs = splitWordRuns(texts.map(line => line.text), cue.words);
+
+            if (config.highlight === 'karaoke') {
+                // Sung words switch from the secondary (normal) to the primary (highlight) colour
+                const state = { cursor: start };
+                texts.forEach((line, i) => {
+                    events.push(textEvent(line, start, end, `\\1c${highlightColor}\\2c${cueTextColor}`, buildKaraokeText(runs[i], cue.words, state)));
+                });
+                return;
+            }
+
+            if (config.highlight === 'pill') {
+                wordIntervals(cue.words, start, end).filter(interval => interval.word !== null).forEach(interval => {
+                    const pill = cue.pills[interval.word];
+                    if (!pill) {
+                        return;
+                    }
+                    const { tags: animationTags, position } = eventAnimation(animation, interval.start, interval.end);
+                    const bg = `1,${formatAssTime(interval.start)},${formatAssTime(interval.end)},Box-BG,,0,0,0,,{${position(xPos + pill.offsetX, yPos + pill.offsetY)}\\bord0\\shad0\\1c${highlightColor}\\1a${toAssAlpha(config.colors.highlight.a)}${animationTags}\\p1}`
+                        + generateRoundedRectDrawing(pill.halfWidth, pill.halfHeight, pill.halfHeight)
+                        + "{\\p0}";
+                    events.push(`Dialogue: ${bg}`);
+                });
+                texts.forEach(line => events.push(textEvent(line, start, end, '', line.text)));
+                return;
+            }
+
+            // Colour: one set of text events per word, with the active word recoloured
+            wordIntervals(cue.words, start, end).forEach(interval => {
+                texts.forEach((line, i) => {
+                    const body = runs[i].map(run => (run.word !== null && run.word === interval.word
+                        ? `{\\1c${highlightColor}}${run.text}{\\1c${cueTextColor}}`
+                        : run.text)).join('');
+                    events.push(textEvent(line, interval.start, interval.end, '', body));
+                });
+            });
+        });
 
         // Add events to ASS content
         assContent += events.join('\n') + '\n';
 
-        // Log dimension stats summary
-        logger.log(`Subtitle dimensions: ${measuredCount} measured, ${estimatedCount} estimated`);
-
-        // Write ASS file
-        fs.writeFileSync(outputPath, assContent, 'utf8');
-        logger.info(`ASS file generated: ${outputPath}`);
+        // Log measurement stats summary
+        const measured = measureStats();
+        logger.log(`Subtitle dimensions: ${measured.measured - measuredBefore.measured} texts measured in ${measured.calls - measuredBefore.calls} ass-measure calls, ${measured.hits - measuredBefore.hits} from the cache`);
 
-        return outputPath;
+        return renderResult(assContent, boxes, { cues: subtitles.length + (secondarySubtitles ? secondarySubtitles.length : 0), logger, warningsBefore, issuesBefore, measuredBefore });
     } catch (error) {
         logger.error(`Error generating subtitles: ${error.message}`);
         throw error;
     }
 }
 
+/**
+ * The result of a render: the script, its dialogue events, the boxes drawn and what it took
+ *
+ * @param {string} ass - ASS script
+ * @param {Array<Object>} boxes - Boxes { index, start, end, left, top, width, height, fontSize, text }
+ * @param {Object} params - Render details
+ * @param {number} params.cues - Number of cues (or input events for ASS input)
+ * @param {Logger} params.logger - Logger of the render
+ * @param {number} params.warningsBefore - Warnings the logger had before the render
+ * @param {number} params.issuesBefore - Issues the logger had before the render
+ * @param {Object} params.measuredBefore - ass-measure stats before the render
+ * @returns {Object} - { ass, events, boxes, warnings, issues, stats }
+ */
+function renderResult(ass, boxes, { cues, logger, warningsBefore, issuesBefore, measuredBefore }) {
+    const events = parseAss(ass).events
+        .filter(event => event.type === 'Dialogue')
+        .map(event => ({
+            layer: parseInt(event.fields.Layer, 10) || 0,
+            start: parseTimeOffset(event.fields.Start),
+            end: parseTimeOffset(event.fields.End),
+            style: event.fields.Style,
+            name: event.fields.Name,
+            marginL: parseInt(event.fields.MarginL, 10) || 0,
+            marginR: parseInt(event.fields.MarginR, 10) || 0,
+            marginV: parseInt(event.fields.MarginV, 10) || 0,
+            effect: event.fields.Effect,
+            text: event.fields.Text
+        }));
+    const measured = measureStats();
+
+    return {
+        ass,
+        events,
+        boxes,
+        warnings: logger.warnings.slice(warningsBefore),
+        issues: logger.issues.slice(issuesBefore),
+        stats: {
+            cues,
+            events: events.length,
+            boxes: boxes.length,
+            measured: measured.measured - measuredBefore.measured,
+            measureCalls: measured.calls - measuredBefore.calls,
+            cacheHits: measured.hits - measuredBefore.hits
+        }
+    };
+}
+
+/**
+ * Visible text of a laid-out line: no override blocks or bidi isolates, and real line breaks
+ *
+ * @param {string} text - ASS text
+ * @returns {string} - Plain text
+ */
+function plainText(text) {
+    return stripAssTags(text)
+        .replace(/\\[Nn]/g, '\n')
+        .replace(/\\h/g, ' ')
+        .replace(/[\u2066-\u2069]/g, '');
+}
+
 /**
  * Parse subtitle file (SRT or VTT) and return standardized subtitle objects
  * 
  * @param {string} filePath - Path to the subtitle file
  * @param {string} format - 'srt' or 'vtt'
  * @param {Logger} logger - Logger instance
+ * @param {Object} options - Parser options
+ * @param {number} options.chainThreshold - Gaps shorter than this (seconds) are closed
+ * @param {string} options.encoding - Character encoding, or 'auto' to detect it
  * @returns {Array} - Array of subtitle objects with time in seconds
  */
-function parseSubtitles(filePath, format, logger = new Logger()) {
+function parseSubtitles(filePath, format, logger = new Logger(), { chainThreshold = DEFAULT_CHAIN_THRESHOLD, encoding = 'auto' } = {}) {
+    let content;
     try {
-        // Read the file
-        const fs = require('fs-extra');
-        const iconv = require('iconv-lite');
-
-        const buffer = fs.readFileSync(filePath);
-        let content;
-
-        try {
-            content = iconv.decode(buffer, 'utf-8');
-        } catch (error) {
-            // Try Latin-1 if UTF-8 fails
-            try {
-                content = iconv.decode(buffer, 'latin1');
-                logger.warn(`Subtitle file not in UTF-8 format. Using Latin-1 encoding.`);
-            } catch (error) {
-                // Try CP1252 as a last resort
-                content = iconv.decode(buffer, 'cp1252');
-                logger.warn(`Subtitle file not in UTF-8 format. Using CP1252 encoding.`);
-            }
-        }
+        content = readSubtitleText(filePath, logger, encoding);
+    } catch (error) {
+        logger.error(`Error reading/parsing subtitle file: ${error.message}`);
+        throw error;
+    }
+    return parseSubtitleText(content, format, logger, { chainThreshold });
+}
 
+/**
+ * Parse subtitle text (SRT or VTT) and return standardized subtitle objects
+ * 
+ * @param {string} content - Subtitle text
+ * @param {string} format - 'srt' or 'vtt'
+ * @param {Logger} logger - Logger instance
+ * @param {Object} options - Parser options
+ * @param {number} options.chainThreshold - Gaps shorter than this (seconds) are closed
+ * @returns {Array} - Array of subtitle objects with time in seconds
+ */
+function parseSubtitleText(content, format, logger = new Logger(), { chainThreshold = DEFAULT_CHAIN_THRESHOLD } = {}) {
+    try {
         // Parse using subtitle library
         let parsedSubtitles = [];
 
@@ -399,181 +1289,688 @@ function parseSubtitles(filePath, format, logger = new Logger()) {
         }
 
         // Convert to our internal format
-        const subtitles = parsedSubtitles.map((sub, index) => {
-            let text = typeof sub.text === 'string' ? sub.text :
-                (sub.text ? sub.text.toString() : '');
-
-            return {
-                index: index + 1,
-                start: sub.start / 1000, // Convert from ms to seconds
-                end: sub.end / 1000,     // Convert from ms to seconds
-                text: text.replace(/\n/g, '\\N') // Handle line breaks
-            };
-        });
-
-        // Fix timing to prevent flickering
-        for (let i = 0; i < subtitles.length - 1; i++) {
-            const currentSub = subtitles[i];
-            const nextSub = subtitles[i + 1];
-
-            // If the gap is small (less than 0.1s), make end time of current = start time of next
-            if (nextSub.start - currentSub.end < 0.1) {
-                currentSub.end = nextSub.start;
-            }
-        }
-
-        return subtitles;
+        return prepareCues(parsedSubtitles.map(sub => ({
+            ...sub,
+            start: sub.start / 1000, // Convert from ms to seconds
+            end: sub.end / 1000      // Convert from ms to seconds
+        })), logger, { chainThreshold });
     } catch (error) {
         logger.error(`Error reading/parsing subtitle file: ${error.message}`);
         throw error;
     }
 }
 
-// Keep the parseSRT for backward compatibility, but have it call our new unified parser
-function parseSRT(srtPath, logger = new Logger()) {
-    return parseSubtitles(srtPath, 'srt', logger);
+/**
+ * Turn cues { start, end, text, settings } with times in seconds into standardized subtitle
+ * objects: markup converted to ASS, placement tags pulled out and short gaps closed
+ * 
+ * @param {Array<Object>} cues - Cues from a parser or given directly; words and speaker are kept
+ * @param {Logger} logger - Logger instance
+ * @param {Object} options - Parser options
+ * @param {number} options.chainThreshold - Gaps shorter than this (seconds) are closed
+ * @returns {Array} - Array of subtitle objects with time in seconds
+ */
+function prepareCues(cues, logger = new Logger(), { chainThreshold = DEFAULT_CHAIN_THRESHOLD } = {}) {
+    // Warn once per unsupported markup tag rather than once per cue
+    const unsupportedTags = new Set();
+    const onUnsupported = tag => {
+        if (!unsupportedTags.has(tag)) {
+            unsupportedTags.add(tag);
+            logger.warn(`Unsupported subtitle markup ${tag} was stripped.`);
+        }
+    };
+
+    const subtitles = cues.map((sub, index) => {
+        if (!sub || !isFinite(sub.start) || !isFinite(sub.end)) {
+            throw new Error(`Cue #${index + 1} needs a start and end time in seconds`);
+        }
+
+        let text = typeof sub.text === 'string' ? sub.text :
+            (sub.text ? sub.text.toString() : '');
+
+        // Pull {\anN} placement hacks out of the text so they can drive the box position
+        const { text: cleanText, alignment } = extractAlignmentTag(text);
+
+        // Translate <i>, <font color>, <c.yellow> etc. so measurement and output see the same text
+        const { text: assText, speaker } = convertMarkupToAss(cleanText, { onUnsupported });
+
+        return {
+            index: index + 1,
+            start: Number(sub.start),
+            end: Number(sub.end),
+            text: assText.replace(/\r?\n/g, '\\N'), // Handle line breaks
+            settings: parseCueSettings(sub.settings), // VTT cue settings (line, position, align, size)
+            alignment,
+            speaker: speaker || sub.speaker,
+            words: sub.words
+        };
+    });
+
+    // Fix timing to prevent flickering
+    for (let i = 0; i < subtitles.length - 1; i++) {
+        const currentSub = subtitles[i];
+        const nextSub = subtitles[i + 1];
+
+        // If the gap is small (less than the chaining threshold, 0.1s by default), make end time
+        // of current = start time of next. Cues that overlap are left alone so they can be
+        // stacked instead of truncated.
+        const gap = nextSub.start - currentSub.end;
+        if (gap >= 0 && gap < chainThreshold) {
+            currentSub.end = nextSub.start;
+            // Remembered so animations can be skipped between the joined cues
+            currentSub.joinedNext = true;
+            nextSub.joinedPrevious = true;
+        }
+    }
+
+    return subtitles;
 }
 
 /**
- * Format seconds to ASS time format.
+ * Read a subtitle file and decode it to a string. The encoding is detected from a byte
+ * order mark, a UTF-8 check or, for legacy files, the code page whose text reads best.
  * 
- * @param {number} seconds - Time in seconds
- * @returns {string} - ASS format time (H:MM:SS.ss)
+ * @param {string} filePath - Path to the subtitle file
+ * @param {Logger} logger - Logger instance
+ * @param {string} encoding - Character encoding, or 'auto' to detect it
+ * @returns {string} - Decoded file content
  */
-function formatAssTime(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
+function readSubtitleText(filePath, logger = new Logger(), encoding = 'auto') {
+    const fs = require('fs-extra');
 
-    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toFixed(2).padStart(5, '0')}`;
+    return decodeSubtitleInput(fs.readFileSync(filePath), logger, encoding);
 }
 
 /**
- * Generate a rounded rectangle drawing command for ASS subtitles.
+ * Decode subtitle input to a string. Strings are used as they are; bytes are decoded the
+ * same way as files.
  * 
- * @param {number} halfWidth - Half width of the rectangle
- * @param {number} halfHeight - Half height of the rectangle
- * @param {number} borderRadius - Corner radius
- * @returns {string} - ASS drawing commands for a rounded rectangle
+ * @param {string|Buffer} input - Subtitle text or raw bytes
+ * @param {Logger} logger - Logger instance
+ * @param {string} encoding - Character encoding, or 'auto' to detect it
+ * @returns {string} - Decoded content
  */
-function generateRoundedRectDrawing(halfWidth, halfHeight, borderRadius) {
-    let drawing = '';
+function decodeSubtitleInput(input, logger = new Logger(), encoding = 'auto') {
+    if (typeof input === 'string') {
+        return input;
+    }
+    if (!Buffer.isBuffer(input) && !(input instanceof Uint8Array)) {
+        throw new Error('Subtitle input must be a string or a Buffer');
+    }
+
+    const buffer = Buffer.from(input);
+    const decoded = decodeText(buffer, encoding);
+
+    if (decoded.method === 'forced') {
+        logger.log(`Encoding: ${decoded.encoding} (user specified)`);
+    } else {
+        logger.log(`Encoding: ${decoded.encoding} (${decoded.method === 'bom' ? 'byte order mark' : decoded.method === 'guess' ? 'guessed' : 'detected'}, confidence ${decoded.confidence})`);
+    }
+    if (decoded.method === 'guess' && decoded.confidence < LOW_CONFIDENCE) {
+        const message = `Subtitle file not in UTF-8 format and its encoding is unclear. Using ${decoded.encoding}; use --encoding to choose another.`;
+        logger.warn(message);
+        logger.issue('encoding', 'warning', message, { encoding: decoded.encoding });
+    } else if (decoded.method === 'guess') {
+        logger.issue('encoding', 'info', `Subtitle file not in UTF-8 format; read as ${decoded.encoding} (confidence ${decoded.confidence}).`, { encoding: decoded.encoding });
+    }
+
+    return decoded.text;
+}
 
-    // Ensure border radius is not larger than the dimensions of the box
-    const maxAllowedRadius = Math.max(1, Math.min(halfHeight, halfWidth) - 1);
-    const effectiveBorderRadius = borderRadius > 0 ? Math.min(borderRadius, maxAllowedRadius) : 0;
+/**
+ * Add rounded background boxes to an existing ASS script.
+ * 
+ * The original script is kept line for line: styles, layers, margins, \pos/\move and
+ * \an tags are untouched. A Box-BG event is inserted before each boxed dialogue line, on
+ * the same layer, measured with the line's own style and anchored the way libass
+ * anchors the text.
+ * 
+ * @param {string} content - ASS script
+ * @param {Object} config - Resolved configuration (colours, padding, radius, skipStyles)
+ * @param {Logger} logger - Logger instance
+ * @returns {Object} - { ass, boxes, cues } where cues is the number of dialogue events
+ */
+function renderAssInput(content, config, logger = new Logger()) {
+    logger.log('Parsing ASS script');
+    const parsed = parseAss(content);
 
-    if (effectiveBorderRadius > 0) {
-        // Draw a rounded rectangle using bezier curves for corners
-        // Start at top-left + radius, going clockwise
-        drawing += `m ${-halfWidth + effectiveBorderRadius} ${-halfHeight} `; // Starting point
-        drawing += `l ${halfWidth - effectiveBorderRadius} ${-halfHeight} `; // Top edge
+    if (!parsed.styles.length || !parsed.eventFormat.length) {
+        throw new Error('No [V4+ Styles] or [Events] section found in the ASS file');
+    }
 
-        // Top-right corner with bezier
-        drawing += `b ${halfWidth} ${-halfHeight} ${halfWidth} ${-halfHeight + effectiveBorderRadius} ${halfWidth} ${-halfHeight + effectiveBorderRadius} `;
+    const playRes = getPlayRes(parsed.scriptInfo);
+    logger.log(`Script resolution: ${playRes.width}x${playRes.height}`);
 
-        drawing += `l ${halfWidth} ${halfHeight - effectiveBorderRadius} `; // Right edge
+    // libass falls back to the Default style (or the first one) for unknown style names
+    const styleFor = name => parsed.styles.find(style => style.name === name)
+        || parsed.styles.find(style => style.name === 'Default')
+        || parsed.styles[0];
 
-        // Bottom-right corner
-        drawing += `b ${halfWidth} ${halfHeight} ${halfWidth - effectiveBorderRadius} ${halfHeight} ${halfWidth - effectiveBorderRadius} ${halfHeight} `;
+    const boxed = parsed.events.filter(event => {
+        if (event.type !== 'Dialogue') {
+            return false;
+        }
 
-        // Bottom edge
-        drawing += `l ${-halfWidth + effectiveBorderRadius} ${halfHeight} `;
+        const text = event.fields.Text || '';
+        if (config.skipStyles.includes((event.fields.Style || '').toLowerCase())) {
+            return false;
+        }
+        if (!stripAssTags(text).replace(/\\[Nnh]/g, '').trim()) {
+            return false;
+        }
+        // Drawings already are shapes, and rotated text can't get an axis-aligned box
+        if (/\{[^}]*\\p[1-9]/.test(text) || /\{[^}]*\\fr[xyz]?-?[\d.]+/.test(text)) {
+            logger.log(`Skipping box for ${event.type} at ${event.fields.Start}: drawing or rotated text`);
+            return false;
+        }
+        return true;
+    });
 
-        // Bottom-left corner
-        drawing += `b ${-halfWidth} ${halfHeight} ${-halfWidth} ${halfHeight - effectiveBorderRadius} ${-halfWidth} ${halfHeight - effectiveBorderRadius} `;
+    logger.log(`Adding boxes to ${boxed.length} of ${parsed.events.length} events`);
 
-        drawing += `l ${-halfWidth} ${-halfHeight + effectiveBorderRadius} `; // Left edge
+    // Measure every boxed line with its real style in one ass-measure call
+    const dimensions = measureAssEvents(parsed, boxed, playRes);
 
-        // Top-left corner
-        drawing += `b ${-halfWidth} ${-halfHeight} ${-halfWidth + effectiveBorderRadius} ${-halfHeight} ${-halfWidth + effectiveBorderRadius} ${-halfHeight} `;
-    } else {
-        // Simple rectangle without rounded corners
-        drawing += `m ${-halfWidth} ${-halfHeight} `; // Top-left
-        drawing += `l ${halfWidth} ${-halfHeight} `; // Top-right
-        drawing += `l ${halfWidth} ${halfHeight} `; // Bottom-right
-        drawing += `l ${-halfWidth} ${halfHeight} `; // Bottom-left
-        drawing += `l ${-halfWidth} ${-halfHeight} `; // Back to top-left
+    // Pick a style name for the boxes that doesn't clash with the script's own styles
+    let boxStyleName = 'Box-BG';
+    for (let n = 2; parsed.styles.some(style => style.name === boxStyleName); n++) {
+        boxStyleName = `Box-BG-${n}`;
     }
 
-    return drawing;
+    const before = new Map();
+    const boxes = [];
+
+    boxed.forEach((event, idx) => {
+        const { width: textWidth, height: textHeight } = dimensions[idx];
+        const text = event.fields.Text;
+        const anchor = getEventAnchor(event, styleFor(event.fields.Style), playRes, extractAlignmentTag(text).alignment);
+        const { dx, dy } = anchorToCenterOffset(anchor.alignment, textWidth, textHeight);
+
+        const halfWidth = textWidth / 2 + config.paddingX;
+        const halfHeight = textHeight / 2 + config.paddingY;
+        const radius = determineCornerRadii(config.radius, halfWidth, halfHeight, playRes.width, playRes.height);
+        const shape = config.shapeFor(event.fields.Name);
+        const overhang = shapeOverhang(shape);
+        const speakerStyle = config.speakerStyler && config.speakerStyler.styleFor(event.fields.Name);
+
+        const position = (offsetX, offsetY) => (anchor.move
+            ? `\\move(${anchor.move[0] + dx + offsetX},${anchor.move[1] + dy + offsetY},${anchor.move[2] + dx + offsetX},${anchor.move[3] + dy + offsetY}${anchor.move.length >= 6 ? `,${anchor.move[4]},${anchor.move[5]}` : ''})`
+            : `\\pos(${anchor.x + dx + offsetX},${anchor.y + dy + offsetY})`);
+        // Fade the box together with its text
+        const fade = (text.match(/\\fade?\([^)]*\)/) || [''])[0];
+
+        // A gradient is clipped to fixed bands, so moving boxes keep a flat fill
+        const centerX = anchor.x + dx;
+        const centerY = anchor.y + dy;
+        boxes.push({
+            index: idx,
+            start: parseTimeOffset(event.fields.Start),
+            end: parseTimeOffset(event.fields.End),
+            left: centerX - halfWidth,
+            top: centerY - halfHeight,
+            width: halfWidth * 2,
+            height: halfHeight * 2,
+            fontSize: parseFloat(styleFor(event.fields.Style).fields.Fontsize) || undefined,
+            text: plainText(text)
+        });
+        const gradient = config.decorations.gradient && !anchor.move
+            ? {
+                ...config.decorations.gradient,
+                bounds: {
+                    left: centerX - halfWidth - overhang.left,
+                    top: centerY - halfHeight,
+                    right: centerX + halfWidth + overhang.right,
+                    bottom: centerY + halfHeight + overhang.bottom
+                }
+            }
+            : null;
+
+        const boxLines = buildBoxLayers(drawShape(halfWidth, halfHeight, shape, radius), {
+            position,
+            tags: fade,
+            fill: config.fillFor(speakerStyle && speakerStyle.bgColor),
+            gradient,
+            outline: config.decorations.outline,
+            shadow: config.decorations.shadow
+        }).map(layer => formatEventLine('Dialogue', parsed.eventFormat, {
+            ...event.fields,
+            Style: boxStyleName,
+            Name: '',
+            MarginL: '0',
+            MarginR: '0',
+            MarginV: '0',
+            Effect: '',
+            Text: layer
+        }));
+
+        before.set(event.lineIndex, boxLines);
+    });
+
+    const boxStyle = formatStyleLine(parsed.styleFormat, {
+        Name: boxStyleName,
+        Fontname: 'Arial',
+        Fontsize: '20',
+        PrimaryColour: toAssStyleColor(config.colors.bg, 1),
+        SecondaryColour: '&H000000FF',
+        OutlineColour: toAssStyleColor(config.colors.bg, 1),
+        BackColour: '&H00000000',
+        ScaleX: '100',
+        ScaleY: '100',
+        BorderStyle: '1',
+        Alignment: '7',
+        Encoding: '1'
+    });
+
+    // The script's own fonts: style fonts, \fn overrides, and bold or italic wherever used
+    const usedFonts = collectTextFonts(parsed.events.map(event => event.fields.Text || ''));
+    const styleFonts = parsed.styles.map(style => style.fields.Fontname);
+    const fontFaces = checkFonts([...styleFonts, ...usedFonts.fonts].filter(Boolean), {
+        mode: config.missingFonts,
+        bold: usedFonts.bold || parsed.styles.some(style => style.fields.Bold && style.fields.Bold !== '0'),
+        italic: usedFonts.italic || parsed.styles.some(style => style.fields.Italic && style.fields.Italic !== '0'),
+        logger
+    });
+    const fontsSection = config.embedFonts ? buildFontsSection(fontFaces, logger) : '';
+
+    return {
+        ass: serializeAss(parsed, { styles: [boxStyle], before }) + (fontsSection ? `\n${fontsSection}` : ''),
+        boxes,
+        cues: parsed.events.filter(event => event.type === 'Dialogue').length
+    };
 }
 
 /**
- * Creates a temporary ASS file for measuring dimensions
+ * Measure events of a parsed ASS script with the script's own resolution and styles
  * 
- * @param {Array} subtitles - Array of subtitles 
- * @param {string} fontName - Font name
- * @param {number} fontSize - Font size
- * @param {number} videoWidth - Video width
- * @param {number} videoHeight - Video height
- * @returns {string} - Path to created temporary ASS file
+ * @param {Object} parsed - Result of parseAss()
+ * @param {Array<Object>} events - Events to measure
+ * @param {Object} playRes - Script resolution
+ * @returns {Array} - Array of dimensions, in the same order as events
  */
-function createTemporaryAssFile(subtitles, fontName, fontSize, videoWidth, videoHeight) {
-    const fs = require('fs-extra');
-    const path = require('path');
-    const os = require('os');
-
-    const tempFilePath = path.join(os.tmpdir(), `temp-${Date.now()}.ass`);
+function measureAssEvents(parsed, events, playRes) {
+    if (!events.length) {
+        return [];
+    }
 
-    // Create a basic ASS file with just the subtitles in the Default style
-    let assContent = `[Script Info]
-Title: Temporary ASS file for measurement
+    const styleLines = parsed.styles.map(style => parsed.lines[style.lineIndex]);
+    const content = `[Script Info]
 ScriptType: v4.00+
-PlayResX: ${videoWidth}
-PlayResY: ${videoHeight}
-WrapStyle: 0
-ScaledBorderAndShadow: yes
+PlayResX: ${playRes.width}
+PlayResY: ${playRes.height}
+WrapStyle: ${parsed.scriptInfo.WrapStyle || 0}
+ScaledBorderAndShadow: ${parsed.scriptInfo.ScaledBorderAndShadow || 'yes'}
 
 [V4+ Styles]
-Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
-Style: Default,${fontName},${fontSize},&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,0,0,5,10,10,10,1
+Format: ${parsed.styleFormat.join(', ')}
+${styleLines.join('\n')}
 
 [Events]
-Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Format: ${parsed.eventFormat.join(', ')}
+${events.map(event => parsed.lines[event.lineIndex]).join('\n')}
 `;
 
-    // Add each subtitle as a dialogue line
-    subtitles.forEach((sub, index) => {
-        const startTime = formatAssTime(sub.start);
-        const endTime = formatAssTime(sub.end);
-        assContent += `Dialogue: 0,${startTime},${endTime},Default,,0,0,0,,${sub.text}\n`;
+    return measureAssContent(content, playRes.width, playRes.height, events.length);
+}
+
+/**
+ * Normalise a list of style names given as an array or a comma-separated string
+ * 
+ * @param {Array<string>|string|undefined} styles - Style names
+ * @returns {Array<string>} - Lower-cased style names
+ */
+function normalizeStyleList(styles) {
+    if (!styles) {
+        return [];
+    }
+    const list = Array.isArray(styles) ? styles : String(styles).split(',');
+    return list.map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Detect the speakers of each cue and apply their styles: "NAME:" prefixes and dialogue
+ * dashes are taken out of the text, lines spoken by someone other than the cue's speaker
+ * get that speaker's text colour, and speakers with a label get it in front of their turn.
+ * Cues with word timings keep their text and are only styled by their speaker.
+ * 
+ * @param {Array} subtitles - Subtitles to update in place (text, speaker and speakerStyle)
+ * @param {Object} config - Resolved configuration with speakerStyler and speakerNames
+ * @param {Object} params - Styling parameters
+ * @param {boolean} params.boldLabels - Set labels in bold (off when the text is bold already)
+ */
+function styleSpeakers(subtitles, config, { boldLabels = true } = {}) {
+    const styler = config.speakerStyler;
+    const baseColor = toAssColor(config.colors.text);
+
+    subtitles.forEach(sub => {
+        if (sub.words && sub.words.length) {
+            sub.speakerStyle = styler.styleFor(sub.speaker);
+            return;
+        }
+
+        const detected = detectSpeakers(sub.text, { speaker: sub.speaker || null, knownNames: config.speakerNames });
+        const style = styler.styleFor(detected.speaker);
+        const lineStyles = detected.lineSpeakers.map(name => styler.styleFor(name));
+        const mixed = lineStyles.some(lineStyle => lineStyle !== style);
+
+        sub.speaker = detected.speaker;
+        sub.speakerStyle = style;
+        sub.text = detected.text.split('\\N').map((line, i) => {
+            const lineStyle = lineStyles[i];
+            const color = mixed ? `{\\1c${lineStyle ? toAssColor(lineStyle.textColor) : baseColor}}` : '';
+            const newTurn = i === 0 || detected.lineSpeakers[i] !== detected.lineSpeakers[i - 1];
+            const label = lineStyle && lineStyle.label && newTurn
+                ? (boldLabels ? `{\\b1}${lineStyle.label}:{\\b0} ` : `${lineStyle.label}: `)
+                : '';
+            return color + label + line;
+        }).join('\\N');
     });
+}
 
-    // Write the file
-    fs.writeFileSync(tempFilePath, assContent, 'utf8');
+// Keep the parseSRT for backward compatibility, but have it call our new unified parser
+function parseSRT(srtPath, logger = new Logger()) {
+    return parseSubtitles(srtPath, 'srt', logger);
+}
+
+/**
+ * Format seconds to ASS time format.
+ * 
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - ASS format time (H:MM:SS.ss)
+ */
+function formatAssTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
 
-    return tempFilePath;
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toFixed(2).padStart(5, '0')}`;
 }
 
 /**
- * Measure subtitle dimensions using the ass-measure library
+ * Measure each line of a cue separately and stack one box per line.
+ * Row positions are relative to the centre of the stack.
  * 
- * @param {string} assFilePath - Path to ASS file
- * @param {number} videoWidth - Video width
- * @param {number} videoHeight - Video height
+ * @param {Array<string>} lines - Lines of the cue (already split on \N)
+ * @param {Object} params - Font, video and padding settings
+ * @param {number} params.gap - Vertical gap between line boxes (0 joins them)
+ * @param {string} params.textAlign - 'left', 'center' or 'right'; rows share that edge
+ * @returns {Object} - Total stack size and row geometry
+ */
+function layoutLineBoxes(lines, params) {
+    const { fontName, fontSize, videoWidth, videoHeight, paddingH, paddingV, gap, textAlign = 'center' } = params;
+
+    const lineDimensions = measureTexts(lines, fontName, fontSize, videoWidth, videoHeight);
+
+    const rows = lines.map((text, index) => ({
+        text,
+        halfWidth: Math.min(lineDimensions[index].width + paddingH * 2, videoWidth * 0.98) / 2,
+        halfHeight: (lineDimensions[index].height + paddingV * 2) / 2
+    }));
+
+    const totalWidth = rows.reduce((max, row) => Math.max(max, row.halfWidth * 2), 0);
+    const totalHeight = rows.reduce((sum, row) => sum + row.halfHeight * 2, 0) + gap * (rows.length - 1);
+
+    // Assign each row its extent relative to the stack centre
+    let cursor = -totalHeight / 2;
+    rows.forEach(row => {
+        row.offsetX = textAlign === 'left'
+            ? row.halfWidth - totalWidth / 2
+            : textAlign === 'right' ? totalWidth / 2 - row.halfWidth : 0;
+        row.top = cursor;
+        row.bottom = cursor + row.halfHeight * 2;
+        row.centerY = cursor + row.halfHeight;
+        cursor = row.bottom + gap;
+    });
+
+    return {
+        totalWidth,
+        totalHeight,
+        rows
+    };
+}
+
+/**
+ * Work out a pill box behind every timed word of each cue, relative to the cue's box centre.
+ * Lines and the line text up to each word are measured in one batch per font size.
+ * 
+ * @param {Array<Object>} cues - Cue layouts with texts and words; cue.pills is set on each
+ * @param {Object} params - Font, video and padding settings
+ */
+function layoutWordPills(cues, params) {
+    const { fontName, videoWidth, videoHeight, paddingH } = params;
+
+    // Describe each word by the line it sits on and the text up to and including it
+    const requests = [];
+    cues.forEach(cue => {
+        cue.pills = [];
+        const runs = splitWordRuns(cue.texts.map(line => line.text), cue.words);
+
+        cue.texts.forEach((line, i) => {
+            // Lines carry the override tags of the lines before them (e.g. bold for shorts)
+            const lines = splitAssLines(line.text);
+            const inherited = lines.map((text, lineIndex) => text.slice(0, text.length - line.text.split('\\N')[lineIndex].length));
+            let offset = 0;
+
+            runs[i].forEach(run => {
+                if (run.word !== null) {
+                    const before = line.text.slice(0, offset);
+                    const lineIndex = (before.match(/\\N/g) || []).length;
+                    const lastBreak = before.lastIndexOf('\\N');
+                    const lineStart = lastBreak < 0 ? 0 : lastBreak + 2;
+                    requests.push({
+                        cue,
+                        line,
+                        word: run.word,
+                        lineIndex,
+                        lineCount: lines.length,
+                        lineText: lines[lineIndex],
+                        prefix: inherited[lineIndex] + line.text.slice(lineStart, offset + run.text.length),
+                        // The word alone, with the styling it inherits (trailing spaces don't measure)
+                        wordText: inherited[lineIndex] + (line.text.slice(lineStart, offset).match(/\{[^}]*\}/g) || []).join('') + run.text
+                    });
+                }
+                offset += run.text.length;
+            });
+        });
+    });
+
+    // Measure every distinct string once per font size
+    const widths = new Map();
+    const sizes = [...new Set(requests.map(request => request.cue.fontSize))];
+    sizes.forEach(size => {
+        const texts = [...new Set(requests
+            .filter(request => request.cue.fontSize === size)
+            .flatMap(request => [request.lineText, request.prefix, request.wordText]))];
+        const dimensions = measureTexts(texts, fontName, size, videoWidth, videoHeight);
+        texts.forEach((text, i) => widths.set(`${size}|${text}`, dimensions[i].width));
+    });
+
+    requests.forEach(request => {
+        const { cue, line } = request;
+        const widthOf = text => widths.get(`${cue.fontSize}|${text}`);
+
+        const lineWidth = widthOf(request.lineText);
+        const wordWidth = widthOf(request.wordText);
+        const lineLeft = line.alignment === 4
+            ? line.offsetX
+            : line.alignment === 6 ? line.offsetX - lineWidth : line.offsetX - lineWidth / 2;
+        const lineHeight = line.height / request.lineCount;
+
+        cue.pills[request.word] = {
+            offsetX: lineLeft + widthOf(request.prefix) - wordWidth / 2,
+            offsetY: line.offsetY - line.height / 2 + lineHeight * (request.lineIndex + 0.5),
+            halfWidth: wordWidth / 2 + paddingH / 2,
+            halfHeight: lineHeight / 2
+        };
+    });
+}
+
+/**
+ * Number of a cue in its source, for messages; cues without one are counted by position
+ *
+ * @param {Object} sub - Subtitle
+ * @param {number} idx - Position of the subtitle in its track
+ * @returns {number} - Cue number
+ */
+function cueNumber(sub, idx) {
+    return sub.index || idx + 1;
+}
+
+/**
+ * Put the layouts of a bilingual pair together into one cue: the secondary cue above the
+ * main one, as two boxes (stack) or inside one box with a divider line between the texts
+ * (merge). Shapes, texts and word pills are moved to the centre of the pair; a narrower part
+ * lines up with the aligned edge of the wider one.
+ *
+ * @param {Object} upper - Layout of the secondary cue
+ * @param {Object} lower - Layout of the main cue, whose placement and timing the pair keeps
+ * @param {Object} params - Combination settings
+ * @param {string} params.mode - 'stack' or 'merge'
+ * @param {number} params.gap - Gap between the two boxes when stacked
+ * @param {Function} params.box - (halfWidth, halfHeight) => { drawing, overhang } of the merged box
+ * @param {Object} params.divider - { fill, thickness, inset } of the divider line when merged
+ * @returns {Object} - Layout of the pair
+ */
+function combineBilingualLayouts(upper, lower, { mode, gap, box, divider }) {
+    const merged = mode === 'merge';
+    const width = Math.max(upper.width, lower.width);
+    const height = upper.height + (merged ? 0 : gap) + lower.height;
+    const { textAlign } = lower.placement;
+
+    const move = (layout, dy) => {
+        const dx = textAlign === 'left' ? (layout.width - width) / 2 : textAlign === 'right' ? (width - layout.width) / 2 : 0;
+        const moved = item => item && { ...item, offsetX: item.offsetX + dx, offsetY: item.offsetY + dy };
+        return {
+            shapes: layout.shapes.map(moved),
+            texts: layout.texts.map(moved),
+            pills: layout.pills && layout.pills.map(moved)
+        };
+    };
+    const top = move(upper, (upper.height - height) / 2);
+    const bottom = move(lower, (height - lower.height) / 2);
+
+    if (merged) {
+        const outline = box(width / 2, height / 2);
+        return {
+            ...lower,
+            width,
+            height,
+            shapes: [
+                { offsetX: 0, offsetY: 0, drawing: outline.drawing },
+                {
+                    offsetX: 0,
+                    offsetY: upper.height - height / 2,
+                    drawing: generateRoundedRectDrawing(Math.max(1, width / 2 - divider.inset), divider.thickness / 2, 0),
+                    fill: divider.fill,
+                    divider: true
+                }
+            ],
+            overhang: outline.overhang,
+            texts: [...top.texts, ...bottom.texts],
+            pills: bottom.pills
+        };
+    }
+
+    return {
+        ...lower,
+        width,
+        height,
+        shapes: [...top.shapes, ...bottom.shapes],
+        overhang: {
+            left: Math.max(upper.overhang.left, lower.overhang.left),
+            right: Math.max(upper.overhang.right, lower.overhang.right),
+            bottom: lower.overhang.bottom
+        },
+        texts: [...top.texts, ...bottom.texts],
+        pills: bottom.pills
+    };
+}
+
+/**
+ * Wrap subtitles that are wider than their maximum text width into balanced lines.
+ * 
+ * Every token of every overflowing cue is measured in one batch per font size. The font
+ * is only reduced (in 2px steps, down to minFontSize) for cues that cannot be split into
+ * maxLines lines at the current size; cues that still don't fit are wrapped greedily
+ * onto as many lines as they need.
+ * 
+ * @param {Array} subtitles - Subtitles to wrap in place (text and fontSize are updated)
+ * @param {Array} dimensions - Current measurements of the subtitles
+ * @param {Object} params - Font, video and wrapping settings
+ * @param {Function} params.maxTextWidth - Returns the maximum text width for a subtitle
  * @param {Logger} logger - Logger instance
- * @returns {Array} - Array of subtitle dimensions
+ * @returns {number} - Number of subtitles that were rewrapped
  */
-function measureSubtitleDimensions(assFilePath, videoWidth, videoHeight, logger = new Logger()) {
-    try {
-        const measureDimensions = require('ass-measure');
+function wrapSubtitles(subtitles, dimensions, params, logger = new Logger()) {
+    const { fontName, fontSize, videoWidth, videoHeight, maxLines, minFontSize, maxTextWidth } = params;
+
+    let pending = subtitles
+        .map((sub, idx) => ({ sub, idx, number: cueNumber(sub, idx), maxWidth: maxTextWidth(sub) }))
+        .filter(item => dimensions[item.idx].width > item.maxWidth)
+        .map(item => ({ ...item, tokens: tokenize(unwrapText(item.sub.text)) }))
+        .filter(item => item.tokens.length > 0);
+    const wrappedCount = pending.length;
+
+    // The starting size is always tried, even below minFontSize, so every item has widths for the fallback
+    for (let size = fontSize; pending.length && (size === fontSize || size >= minFontSize); size -= 2) {
+        // Measure each distinct token once, with the override tags it inherits
+        const keys = [...new Set(pending.flatMap(item => item.tokens.map(token => token.prefix + token.text)))];
+        const measured = measureTexts([...keys, 'x x', 'xx'], fontName, size, videoWidth, videoHeight);
+        const widthOf = new Map(keys.map((key, i) => [key, measured[i].width]));
+        const spaceWidth = Math.max(0, measured[keys.length].width - measured[keys.length + 1].width);
+
+        const candidates = [];
+        pending.forEach(item => {
+            item.size = size;
+            item.widths = item.tokens.map(token => widthOf.get(token.prefix + token.text));
+            item.spaceWidth = spaceWidth;
+
+            const breaks = chooseBreaks(item.tokens, item.widths, spaceWidth, {
+                maxWidth: item.maxWidth,
+                maxLines,
+                pyramid: !hasCjk(item.sub.text)
+            });
+            if (breaks) {
+                candidates.push({ item, text: joinLines(item.tokens, breaks) });
+            }
+        });
 
-        // Use the Node.js addon
-        const result = measureDimensions(assFilePath, videoWidth, videoHeight);
+        // Token widths ignore kerning across tokens, so confirm with a real measurement of each line
+        const lines = candidates.flatMap(candidate => splitAssLines(candidate.text).map(line => ({ candidate, line })));
+        const lineDimensions = measureTexts(lines.map(entry => entry.line), fontName, size, videoWidth, videoHeight);
+        const overflowing = new Set();
+        lines.forEach((entry, i) => {
+            if (lineDimensions[i].width > entry.candidate.item.maxWidth * 1.02) {
+                overflowing.add(entry.candidate);
+            }
+        });
 
-        // Convert the result to match the expected format 
-        return result.map((line, index) => ({
-            index,
-            text: line.text,
-            width: line.width,
-            height: line.height
-        }));
-    } catch (error) {
-        logger.error(`Error measuring subtitle dimensions: ${error.message}`);
-        // Since we're not using a fallback anymore, this is a critical error
-        throw new Error(`Failed to measure subtitle dimensions: ${error.message}`);
+        const accepted = new Set();
+        candidates.filter(candidate => !overflowing.has(candidate)).forEach(({ item, text }) => {
+            item.sub.text = text;
+            if (size !== fontSize) {
+                item.sub.fontSize = size;
+                const message = `Subtitle #${item.number} font size reduced to ${size}px to fit ${maxLines} lines.`;
+                logger.log(message);
+                logger.issue('font-size-reduced', 'info', message, { cue: item.number, start: item.sub.start, fontSize: size });
+            }
+            accepted.add(item);
+        });
+
+        pending = pending.filter(item => !accepted.has(item));
     }
+
+    // Last resort: greedy wrapping at the smallest size tried, using as many lines as needed
+    pending.forEach(item => {
+        item.sub.text = joinLines(item.tokens, greedyBreaks(item.tokens, item.widths, item.spaceWidth, item.maxWidth));
+        if (item.size !== fontSize) {
+            item.sub.fontSize = item.size;
+        }
+        const message = `Subtitle #${item.number} does not fit in ${maxLines} lines at ${item.size}px font size.`;
+        logger.warn(message);
+        logger.issue('overlong-line', 'warning', message, { cue: item.number, start: item.sub.start, fontSize: item.size });
+    });
+
+    return wrappedCount;
 }
 
 /**
@@ -581,15 +1978,23 @@ function measureSubtitleDimensions(assFilePath, videoWidth, videoHeight, logger
  * 
  * @param {number} videoWidth - Video width
  * @param {number} videoHeight - Video height 
- * @param {string} predominantScript - Detected script
+ * @param {string} language - BCP-47 language tag
  * @param {string} fontName - Font name
  * @param {number} fontSize - Font size
  * @param {number} marginBottom - Bottom margin
- * @param {string} bgColor - Background color hex
- * @param {string} textColor - Text color hex
+ * @param {Object} bgColor - Background colour from parseColor()
+ * @param {Object} textColor - Text colour from parseColor()
+ * @param {Object} textDecoration - { outlineColor, shadowColor } from parseColor()
+ * @param {Array<Object>} speakerStyles - Speaker styles from createSpeakerStyler(), one Style line each; a style
+ *                                        with its own fontName and fontSize (the secondary language) keeps them
+ * @param {string} fontsSection - [Fonts] section with embedded fonts, or an empty string
  * @returns {string} - ASS header content
  */
-function createAssHeader(videoWidth, videoHeight, predominantScript, fontName, fontSize, marginBottom, bgColor, textColor) {
+function createAssHeader(videoWidth, videoHeight, language, fontName, fontSize, marginBottom, bgColor, textColor, textDecoration = {}, speakerStyles = [], fontsSection = '') {
+    const outlineColor = textDecoration.outlineColor ? toAssStyleColor(textDecoration.outlineColor) : '&H00000000';
+    const shadowColor = textDecoration.shadowColor ? toAssStyleColor(textDecoration.shadowColor) : '&H00000000';
+    const speakerLines = speakerStyles.map(style => `Style: ${style.styleName},${style.fontName || fontName},${style.fontSize || fontSize},${toAssStyleColor(style.textColor)},&H000000FF,${outlineColor},${shadowColor},0,0,0,0,100,100,0,0,1,0,0,${TEXT_ALIGNMENT[style.align || 'center']},10,10,${marginBottom},1\n`).join('');
+
     return `[Script Info]
 Title: ASS subtitles with rounded background boxes
 ScriptType: v4.00+
@@ -597,55 +2002,18 @@ PlayResX: ${videoWidth}
 PlayResY: ${videoHeight}
 WrapStyle: 0
 ScaledBorderAndShadow: yes
-Language: ${predominantScript}
+Language: ${language}
 
 [V4+ Styles]
 Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
-Style: Default,${fontName},${fontSize},&H00${textColor},&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,0,0,5,10,10,${marginBottom},1
-Style: Box-BG,${fontName},${fontSize / 2},&H00${bgColor},&H000000FF,&H00${bgColor},&H00000000,0,0,0,0,100,100,0,0,1,0,0,7,0,0,0,1
-
-[Events]
+Style: Default,${fontName},${fontSize},${toAssStyleColor(textColor)},&H000000FF,${outlineColor},${shadowColor},0,0,0,0,100,100,0,0,1,0,0,5,10,10,${marginBottom},1
+Style: Box-BG,${fontName},${fontSize / 2},${toAssStyleColor(bgColor, 1)},&H000000FF,${toAssStyleColor(bgColor, 1)},&H00000000,0,0,0,0,100,100,0,0,1,0,0,7,0,0,0,1
+${speakerLines}
+${fontsSection ? `${fontsSection}\n` : ''}[Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
 `;
 }
 
-/**
- * Detect script type from text
- * 
- * @param {string} text - Text to analyze
- * @returns {string} - Detected script code
- */
-function detectScript(text) {
-    // Simple script detection logic
-    // Check for CJK characters (Chinese, Japanese, Korean)
-    if (/[\u3000-\u9fff\uf900-\ufaff]/.test(text)) {
-        return 'cjk';
-    }
-
-    // Check for Arabic characters
-    if (/[\u0600-\u06FF]/.test(text)) {
-        return 'arabic';
-    }
-
-    // Check for Hebrew characters
-    if (/[\u0590-\u05FF]/.test(text)) {
-        return 'hebrew';
-    }
-
-    // Default to Latin
-    return 'latin';
-}
-
-/**
- * Check if script is right-to-left
- * 
- * @param {string} script - Script code
- * @returns {boolean} - True if RTL
- */
-function isRtlScript(script) {
-    return ['arabic', 'hebrew'].includes(script);
-}
-
 /**
  * Calculate text dimensions based on font and size
  * 
@@ -704,6 +2072,27 @@ async function getVideoDimensions(videoPath, logger = new Logger()) {
     }
 }
 
+/**
+ * Get the video frame rate using ffprobe
+ * 
+ * @param {string} videoPath - Path to video file
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<number|null>} - Frames per second
+ */
+async function getVideoFrameRate(videoPath, logger = new Logger()) {
+    try {
+        const { execSync } = require('child_process');
+
+        const cmd = `ffprobe -v error -select_streams v:0 -show_entries stream=r_frame_rate -of csv=p=0 "${videoPath}"`;
+        const fps = parseFrameRate(execSync(cmd, { encoding: 'utf8' }).trim());
+        logger.log(`Video frame rate: ${fps.toFixed(3)} fps`);
+        return fps;
+    } catch (error) {
+        logger.error(`Error getting video frame rate: ${error.message}`);
+        return null;
+    }
+}
+
 /**
  * Auto-determine or use specified border radius
  * 
@@ -735,6 +2124,24 @@ function determineBorderRadius(specifiedRadius, halfWidth, halfHeight, videoWidt
     return Math.min(baseRadius, maxAllowedRadius);
 }
 
+/**
+ * Border radius of each corner: determineBorderRadius() applied to one radius, or to each
+ * of four per-corner radii
+ * 
+ * @param {number|Array<number>|undefined} specifiedRadius - Radius or [tl, tr, br, bl] (if any)
+ * @param {number} halfWidth - Half width of the subtitle box
+ * @param {number} halfHeight - Half height of the subtitle box
+ * @param {number} videoWidth - Video width
+ * @param {number} videoHeight - Video height
+ * @returns {number|Array<number>} - Effective radius, or radii per corner
+ */
+function determineCornerRadii(specifiedRadius, halfWidth, halfHeight, videoWidth, videoHeight) {
+    if (Array.isArray(specifiedRadius)) {
+        return specifiedRadius.map(radius => determineBorderRadius(radius, halfWidth, halfHeight, videoWidth, videoHeight));
+    }
+    return determineBorderRadius(specifiedRadius, halfWidth, halfHeight, videoWidth, videoHeight);
+}
+
 /**
  * Auto-determine or use specified bottom margin
  * 
@@ -761,10 +2168,31 @@ function determineBottomMargin(specifiedMargin, videoHeight) {
     return Math.max(60, Math.min(baseMargin, Math.floor(videoHeight * 0.1)));
 }
 
+/**
+ * Auto-determine or use specified left/right safe margin
+ * 
+ * @param {number|undefined} specifiedMargin - User specified margin (if any)
+ * @param {number} videoWidth - Video width
+ * @returns {number} - Effective margin to use
+ */
+function determineSideMargin(specifiedMargin, videoWidth) {
+    if (specifiedMargin !== undefined) {
+        // Never leave less than half of the width for subtitles
+        return Math.min(Math.max(0, specifiedMargin), Math.floor(videoWidth * 0.25));
+    }
+
+    // 5% of video width, but at least 20px
+    return Math.max(20, Math.floor(videoWidth * 0.05));
+}
+
 module.exports = {
+    BOX_MODES,
     createRoundedAss,
+    renderRoundedAss,
+    probeVideo,
     determineBorderRadius,
     determineBottomMargin,
+    determineSideMargin,
     parseSubtitles,
     Logger
 };
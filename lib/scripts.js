@@ -0,0 +1,330 @@
+/**
+ * Script detection per cue and per run of text, font fallback chains per script and
+ * BCP-47 language tags for the ASS header
+ */
+
+/**
+ * Scripts told apart, with the BCP-47 tag used for a file written in them. Scripts shared
+ * by many languages get an undetermined language with the ISO 15924 script code.
+ */
+const SCRIPTS = {
+    latin: { pattern: /\p{Script=Latin}/u, language: 'und-Latn' },
+    cyrillic: { pattern: /\p{Script=Cyrillic}/u, language: 'und-Cyrl' },
+    greek: { pattern: /\p{Script=Greek}/u, language: 'el' },
+    armenian: { pattern: /\p{Script=Armenian}/u, language: 'hy' },
+    georgian: { pattern: /\p{Script=Georgian}/u, language: 'ka' },
+    hebrew: { pattern: /\p{Script=Hebrew}/u, language: 'he' },
+    arabic: { pattern: /\p{Script=Arabic}/u, language: 'und-Arab' },
+    ethiopic: { pattern: /\p{Script=Ethiopic}/u, language: 'am' },
+    devanagari: { pattern: /\p{Script=Devanagari}/u, language: 'und-Deva' },
+    bengali: { pattern: /\p{Script=Bengali}/u, language: 'und-Beng' },
+    gurmukhi: { pattern: /\p{Script=Gurmukhi}/u, language: 'pa' },
+    gujarati: { pattern: /\p{Script=Gujarati}/u, language: 'gu' },
+    tamil: { pattern: /\p{Script=Tamil}/u, language: 'ta' },
+    telugu: { pattern: /\p{Script=Telugu}/u, language: 'te' },
+    kannada: { pattern: /\p{Script=Kannada}/u, language: 'kn' },
+    malayalam: { pattern: /\p{Script=Malayalam}/u, language: 'ml' },
+    sinhala: { pattern: /\p{Script=Sinhala}/u, language: 'si' },
+    thai: { pattern: /\p{Script=Thai}/u, language: 'th' },
+    lao: { pattern: /\p{Script=Lao}/u, language: 'lo' },
+    khmer: { pattern: /\p{Script=Khmer}/u, language: 'km' },
+    myanmar: { pattern: /\p{Script=Myanmar}/u, language: 'my' },
+    'cjk-sc': { pattern: null, language: 'zh-Hans' },
+    'cjk-tc': { pattern: /\p{Script=Bopomofo}/u, language: 'zh-Hant' },
+    'cjk-jp': { pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, language: 'ja' },
+    'cjk-kr': { pattern: /\p{Script=Hangul}/u, language: 'ko' }
+};
+
+const HAN = /\p{Script=Han}/u;
+
+/**
+ * Common characters written differently in Simplified and Traditional Chinese, in the
+ * same order, to tell which one a file uses
+ */
+const SIMPLIFIED_ONLY = '们这个为来说时对会国过发后里经么学没现当动还进样开从实问见长东车门马鸟话语让谁热点';
+const TRADITIONAL_ONLY = '們這個為來說時對會國過發後裡經麼學沒現當動還進樣開從實問見長東車門馬鳥話語讓誰熱點';
+
+/**
+ * Fonts tried for each script, in order. Scripts without a chain use the main font,
+ * which is expected to cover Latin, Cyrillic and Greek.
+ */
+const DEFAULT_FONT_CHAINS = {
+    latin: [],
+    cyrillic: [],
+    greek: [],
+    armenian: ['Noto Sans Armenian', 'Sylfaen'],
+    georgian: ['Noto Sans Georgian', 'Sylfaen'],
+    hebrew: ['Noto Sans Hebrew', 'David', 'Arial'],
+    arabic: ['Noto Sans Arabic', 'Traditional Arabic', 'Geeza Pro'],
+    ethiopic: ['Noto Sans Ethiopic', 'Nyala', 'Kefa'],
+    devanagari: ['Noto Sans Devanagari', 'Nirmala UI', 'Mangal', 'Kohinoor Devanagari'],
+    bengali: ['Noto Sans Bengali', 'Nirmala UI', 'Vrinda', 'Kohinoor Bangla'],
+    gurmukhi: ['Noto Sans Gurmukhi', 'Nirmala UI', 'Raavi', 'Gurmukhi MN'],
+    gujarati: ['Noto Sans Gujarati', 'Nirmala UI', 'Shruti', 'Gujarati Sangam MN'],
+    tamil: ['Noto Sans Tamil', 'Nirmala UI', 'Latha', 'Tamil Sangam MN'],
+    telugu: ['Noto Sans Telugu', 'Nirmala UI', 'Gautami', 'Kohinoor Telugu'],
+    kannada: ['Noto Sans Kannada', 'Nirmala UI', 'Tunga', 'Kannada Sangam MN'],
+    malayalam: ['Noto Sans Malayalam', 'Nirmala UI', 'Kartika', 'Malayalam Sangam MN'],
+    sinhala: ['Noto Sans Sinhala', 'Nirmala UI', 'Iskoola Pota', 'Sinhala Sangam MN'],
+    thai: ['Noto Sans Thai', 'Leelawadee UI', 'Tahoma', 'Thonburi'],
+    lao: ['Noto Sans Lao', 'Leelawadee UI', 'Lao UI', 'Lao Sangam MN'],
+    khmer: ['Noto Sans Khmer', 'Leelawadee UI', 'Khmer UI', 'Khmer Sangam MN'],
+    myanmar: ['Noto Sans Myanmar', 'Myanmar Text', 'Myanmar Sangam MN'],
+    'cjk-sc': ['Noto Sans CJK SC', 'Microsoft YaHei', 'PingFang SC', 'Source Han Sans SC'],
+    'cjk-tc': ['Noto Sans CJK TC', 'Microsoft JhengHei', 'PingFang TC', 'Source Han Sans TC'],
+    'cjk-jp': ['Noto Sans CJK JP', 'Yu Gothic', 'Meiryo', 'Hiragino Sans', 'Source Han Sans JP'],
+    'cjk-kr': ['Noto Sans CJK KR', 'Malgun Gothic', 'Apple SD Gothic Neo', 'Source Han Sans KR']
+};
+
+/**
+ * Fonts that come with Windows, tried first there
+ */
+const WINDOWS_FONTS = new Set([
+    'Sylfaen', 'David', 'Traditional Arabic', 'Nyala', 'Nirmala UI', 'Mangal', 'Vrinda', 'Raavi',
+    'Shruti', 'Latha', 'Gautami', 'Tunga', 'Kartika', 'Iskoola Pota', 'Leelawadee UI', 'Tahoma',
+    'Lao UI', 'Khmer UI', 'Myanmar Text', 'Microsoft YaHei', 'Microsoft JhengHei', 'Yu Gothic',
+    'Meiryo', 'Malgun Gothic'
+]);
+
+/**
+ * Script of a character, or null for characters every script shares (spaces, digits,
+ * punctuation, combining marks). Han characters give 'han', resolved per cue.
+ *
+ * @param {string} char - One character
+ * @returns {string|null} - Script name
+ */
+function charScript(char) {
+    if (HAN.test(char)) {
+        return 'han';
+    }
+    return Object.keys(SCRIPTS).find(name => SCRIPTS[name].pattern && SCRIPTS[name].pattern.test(char)) || null;
+}
+
+/**
+ * Whether a file's Chinese is Traditional rather than Simplified, from the characters
+ * that differ between the two
+ *
+ * @param {string} text - All text of the file
+ * @returns {string} - 'cjk-tc' or 'cjk-sc'
+ */
+function detectChineseVariant(text) {
+    let simplified = 0;
+    let traditional = 0;
+    for (const char of text) {
+        if (SIMPLIFIED_ONLY.includes(char)) simplified++;
+        if (TRADITIONAL_ONLY.includes(char)) traditional++;
+    }
+    return traditional > simplified ? 'cjk-tc' : 'cjk-sc';
+}
+
+/**
+ * Script of the Han characters of a cue: Japanese next to kana, Korean next to Hangul,
+ * otherwise the file's Chinese variant
+ *
+ * @param {string} text - Cue text
+ * @param {string} chinese - 'cjk-sc' or 'cjk-tc'
+ * @returns {string} - Script name
+ */
+function hanScript(text, chinese) {
+    if (SCRIPTS['cjk-jp'].pattern.test(text)) {
+        return 'cjk-jp';
+    }
+    if (SCRIPTS['cjk-kr'].pattern.test(text)) {
+        return 'cjk-kr';
+    }
+    return chinese;
+}
+
+/**
+ * Split ASS text into runs of one script. Override blocks, escapes (\N, \h) and
+ * characters shared by all scripts join the run they are in, or the next one at the
+ * start of the text.
+ *
+ * @param {string} text - ASS text of one cue
+ * @param {Object} options - Detection options
+ * @param {string} options.chinese - Script of Han characters outside Japanese and Korean cues
+ * @returns {Array<Object>} - Runs { script, text } where script is null for a run without letters
+ */
+function splitScriptRuns(text, { chinese = 'cjk-sc' } = {}) {
+    const han = hanScript(text.replace(/\{[^}]*\}/g, ''), chinese);
+    const units = text.match(/\{[^}]*\}|\\[Nnh]|[\s\S]/gu) || [];
+    const runs = [];
+    let current = { script: null, text: '' };
+
+    units.forEach(unit => {
+        const found = unit.length === 1 || /^[^{\\]/.test(unit) ? charScript(unit) : null;
+        const script = found === 'han' ? han : found;
+
+        if (script && current.script && script !== current.script) {
+            runs.push(current);
+            current = { script, text: '' };
+        } else if (script && !current.script) {
+            current.script = script;
+        }
+        current.text += unit;
+    });
+
+    if (current.text) {
+        runs.push(current);
+    }
+    return runs;
+}
+
+/**
+ * Count the letters of each script over all cues
+ *
+ * @param {Array<string>} texts - Cue texts
+ * @param {string} chinese - Script of Han characters outside Japanese and Korean cues
+ * @returns {Map<string, number>} - Letters by script
+ */
+function countScripts(texts, chinese) {
+    const counts = new Map();
+    texts.forEach(text => {
+        const plain = text.replace(/\{[^}]*\}/g, '').replace(/\\[Nnh]/g, ' ');
+        const han = hanScript(plain, chinese);
+        for (const char of plain) {
+            const found = charScript(char);
+            const script = found === 'han' ? han : found;
+            if (script) {
+                counts.set(script, (counts.get(script) || 0) + 1);
+            }
+        }
+    });
+    return counts;
+}
+
+/**
+ * Parse font fallback chains: { script: [fonts] } or { script: 'Font A, Font B' }
+ *
+ * @param {Object|undefined} value - Chains by script
+ * @returns {Object} - Chains by script, as arrays
+ */
+function parseFontFallbacks(value) {
+    if (value === undefined || value === null) {
+        return {};
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Font fallbacks must map scripts to a list of fonts');
+    }
+
+    return Object.keys(value).reduce((chains, key) => {
+        const script = key.trim().toLowerCase();
+        if (!SCRIPTS[script]) {
+            throw new Error(`Unknown script "${key}" in font fallbacks. Expected one of: ${Object.keys(SCRIPTS).join(', ')}`);
+        }
+        const fonts = Array.isArray(value[key]) ? value[key] : String(value[key]).split(',');
+        chains[script] = fonts.map(font => String(font).trim()).filter(Boolean);
+        return chains;
+    }, {});
+}
+
+/**
+ * Font chain of a script: the configured fonts, then the defaults, with the fonts that
+ * ship with the platform first among the defaults
+ *
+ * @param {string} script - Script name
+ * @param {Object} fallbacks - Result of parseFontFallbacks()
+ * @param {string} platform - process.platform
+ * @returns {Array<string>} - Fonts, best first; empty for the main font
+ */
+function fontChain(script, fallbacks = {}, platform = process.platform) {
+    const defaults = DEFAULT_FONT_CHAINS[script] || [];
+    const ordered = platform === 'win32'
+        ? [...defaults.filter(font => WINDOWS_FONTS.has(font)), ...defaults.filter(font => !WINDOWS_FONTS.has(font))]
+        : defaults;
+    return [...new Set([...(fallbacks[script] || []), ...ordered])];
+}
+
+/**
+ * Plan the fonts of a file: the main font (from the user, or the first font of the most
+ * used script's chain) and a font for each other script. A font is picked from a chain
+ * with isAvailable; when none is available the first one is used.
+ *
+ * @param {Array<string>} texts - Cue texts
+ * @param {Object} params - Font settings
+ * @param {string} params.defaultFont - Font for scripts without a chain
+ * @param {string|undefined} params.userFont - Font given by the user, used for the main script
+ * @param {Object} params.fallbacks - Result of parseFontFallbacks()
+ * @param {Function} params.isAvailable - (font) => whether the font is installed
+ * @returns {Object} - { mainFont, mainScript, chinese, fontFor(script), counts }
+ */
+function planFonts(texts, { defaultFont, userFont, fallbacks = {}, isAvailable = () => true }) {
+    const chinese = detectChineseVariant(texts.join(''));
+    const counts = countScripts(texts, chinese);
+    const mainScript = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([script]) => script)[0] || 'latin';
+
+    const pick = script => {
+        const chain = fontChain(script, fallbacks);
+        return chain.find(font => isAvailable(font)) || chain[0] || null;
+    };
+
+    const mainFont = userFont || pick(mainScript) || defaultFont;
+    const fontFor = script => {
+        if (!script || script === mainScript) {
+            return mainFont;
+        }
+        return pick(script) || mainFont;
+    };
+
+    return { mainFont, mainScript, chinese, fontFor, counts };
+}
+
+/**
+ * Switch fonts inside a cue with \fn overrides wherever a run's script needs another
+ * font than the main one, switching back after it
+ *
+ * @param {string} text - ASS text of one cue
+ * @param {Object} plan - Result of planFonts()
+ * @returns {string} - Text with \fn overrides
+ */
+function applyFontRuns(text, plan) {
+    let font = plan.mainFont;
+    const output = splitScriptRuns(text, { chinese: plan.chinese }).map(run => {
+        const runFont = run.script ? plan.fontFor(run.script) : font;
+        if (runFont === font) {
+            return run.text;
+        }
+        font = runFont;
+        return `{\\fn${runFont}}${run.text}`;
+    }).join('');
+
+    // Merge a switch into an override block that follows it
+    return output.replace(/\}\{/g, '');
+}
+
+/**
+ * Check a BCP-47 language tag
+ *
+ * @param {string} value - Language tag, or 'auto'
+ * @returns {string} - The tag
+ */
+function parseLanguageTag(value) {
+    const tag = String(value).trim();
+    if (tag === 'auto' || /^[a-z]{2,3}(-[A-Za-z]{4})?(-([A-Za-z]{2}|\d{3}))?(-([A-Za-z0-9]{5,8}|\d[A-Za-z0-9]{3}))*$/i.test(tag)) {
+        return tag;
+    }
+    throw new Error(`Invalid language tag "${value}". Use a BCP-47 tag such as en, pt-BR or zh-Hant`);
+}
+
+/**
+ * Language tag for a file written mostly in a script
+ *
+ * @param {string} script - Script name
+ * @returns {string} - BCP-47 tag
+ */
+function languageForScript(script) {
+    return SCRIPTS[script] ? SCRIPTS[script].language : 'und';
+}
+
+module.exports = {
+    SCRIPTS,
+    DEFAULT_FONT_CHAINS,
+    charScript,
+    splitScriptRuns,
+    parseFontFallbacks,
+    fontChain,
+    planFonts,
+    applyFontRuns,
+    parseLanguageTag,
+    languageForScript
+};
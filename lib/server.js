@@ -0,0 +1,440 @@
+/**
+ * Local HTTP conversion server: subtitles in, ASS out, laid out with ass-measure like the CLI
+ */
+
+const http = require('http');
+const { BOX_MODES, renderRoundedAss } = require('./roundedAss');
+const { KNOWN_OPTIONS, DEFAULT_OPTIONS, toOptionName, resolveOptions } = require('./config');
+const { parseOpacity, parseColor } = require('./color');
+const { parseRadius, parseShape, parseSpeakerShapes } = require('./shapes');
+const { parseShadow, parseGradient } = require('./decorations');
+const { parseAnimation } = require('./animation');
+const { parseSpeakerStyles, parseSpeakerPalette } = require('./speakers');
+const { parseFontFallbacks, parseLanguageTag } = require('./scripts');
+const { parseMissingFontMode } = require('./fonts');
+const { parseEncoding } = require('./encoding');
+const { parseBidiMode } = require('./bidi');
+const { parseBilingualLayout } = require('./bilingual');
+const { HIGHLIGHT_MODES } = require('./words');
+const { LAYOUTS } = require('./shorts');
+const { parseTimeOffset, parseFrameRate, parseRetime } = require('./timing');
+const packageInfo = require('../package.json');
+
+/**
+ * Largest request body accepted by default, in bytes
+ */
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Request fields besides the styling options
+ */
+const REQUEST_FIELDS = ['format', 'width', 'height', 'secondary', 'secondaryFormat'];
+
+/**
+ * Subtitle formats a request may give
+ */
+const FORMATS = ['srt', 'vtt', 'json', 'ass', 'cues'];
+
+/**
+ * A check that a value is one of a list of names, as the renderer does
+ *
+ * @param {Array<string>} names - Accepted names
+ * @param {string} label - What the value is, used in the error message
+ * @returns {Function} - (value) => undefined, throwing for other values
+ */
+function oneOf(names, label) {
+    return value => {
+        if (!names.includes(value)) {
+            throw new Error(`Unknown ${label} "${value}". Expected one of: ${names.join(', ')}`);
+        }
+    };
+}
+
+/**
+ * Options that take a number or a string in their own format, checked with their parsers,
+ * so that a bad colour or name is the client's error rather than a failed conversion
+ */
+const PARSED_OPTIONS = {
+    textColor: parseColor,
+    bgColor: parseColor,
+    highlightColor: parseColor,
+    boxOutlineColor: parseColor,
+    textOutlineColor: parseColor,
+    textShadowColor: parseColor,
+    secondaryTextColor: parseColor,
+    secondaryBgColor: parseColor,
+    boxMode: oneOf(BOX_MODES, 'box mode'),
+    highlight: oneOf(HIGHLIGHT_MODES, 'highlight mode'),
+    layout: oneOf(LAYOUTS, 'layout'),
+    animationIn: value => parseAnimation(value, 'enter animation'),
+    animationOut: value => parseAnimation(value, 'exit animation'),
+    shape: value => parseShape(value),
+    boxShadow: parseShadow,
+    retime: parseRetime,
+    encoding: parseEncoding,
+    language: parseLanguageTag,
+    missingFonts: parseMissingFontMode,
+    bidi: parseBidiMode,
+    bilingual: parseBilingualLayout,
+    opacity: parseOpacity,
+    radius: parseRadius,
+    fps: parseFrameRate,
+    shift: parseTimeOffset,
+    minDuration: parseTimeOffset,
+    minGap: parseTimeOffset,
+    chainThreshold: parseTimeOffset,
+    speakerPalette: parseSpeakerPalette,
+    boxGradient: parseGradient
+};
+
+/**
+ * Options that also take a list in place of a string
+ */
+const LIST_OPTIONS = ['radius', 'speakerPalette', 'boxGradient', 'skipStyles'];
+
+/**
+ * Options that take an object, checked with their parsers
+ */
+const OBJECT_OPTIONS = {
+    speakers: parseSpeakerStyles,
+    speakerShapes: parseSpeakerShapes,
+    fontFallbacks: parseFontFallbacks
+};
+
+/**
+ * Options and request fields that must be numbers, and those that must be booleans. Options
+ * determined automatically also take 'auto'.
+ */
+const NUMBER_OPTIONS = [
+    ...Object.keys(DEFAULT_OPTIONS).filter(key => typeof DEFAULT_OPTIONS[key] === 'number' && !PARSED_OPTIONS[key]),
+    'marginBottom',
+    'marginSide',
+    'animationDuration',
+    'secondaryFontSize',
+    'width',
+    'height'
+];
+const BOOLEAN_OPTIONS = [...Object.keys(DEFAULT_OPTIONS).filter(key => typeof DEFAULT_OPTIONS[key] === 'boolean'), 'popIn'];
+const AUTO_TYPED_OPTIONS = ['radius', 'fps', 'marginBottom', 'marginSide', 'animationDuration', 'secondaryFontSize', 'popIn'];
+
+/**
+ * Content types of raw subtitle bodies; anything else but JSON is refused. Form-encoded is what
+ * curl --data-binary sends by default, and the body is taken as it is, not decoded.
+ */
+const TEXT_TYPES = [
+    '', 'application/octet-stream', 'application/x-subrip', 'application/x-www-form-urlencoded',
+    'text/plain', 'text/vtt', 'text/srt', 'text/x-ssa', 'text/x-ass'
+];
+
+/**
+ * An error with the HTTP status and error code to answer with
+ *
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Description
+ * @returns {Error} - Error with status and code
+ */
+function httpError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Send a JSON response
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json),
+        ...headers
+    });
+    res.end(json);
+}
+
+/**
+ * Send an error as { error: { code, message } }. Errors without a status are internal ones.
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+    if (res.headersSent) {
+        res.destroy(error);
+        return;
+    }
+    const status = error.status || 500;
+    const code = error.status ? error.code : 'internal_error';
+    sendJson(res, status, { error: { code, message: error.message } }, {
+        ...(error.allow ? { Allow: error.allow } : {}),
+        // The rest of a body that was too large is not read
+        ...(status === 413 ? { Connection: 'close' } : {})
+    });
+}
+
+/**
+ * Read a request body, refusing it once it grows past the limit
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<Buffer>} - Body
+ */
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => httpError(413, 'payload_too_large', `Request body is larger than ${maxBytes} bytes`);
+        if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+            reject(tooLarge());
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let done = false;
+        req.on('data', chunk => {
+            if (done) {
+                return;
+            }
+            size += chunk.length;
+            if (size > maxBytes) {
+                done = true;
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (!done) {
+                done = true;
+                resolve(Buffer.concat(chunks));
+            }
+        });
+        req.on('error', error => {
+            if (!done) {
+                done = true;
+                reject(error);
+            }
+        });
+    });
+}
+
+/**
+ * Read options from a query string. Keys may be camelCase or kebab-case; values become
+ * numbers and booleans, except for options whose default is a string.
+ *
+ * @param {URLSearchParams} query - Query string
+ * @returns {Object} - Options
+ */
+function parseQueryOptions(query) {
+    const options = {};
+    query.forEach((value, key) => {
+        const name = toOptionName(key);
+        if (typeof DEFAULT_OPTIONS[name] === 'string' || name === 'format' || name === 'secondaryFormat') {
+            options[name] = value;
+        } else if (value === 'true' || value === 'false') {
+            options[name] = value === 'true';
+        } else {
+            options[name] = value.trim() !== '' && isFinite(Number(value)) ? Number(value) : value;
+        }
+    });
+    return options;
+}
+
+/**
+ * Work out the input and options of a conversion request. A JSON body is
+ * { input, format, width, height, secondary, secondaryFormat, options }; any other body is
+ * the subtitle text itself. Options may also be given in the query string; the body wins.
+ *
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header
+ * @param {URLSearchParams} query - Query string
+ * @returns {Object} - { input, options } where options include the request fields
+ */
+function parseConvertRequest(body, contentType, query) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    let input = body;
+    let fields = {};
+
+    if (type === 'application/json') {
+        let data;
+        try {
+            data = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            throw httpError(400, 'invalid_json', `Invalid JSON body: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw httpError(400, 'invalid_request', 'JSON body must be an object with an "input" field');
+        }
+        const { input: jsonInput, options = {}, ...rest } = data;
+        if (typeof jsonInput !== 'string' && !Array.isArray(jsonInput)) {
+            throw httpError(400, 'invalid_request', '"input" must be subtitle text or an array of cues');
+        }
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw httpError(400, 'invalid_request', '"options" must be an object');
+        }
+        input = jsonInput;
+        fields = { ...rest, ...options };
+    } else if (!TEXT_TYPES.includes(type)) {
+        throw httpError(415, 'unsupported_media_type', `Unsupported content type "${type}". Send subtitle text or application/json`);
+    }
+
+    if (!input.length) {
+        throw httpError(400, 'invalid_request', 'No subtitles in the request');
+    }
+
+    const options = { ...parseQueryOptions(query), ...fields };
+    const unknown = Object.keys(options).filter(key => !KNOWN_OPTIONS.includes(key) && !REQUEST_FIELDS.includes(key));
+    if (unknown.length) {
+        throw httpError(400, 'unknown_option', `Unknown option${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+    }
+    if (options.format !== undefined && !FORMATS.includes(options.format)) {
+        throw httpError(400, 'invalid_format', `Unknown format "${options.format}". Expected one of: ${FORMATS.join(', ')}`);
+    }
+    validateOptionTypes(options);
+
+    return { input, options };
+}
+
+/**
+ * Refuse option values of the wrong type, which would otherwise end up as NaN in the script
+ *
+ * @param {Object} options - Options and request fields of a request
+ */
+function validateOptionTypes(options) {
+    Object.keys(options).filter(key => options[key] !== undefined && options[key] !== null).forEach(key => {
+        if (options[key] === 'auto' && AUTO_TYPED_OPTIONS.includes(key)) {
+            return;
+        }
+        const value = options[key];
+        if (NUMBER_OPTIONS.includes(key) && !(typeof value === 'number' && isFinite(value))) {
+            throw httpError(400, 'invalid_option', `Option "${key}" must be a number. Got: ${JSON.stringify(value)}`);
+        }
+        if (BOOLEAN_OPTIONS.includes(key) && typeof value !== 'boolean') {
+            throw httpError(400, 'invalid_option', `Option "${key}" must be true or false. Got: ${JSON.stringify(value)}`);
+        }
+        if (LIST_OPTIONS.includes(key) && typeof value === 'object' && !Array.isArray(value)) {
+            throw httpError(400, 'invalid_option', `Option "${key}" must be a string or a list. Got: ${JSON.stringify(value)}`);
+        }
+        if (PARSED_OPTIONS[key]) {
+            if (typeof value !== 'number' && typeof value !== 'string' && !(LIST_OPTIONS.includes(key) && Array.isArray(value))) {
+                throw httpError(400, 'invalid_option', `Option "${key}" must be a number or a string. Got: ${JSON.stringify(value)}`);
+            }
+            try {
+                PARSED_OPTIONS[key](value);
+            } catch (error) {
+                throw httpError(400, 'invalid_option', error.message);
+            }
+        }
+        if (OBJECT_OPTIONS[key]) {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw httpError(400, 'invalid_option', `Option "${key}" must be an object. Got: ${JSON.stringify(value)}`);
+            }
+            try {
+                OBJECT_OPTIONS[key](value);
+            } catch (error) {
+                throw httpError(400, 'invalid_option', error.message);
+            }
+        }
+    });
+}
+
+/**
+ * Convert subtitles. The ASS script is returned as text, or with its events, boxes,
+ * warnings and stats as JSON when the client accepts application/json.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Request URL
+ * @param {Object} settings - Server settings
+ */
+async function handleConvert(req, res, url, settings) {
+    const body = await readBody(req, settings.maxBytes);
+    const { input, options } = parseConvertRequest(body, req.headers['content-type'], url.searchParams);
+    const { format, width, height, secondary, secondaryFormat, ...styling } = options;
+
+    let result;
+    try {
+        const config = resolveOptions({
+            options: styling,
+            preset: styling.preset || settings.preset,
+            theme: settings.theme,
+            rcFile: false
+        });
+        result = renderRoundedAss({ ...config.options, input, format, width, height, secondary, secondaryFormat, silent: true });
+    } catch (error) {
+        throw httpError(422, 'conversion_failed', error.message);
+    }
+
+    if (/application\/json/.test(req.headers.accept || '')) {
+        sendJson(res, 200, result);
+        return;
+    }
+    res.writeHead(200, {
+        'Content-Type': 'text/x-ssa; charset=utf-8',
+        'Content-Length': Buffer.byteLength(result.ass),
+        'X-Warnings': String(result.warnings.length)
+    });
+    res.end(result.ass);
+}
+
+/**
+ * Answer one request
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} settings - Server settings
+ */
+async function handleRequest(req, res, settings) {
+    const url = new URL(req.url, 'http://localhost');
+    const routes = {
+        '/health': { method: 'GET', handle: () => sendJson(res, 200, { status: 'ok' }) },
+        '/version': { method: 'GET', handle: () => sendJson(res, 200, { name: packageInfo.name, version: packageInfo.version }) },
+        '/convert': { method: 'POST', handle: () => handleConvert(req, res, url, settings) }
+    };
+
+    const route = routes[url.pathname];
+    if (!route) {
+        throw httpError(404, 'not_found', `No such endpoint: ${url.pathname}`);
+    }
+    if (req.method !== route.method && !(route.method === 'GET' && req.method === 'HEAD')) {
+        const error = httpError(405, 'method_not_allowed', `${url.pathname} only accepts ${route.method}`);
+        error.allow = route.method === 'GET' ? 'GET, HEAD' : route.method;
+        throw error;
+    }
+    await route.handle();
+}
+
+/**
+ * Create the conversion server: POST /convert, GET /health and GET /version. Errors are
+ * answered as JSON { error: { code, message } }.
+ *
+ * @param {Object} params - Server settings
+ * @param {number} params.maxBytes - Largest request body accepted
+ * @param {string} params.preset - Preset applied below the options of each request
+ * @param {string} params.theme - Theme file applied below the options of each request
+ * @param {Function} params.log - Called with a line per request, if given
+ * @returns {http.Server} - Server, not yet listening
+ */
+function createServer({ maxBytes = DEFAULT_MAX_BYTES, preset, theme, log } = {}) {
+    const settings = { maxBytes, preset, theme };
+
+    return http.createServer((req, res) => {
+        const started = Date.now();
+        if (log) {
+            res.on('finish', () => log(`${req.method} ${req.url} ${res.statusCode} ${Date.now() - started}ms`));
+        }
+        handleRequest(req, res, settings).catch(error => sendError(res, error));
+    });
+}
+
+module.exports = {
+    DEFAULT_MAX_BYTES,
+    createServer,
+    parseQueryOptions
+};
@@ -0,0 +1,323 @@
+/**
+ * Box shapes as ASS vector drawings: rounded rectangles with per-corner radii, pills,
+ * squircles and speech bubbles with a tail
+ */
+
+/**
+ * Supported shapes. A bubble's tail side is written as a suffix: bubble-left, bubble-right
+ * or bubble-down (plain "bubble" points down).
+ */
+const SHAPES = ['rounded', 'pill', 'squircle', 'bubble'];
+
+const TAIL_SIDES = ['left', 'right', 'down'];
+
+/**
+ * Bezier control point distance towards the corner, as a fraction of the corner size.
+ * 0.5523 traces a quarter circle; 0.91 traces a superellipse (n = 4), which leaves the
+ * straight edges with almost no curvature and turns in the middle of the corner.
+ */
+const CIRCLE_HANDLE = 0.5523;
+const SQUIRCLE_HANDLE = 0.91;
+
+/**
+ * Squircle corners start further from the corner than round ones of the same radius, so
+ * they look about as big
+ */
+const SQUIRCLE_EXTENT = 1.5;
+
+/**
+ * Round a drawing coordinate to 2 decimals
+ *
+ * @param {number} value - Coordinate
+ * @returns {number} - Rounded coordinate
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse a radius given as one to four lengths, like CSS border-radius: "8", "8 0",
+ * "8 0 4" or "8 8 0 0" (top-left, top-right, bottom-right, bottom-left)
+ *
+ * @param {number|string|Array<number>} value - Radius, or 'auto'/undefined
+ * @returns {number|Array<number>|undefined} - One radius, [tl, tr, br, bl], or undefined for auto
+ */
+function parseRadius(value) {
+    if (value === undefined || value === null || value === 'auto') {
+        return undefined;
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    const parts = Array.isArray(value) ? value : String(value).trim().split(/[\s,]+/);
+    const lengths = parts.map(part => parseFloat(part));
+    if (!lengths.length || lengths.length > 4 || lengths.some(length => isNaN(length) || length < 0)) {
+        throw new Error(`Invalid radius "${value}". Use one to four lengths, e.g. "12" or "12 12 0 0"`);
+    }
+
+    if (lengths.length === 1) {
+        return lengths[0];
+    }
+    const [tl, tr = tl, br = tl, bl = tr] = lengths;
+    return [tl, tr, br, bl];
+}
+
+/**
+ * Parse a shape: a shape name, or an object { shape, tailOffset, tailSize } as used for
+ * per-speaker shapes in theme files
+ *
+ * @param {string|Object} value - Shape
+ * @param {Object} defaults - Tail settings used when the value doesn't set them
+ * @param {number} defaults.tailOffset - Tail position from the middle of its edge (px)
+ * @param {number} defaults.tailSize - Tail length (px)
+ * @returns {Object} - { type, tail } where tail is { side, offset, size } for bubbles, else null
+ */
+function parseShape(value, { tailOffset = 0, tailSize = 20 } = {}) {
+    if (value && typeof value === 'object') {
+        return parseShape(value.shape || 'bubble', {
+            tailOffset: value.tailOffset !== undefined ? value.tailOffset : tailOffset,
+            tailSize: value.tailSize !== undefined ? value.tailSize : tailSize
+        });
+    }
+
+    const name = String(value || 'rounded').trim().toLowerCase();
+    const [type, side = 'down'] = name.split('-');
+
+    if (!SHAPES.includes(type) || (type !== 'bubble' && name !== type) || !TAIL_SIDES.includes(side)) {
+        const names = [...SHAPES, ...TAIL_SIDES.map(tail => `bubble-${tail}`)];
+        throw new Error(`Unknown shape "${value}". Expected one of: ${names.join(', ')}`);
+    }
+
+    return {
+        type,
+        tail: type === 'bubble' ? { side, offset: Number(tailOffset) || 0, size: Math.max(0, Number(tailSize) || 0) } : null
+    };
+}
+
+/**
+ * Parse per-speaker shapes: { "Speaker name": shape }. Names are matched case-insensitively.
+ *
+ * @param {Object|undefined} value - Shapes by speaker
+ * @param {Object} defaults - Tail settings, as for parseShape()
+ * @returns {Map<string, Object>} - Parsed shapes by lower-cased speaker name
+ */
+function parseSpeakerShapes(value, defaults) {
+    const shapes = new Map();
+    Object.entries(value || {}).forEach(([speaker, shape]) => {
+        shapes.set(speaker.trim().toLowerCase(), parseShape(shape, defaults));
+    });
+    return shapes;
+}
+
+/**
+ * Draw one corner from the end of the previous edge to the start of the next
+ *
+ * @param {Array<number>} vertex - Corner of the bounding rectangle
+ * @param {Array<number>} entry - Where the previous edge ended
+ * @param {Array<number>} exit - Where the next edge starts
+ * @param {string} style - 'rounded', 'circle' or 'squircle'
+ * @returns {string} - Drawing command
+ */
+function drawCorner(vertex, entry, exit, style) {
+    if (style === 'rounded') {
+        return `b ${vertex[0]} ${vertex[1]} ${exit[0]} ${exit[1]} ${exit[0]} ${exit[1]} `;
+    }
+
+    const handle = style === 'squircle' ? SQUIRCLE_HANDLE : CIRCLE_HANDLE;
+    const towards = point => [round(point[0] + (vertex[0] - point[0]) * handle), round(point[1] + (vertex[1] - point[1]) * handle)];
+    const [c1, c2] = [towards(entry), towards(exit)];
+    return `b ${c1[0]} ${c1[1]} ${c2[0]} ${c2[1]} ${round(exit[0])} ${round(exit[1])} `;
+}
+
+/**
+ * Place a bubble tail on a straight edge: its middle is clamped so the whole base stays
+ * between the corners, and the base narrows on edges shorter than the tail
+ *
+ * @param {number} offset - Wanted position of the middle from the middle of the edge
+ * @param {number} from - Start of the straight part of the edge
+ * @param {number} to - End of the straight part of the edge
+ * @param {number} size - Tail size
+ * @returns {Object} - { center, half } along the edge
+ */
+function placeTail(offset, from, to, size) {
+    const half = Math.max(0, Math.min(size / 2, (to - from) / 2));
+    const middle = (from + to) / 2;
+    return { center: round(Math.min(Math.max(middle + offset, from + half), to - half)), half: round(half) };
+}
+
+/**
+ * Generate the drawing of a shape centred on the origin. With the default rounded shape
+ * and one radius this is the classic rounded rectangle.
+ *
+ * @param {number} halfWidth - Half width of the box
+ * @param {number} halfHeight - Half height of the box
+ * @param {Object} shape - Result of parseShape()
+ * @param {number|Array<number>} radius - One radius, or [tl, tr, br, bl]
+ * @returns {string} - ASS drawing commands
+ */
+function drawShape(halfWidth, halfHeight, shape, radius) {
+    const type = shape ? shape.type : 'rounded';
+    let radii = Array.isArray(radius) ? radius : [radius, radius, radius, radius];
+    let style = 'rounded';
+
+    if (type === 'pill') {
+        // Both ends are half circles
+        radii = radii.map(() => Math.min(halfWidth, halfHeight));
+        style = 'circle';
+    } else {
+        // Ensure no radius is larger than the dimensions of the box
+        const maxAllowedRadius = Math.max(1, Math.min(halfHeight, halfWidth) - 1);
+        const extent = type === 'squircle' ? SQUIRCLE_EXTENT : 1;
+        radii = radii.map(r => (r > 0 ? Math.min(r * extent, maxAllowedRadius) : 0));
+        style = type === 'squircle' ? 'squircle' : 'rounded';
+    }
+
+    const [tl, tr, br, bl] = radii;
+    const tail = shape && shape.tail && shape.tail.size > 0 ? shape.tail : null;
+    const corner = (vertex, entry, exit, r) => (r > 0 ? drawCorner(vertex, entry, exit, style) : '');
+
+    // Start at top-left + radius, going clockwise
+    let drawing = `m ${-halfWidth + tl} ${-halfHeight} `;
+    drawing += `l ${halfWidth - tr} ${-halfHeight} `; // Top edge
+    drawing += corner([halfWidth, -halfHeight], [halfWidth - tr, -halfHeight], [halfWidth, -halfHeight + tr], tr);
+
+    if (tail && tail.side === 'right') {
+        const { center, half } = placeTail(tail.offset, -halfHeight + tr, halfHeight - br, tail.size);
+        drawing += `l ${halfWidth} ${center - half} l ${halfWidth + tail.size} ${center} l ${halfWidth} ${center + half} `;
+    }
+    drawing += `l ${halfWidth} ${halfHeight - br} `; // Right edge
+    drawing += corner([halfWidth, halfHeight], [halfWidth, halfHeight - br], [halfWidth - br, halfHeight], br);
+
+    if (tail && tail.side === 'down') {
+        const { center, half } = placeTail(tail.offset, -halfWidth + bl, halfWidth - br, tail.size);
+        drawing += `l ${center + half} ${halfHeight} l ${center} ${halfHeight + tail.size} l ${center - half} ${halfHeight} `;
+    }
+    drawing += `l ${-halfWidth + bl} ${halfHeight} `; // Bottom edge
+    drawing += corner([-halfWidth, halfHeight], [-halfWidth + bl, halfHeight], [-halfWidth, halfHeight - bl], bl);
+
+    if (tail && tail.side === 'left') {
+        const { center, half } = placeTail(tail.offset, -halfHeight + tl, halfHeight - bl, tail.size);
+        drawing += `l ${-halfWidth} ${center + half} l ${-halfWidth - tail.size} ${center} l ${-halfWidth} ${center - half} `;
+    }
+    drawing += `l ${-halfWidth} ${-halfHeight + tl} `; // Left edge
+    drawing += corner([-halfWidth, -halfHeight], [-halfWidth, -halfHeight + tl], [-halfWidth + tl, -halfHeight], tl);
+
+    return drawing;
+}
+
+/**
+ * Generate a single outline for vertically adjacent line boxes, with rounded
+ * outer corners and rounded inner corners where line widths change.
+ * 
+ * @param {Array<Object>} rows - Rows with halfWidth, offsetX, top and bottom (relative to the shape centre)
+ * @param {number|Array<number>} borderRadius - Corner radius, or [tl, tr, br, bl] for the outer corners
+ * @param {Object} shape - Result of parseShape(); bubble tails are not drawn on joined boxes
+ * @returns {string} - ASS drawing commands for the joined shape
+ */
+function generateJoinedLinesDrawing(rows, borderRadius, shape = null) {
+    const type = shape ? shape.type : 'rounded';
+    const style = type === 'pill' ? 'circle' : type === 'squircle' ? 'squircle' : 'rounded';
+    const extent = type === 'squircle' ? SQUIRCLE_EXTENT : 1;
+    const [tl, tr, br, bl] = (Array.isArray(borderRadius) ? borderRadius : [borderRadius, borderRadius, borderRadius, borderRadius])
+        .map(r => (type === 'pill' ? Infinity : r * extent));
+
+    const right = row => (row.offsetX || 0) + row.halfWidth;
+    const left = row => (row.offsetX || 0) - row.halfWidth;
+
+    // Trace the rectilinear outline clockwise: down the right side, then up the left side
+    const vertices = [[right(rows[0]), rows[0].top, tr]];
+    for (let i = 0; i < rows.length - 1; i++) {
+        if (Math.abs(right(rows[i]) - right(rows[i + 1])) >= 1) {
+            vertices.push([right(rows[i]), rows[i].bottom]);
+            vertices.push([right(rows[i + 1]), rows[i].bottom]);
+        }
+    }
+    const last = rows[rows.length - 1];
+    vertices.push([right(last), last.bottom, br]);
+    vertices.push([left(last), last.bottom, bl]);
+    for (let i = rows.length - 2; i >= 0; i--) {
+        if (Math.abs(left(rows[i]) - left(rows[i + 1])) >= 1) {
+            vertices.push([left(rows[i + 1]), rows[i].bottom]);
+            vertices.push([left(rows[i]), rows[i].bottom]);
+        }
+    }
+    vertices.push([left(rows[0]), rows[0].top, tl]);
+
+    const count = vertices.length;
+    const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+    const towards = (from, to, length) => {
+        const total = distance(from, to);
+        return [from[0] + (to[0] - from[0]) * length / total, from[1] + (to[1] - from[1]) * length / total];
+    };
+
+    // Each corner's radius is limited to half of its shorter adjacent edge. Inner steps
+    // use the smallest of the outer radii.
+    const innerRadius = Math.min(tl, tr, br, bl);
+    const radii = vertices.map((vertex, i) => {
+        const prev = vertices[(i - 1 + count) % count];
+        const next = vertices[(i + 1) % count];
+        const wanted = vertex[2] !== undefined ? vertex[2] : innerRadius;
+        return Math.max(0, Math.min(wanted, distance(prev, vertex) / 2, distance(vertex, next) / 2));
+    });
+
+    const start = towards(vertices[0], vertices[1], radii[0]);
+    let drawing = `m ${start[0]} ${start[1]} `;
+
+    for (let step = 1; step <= count; step++) {
+        const i = step % count;
+        const vertex = vertices[i];
+        const prev = vertices[(i - 1 + count) % count];
+        const next = vertices[(i + 1) % count];
+
+        const entry = towards(vertex, prev, radii[i]);
+        drawing += `l ${entry[0]} ${entry[1]} `;
+
+        if (radii[i] > 0) {
+            const exit = towards(vertex, next, radii[i]);
+            drawing += style === 'rounded'
+                ? `b ${vertex[0]} ${vertex[1]} ${vertex[0]} ${vertex[1]} ${exit[0]} ${exit[1]} `
+                : drawCorner(vertex, entry, exit, style);
+        }
+    }
+
+    return drawing;
+}
+
+/**
+ * How far a shape reaches outside its box on each side (a bubble's tail)
+ *
+ * @param {Object} shape - Result of parseShape()
+ * @returns {Object} - { left, right, bottom } in px
+ */
+function shapeOverhang(shape) {
+    const tail = shape && shape.tail;
+    return {
+        left: tail && tail.side === 'left' ? tail.size : 0,
+        right: tail && tail.side === 'right' ? tail.size : 0,
+        bottom: tail && tail.side === 'down' ? tail.size : 0
+    };
+}
+
+/**
+ * Generate a rounded rectangle drawing command for ASS subtitles.
+ * 
+ * @param {number} halfWidth - Half width of the rectangle
+ * @param {number} halfHeight - Half height of the rectangle
+ * @param {number} borderRadius - Corner radius
+ * @returns {string} - ASS drawing commands for a rounded rectangle
+ */
+function generateRoundedRectDrawing(halfWidth, halfHeight, borderRadius) {
+    return drawShape(halfWidth, halfHeight, null, borderRadius);
+}
+
+module.exports = {
+    SHAPES,
+    parseRadius,
+    parseShape,
+    parseSpeakerShapes,
+    drawShape,
+    shapeOverhang,
+    generateRoundedRectDrawing,
+    generateJoinedLinesDrawing
+};
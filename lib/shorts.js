@@ -0,0 +1,173 @@
+/**
+ * Short-form vertical video captions: cues split into a few words at a time
+ */
+
+const { hasCjk, endsClause, unwrapText, tokenize, lineText } = require('./wrap');
+const { stripAssTags } = require('./markup');
+const { splitWordRuns } = require('./words');
+
+/**
+ * Supported layouts. 'auto' picks 'shorts' for portrait video and 'standard' otherwise.
+ */
+const LAYOUTS = ['auto', 'standard', 'shorts'];
+
+/**
+ * Resolve the layout to use for a video
+ *
+ * @param {string} layout - 'auto', 'standard' or 'shorts'
+ * @param {number} videoWidth - Video width
+ * @param {number} videoHeight - Video height
+ * @returns {string} - 'standard' or 'shorts'
+ */
+function resolveLayout(layout, videoWidth, videoHeight) {
+    if (layout === 'auto') {
+        return videoHeight > videoWidth ? 'shorts' : 'standard';
+    }
+    return layout;
+}
+
+/**
+ * Group units (words or tokens) into chunks of at most maxUnits. Clauses are never
+ * merged into one chunk, and each clause is split into chunks of even size (4 words
+ * with a limit of 3 become 2 + 2 rather than 3 + 1).
+ *
+ * @param {Array<Object>} units - Units with a text property
+ * @param {number} maxUnits - Maximum units per chunk
+ * @returns {Array<Array<Object>>} - Chunks of units
+ */
+function groupUnits(units, maxUnits) {
+    const clauses = [];
+    let current = [];
+
+    units.forEach(unit => {
+        current.push(unit);
+        if (endsClause(unit.text)) {
+            clauses.push(current);
+            current = [];
+        }
+    });
+    if (current.length) {
+        clauses.push(current);
+    }
+
+    return clauses.flatMap(clause => {
+        const size = Math.ceil(clause.length / Math.ceil(clause.length / maxUnits));
+        const chunks = [];
+        for (let i = 0; i < clause.length; i += size) {
+            chunks.push(clause.slice(i, i + size));
+        }
+        return chunks;
+    });
+}
+
+/**
+ * Split a cue with word timings into chunks timed from its words
+ *
+ * @param {Object} sub - Subtitle with words
+ * @param {number} maxWords - Maximum words per chunk
+ * @returns {Array<Object>|null} - Chunks, or null if the words could not be found in the text
+ */
+function chunkByWords(sub, maxWords) {
+    const text = unwrapText(sub.text);
+    const [runs] = splitWordRuns([text], sub.words);
+
+    // Character range of every word in the text
+    const spans = [];
+    let offset = 0;
+    runs.forEach(run => {
+        if (run.word !== null) {
+            spans.push({ word: run.word, text: run.text, from: offset, to: offset + run.text.length });
+        }
+        offset += run.text.length;
+    });
+    if (spans.length !== sub.words.length) {
+        return null;
+    }
+
+    const groups = groupUnits(spans, hasCjk(text) ? maxWords * 2 : maxWords);
+    let from = 0;
+
+    return groups.map((group, i) => {
+        const first = group[0];
+        const last = group[group.length - 1];
+        const to = i === groups.length - 1 ? text.length : last.to;
+
+        // Override blocks opened earlier in the cue still apply to this chunk
+        const inherited = (text.slice(0, from).match(/\{[^}]*\}/g) || []).join('');
+        const chunkText = inherited + text.slice(from, to).trim();
+        from = to;
+
+        const next = groups[i + 1];
+        return {
+            ...sub,
+            start: i === 0 ? sub.start : sub.words[first.word].start,
+            end: next ? sub.words[next[0].word].start : sub.end,
+            text: chunkText,
+            words: sub.words.slice(first.word, last.word + 1)
+        };
+    });
+}
+
+/**
+ * Split a cue without word timings into chunks timed in proportion to their length
+ *
+ * @param {Object} sub - Subtitle
+ * @param {number} maxWords - Maximum words per chunk
+ * @returns {Array<Object>} - Chunks
+ */
+function chunkByLength(sub, maxWords) {
+    const text = unwrapText(sub.text);
+    const tokens = tokenize(text);
+    if (!tokens.length) {
+        return [sub];
+    }
+
+    const groups = groupUnits(tokens, hasCjk(text) ? maxWords * 2 : maxWords);
+    const texts = groups.map(group => group[0].prefix + lineText(group, 0, group.length));
+    const weights = texts.map(chunkText => Math.max(1, stripAssTags(chunkText).replace(/\s/g, '').length));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const duration = sub.end - sub.start;
+
+    let elapsed = 0;
+    return texts.map((chunkText, i) => {
+        const start = sub.start + duration * elapsed / total;
+        elapsed += weights[i];
+        return {
+            ...sub,
+            start,
+            end: i === texts.length - 1 ? sub.end : sub.start + duration * elapsed / total,
+            text: chunkText,
+            words: undefined
+        };
+    });
+}
+
+/**
+ * Split every cue into short chunks of 1 to maxWords words. Cues with word timings are
+ * timed from their words; others share their duration in proportion to chunk length.
+ * Scripts written without spaces count characters instead, twice as many per chunk.
+ *
+ * @param {Array<Object>} subtitles - Parsed subtitles
+ * @param {Object} params - Chunking parameters
+ * @param {number} params.maxWords - Maximum words per chunk
+ * @returns {Array<Object>} - Chunked subtitles, renumbered
+ */
+function chunkSubtitles(subtitles, { maxWords = 3 } = {}) {
+    return subtitles
+        .flatMap(sub => {
+            const chunks = (sub.words && sub.words.length && chunkByWords(sub, maxWords)) || chunkByLength(sub, maxWords);
+            // Only the outer chunks touch the cues the parser joined this one to
+            return chunks.map((chunk, i) => ({
+                ...chunk,
+                joinedPrevious: i === 0 && !!sub.joinedPrevious,
+                joinedNext: i === chunks.length - 1 && !!sub.joinedNext
+            }));
+        })
+        .map((sub, index) => ({ ...sub, index: index + 1 }));
+}
+
+module.exports = {
+    LAYOUTS,
+    resolveLayout,
+    chunkSubtitles
+};
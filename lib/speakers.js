@@ -0,0 +1,241 @@
+/**
+ * Speaker detection ("NAME:" prefixes, "- " dialogue lines) and per-speaker styles
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseColor } = require('./color');
+
+/**
+ * Text colours handed out to speakers in order of appearance, unless a palette is given
+ */
+const DEFAULT_SPEAKER_PALETTE = ['#FFFFFF', '#FFFF00', '#00FFFF', '#7CFC00', '#FF99CC', '#FFA500'];
+
+const SPEAKER_ALIGNMENTS = ['left', 'center', 'right'];
+
+/**
+ * Override blocks at the start of a line, then an optional dialogue dash
+ */
+const LINE_START = /^((?:\{[^}]*\})*)\s*(?:([-–—])\s*)?/;
+
+/**
+ * A speaker name in capitals followed by a colon, e.g. "JOHN:", "DR. SMITH:" or "MAN 2:"
+ */
+const CAPITALIZED_NAME = /^(\p{Lu}[\p{Lu}\p{Nd}.'’ -]{0,30}?)\s*:\s*/u;
+
+/**
+ * Find the speaker name at the start of a line. Names in capitals are always recognised,
+ * other names only when they are known (listed in the speaker styles).
+ *
+ * @param {string} text - Line text after any dialogue dash
+ * @param {Set<string>} knownNames - Lower-cased names from the speaker styles
+ * @returns {Object|null} - { name, length } where length covers the colon and spaces
+ */
+function matchNamePrefix(text, knownNames) {
+    const capitalized = text.match(CAPITALIZED_NAME);
+    if (capitalized && /\p{Lu}.*\p{Lu}/u.test(capitalized[1]) && !/^\d/.test(text.slice(capitalized[0].length))) {
+        return { name: capitalized[1].trim(), length: capitalized[0].length };
+    }
+
+    const named = text.match(/^([^:{}\\]{1,32}?)\s*:\s+/);
+    if (named && knownNames.has(named[1].trim().toLowerCase())) {
+        return { name: named[1].trim(), length: named[0].length };
+    }
+
+    return null;
+}
+
+/**
+ * Detect the speakers of a cue from "NAME:" prefixes and "- " dialogue lines.
+ *
+ * Name prefixes are removed. A dialogue dash is removed when the line's speaker is known,
+ * and kept otherwise so that unnamed turns still read as separate speakers. Lines without
+ * a dash or a name continue the previous line's speaker.
+ *
+ * @param {string} text - ASS text of the cue, lines separated by \N
+ * @param {Object} options - Detection options
+ * @param {string|null} options.speaker - Speaker already known for the cue (VTT <v Name>)
+ * @param {Set<string>} options.knownNames - Lower-cased names from the speaker styles
+ * @returns {Object} - { text, speaker, lineSpeakers } where lineSpeakers has the speaker of
+ *                     every line (null where unknown)
+ */
+function detectSpeakers(text, { speaker = null, knownNames = new Set() } = {}) {
+    const lines = text.split('\\N');
+    const lineSpeakers = [];
+    let current = speaker;
+
+    const cleaned = lines.map((line, i) => {
+        const [start, tags, dash] = line.match(LINE_START);
+        const rest = line.slice(start.length);
+        const prefix = matchNamePrefix(rest, knownNames);
+
+        if (prefix) {
+            current = prefix.name;
+        } else if (dash && (i > 0 || lines.length > 1)) {
+            // A new, unnamed turn; the cue's own speaker only owns its first line
+            current = i === 0 ? speaker : null;
+        }
+        lineSpeakers.push(current);
+
+        if (!prefix && !(dash && current)) {
+            return line;
+        }
+        return tags + rest.slice(prefix ? prefix.length : 0);
+    });
+
+    return {
+        text: cleaned.join('\\N'),
+        speaker: speaker || lineSpeakers.find(name => name) || null,
+        lineSpeakers
+    };
+}
+
+/**
+ * Parse per-speaker styles: { "Speaker name": { bgColor, textColor, align, label } }, where
+ * a string value is a text colour. Names are matched case-insensitively.
+ *
+ * @param {Object|undefined} value - Styles by speaker
+ * @returns {Map<string, Object>} - Styles by lower-cased speaker name
+ */
+function parseSpeakerStyles(value) {
+    const styles = new Map();
+    if (value === undefined || value === null) {
+        return styles;
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Speaker styles must map speaker names to a style');
+    }
+
+    Object.entries(value).forEach(([speaker, entry]) => {
+        const style = typeof entry === 'string' ? { textColor: entry } : { ...entry };
+        Object.keys(style).forEach(key => {
+            const name = key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            if (name !== key) {
+                style[name] = style[key];
+                delete style[key];
+            }
+        });
+
+        if (style.align !== undefined && !SPEAKER_ALIGNMENTS.includes(style.align)) {
+            throw new Error(`Invalid alignment "${style.align}" for speaker "${speaker}". Expected one of: ${SPEAKER_ALIGNMENTS.join(', ')}`);
+        }
+
+        styles.set(speaker.trim().toLowerCase(), {
+            textColor: style.textColor !== undefined ? parseColor(style.textColor) : null,
+            bgColor: style.bgColor !== undefined ? parseColor(style.bgColor) : null,
+            align: style.align || null,
+            label: style.label !== undefined ? style.label : null
+        });
+    });
+
+    return styles;
+}
+
+/**
+ * Parse a speaker palette: text colours, or { textColor, bgColor } entries, as an array or
+ * a comma-separated string
+ *
+ * @param {Array|string|undefined} value - Palette, or 'auto' for the default one
+ * @returns {Array<Object>} - Entries { textColor, bgColor } of parsed colours (bgColor may be null)
+ */
+function parseSpeakerPalette(value) {
+    const entries = value === undefined || value === null || value === 'auto'
+        ? DEFAULT_SPEAKER_PALETTE
+        : Array.isArray(value) ? value : String(value).match(/rgba?\([^)]*\)|[^\s,()]+/gi) || [];
+    if (!entries.length) {
+        throw new Error(`Invalid speaker palette "${value}"`);
+    }
+
+    return entries.map(entry => (typeof entry === 'object'
+        ? { textColor: parseColor(entry.textColor || '#FFFFFF'), bgColor: entry.bgColor ? parseColor(entry.bgColor) : null }
+        : { textColor: parseColor(entry), bgColor: null }));
+}
+
+/**
+ * Read a JSON or YAML file of speaker styles
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Object} - Styles by speaker, as accepted by parseSpeakerStyles()
+ */
+function loadSpeakerFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    let data;
+
+    try {
+        if (path.extname(filePath).toLowerCase() === '.json') {
+            data = JSON.parse(content);
+        } else {
+            const yaml = require('js-yaml');
+            data = yaml.load(content);
+        }
+    } catch (error) {
+        throw new Error(`Invalid speaker file ${filePath}: ${error.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Speaker file ${filePath} must map speaker names to a style`);
+    }
+    return data;
+}
+
+/**
+ * Hand out a style to every speaker in order of appearance. Speakers listed in the styles
+ * keep what they set and take the rest from the next palette entry.
+ *
+ * @param {Object} params - Speaker settings
+ * @param {Map<string, Object>} params.styles - Result of parseSpeakerStyles()
+ * @param {Array<Object>} params.palette - Result of parseSpeakerPalette()
+ * @param {boolean} params.labels - Show name labels unless a speaker's style says otherwise
+ * @returns {Object} - { styleFor(name), styles() } where styleFor returns
+ *                     { name, styleName, textColor, bgColor, align, label } or null without a name
+ */
+function createSpeakerStyler({ styles, palette, labels = false }) {
+    const assigned = new Map();
+    const styleNames = new Set();
+
+    const styleFor = name => {
+        if (!name || !String(name).trim()) {
+            return null;
+        }
+        const key = String(name).trim().toLowerCase();
+        if (assigned.has(key)) {
+            return assigned.get(key);
+        }
+
+        const own = styles.get(key) || {};
+        const colors = palette[assigned.size % palette.length];
+
+        // ASS style names can't hold commas
+        let styleName = `Speaker-${String(name).trim().replace(/[,\s]+/g, '_')}`;
+        for (let n = 2; styleNames.has(styleName.toLowerCase()); n++) {
+            styleName = `Speaker-${String(name).trim().replace(/[,\s]+/g, '_')}-${n}`;
+        }
+        styleNames.add(styleName.toLowerCase());
+
+        const label = own.label !== null && own.label !== undefined ? own.label : labels;
+        const style = {
+            name: String(name).trim(),
+            styleName,
+            textColor: own.textColor || colors.textColor,
+            bgColor: own.bgColor || colors.bgColor,
+            align: own.align || null,
+            label: label === true ? String(name).trim() : label || null
+        };
+        assigned.set(key, style);
+        return style;
+    };
+
+    return {
+        styleFor,
+        styles: () => [...assigned.values()]
+    };
+}
+
+module.exports = {
+    DEFAULT_SPEAKER_PALETTE,
+    detectSpeakers,
+    parseSpeakerStyles,
+    parseSpeakerPalette,
+    loadSpeakerFile,
+    createSpeakerStyler
+};
@@ -0,0 +1,105 @@
+/**
+ * Collision-aware vertical stacking for cues that overlap in time
+ */
+
+/**
+ * Group cues into clusters of transitively overlapping time ranges.
+ * Cues that merely touch (one ends exactly when the next starts) do not overlap.
+ *
+ * @param {Array<Object>} cues - Cues with start and end in seconds
+ * @returns {Array<Array<Object>>} - Clusters of cues, ordered by start time
+ */
+function findOverlapClusters(cues) {
+    const sorted = cues
+        .map((cue, order) => ({ cue, order }))
+        .sort((a, b) => a.cue.start - b.cue.start || a.order - b.order);
+
+    const clusters = [];
+    let current = [];
+    let clusterEnd = -Infinity;
+
+    sorted.forEach(({ cue }) => {
+        if (current.length && cue.start >= clusterEnd) {
+            clusters.push(current);
+            current = [];
+            clusterEnd = -Infinity;
+        }
+        current.push(cue);
+        clusterEnd = Math.max(clusterEnd, cue.end);
+    });
+
+    if (current.length) {
+        clusters.push(current);
+    }
+
+    return clusters;
+}
+
+/**
+ * Place cues so that boxes shown at the same time never collide.
+ *
+ * Overlapping time ranges are split into segments at every cue boundary. Within a
+ * segment the newest cue sits on the base line and older cues are pushed away from
+ * it: up for bottom-anchored stacks, down for top-anchored ones. Consecutive segments
+ * in which a cue keeps the same position are merged back into a single placement.
+ * A tail below a box (overhang.bottom) counts as part of its height, so it neither
+ * reaches into the box below nor past the base line.
+ *
+ * @param {Array<Object>} cues - Cues with start, end (seconds), height (px) and optionally overhang
+ * @param {Object} params - Stacking parameters
+ * @param {number} params.anchor - Y coordinate of the base line the stack grows from
+ * @param {number} params.gap - Vertical gap between stacked boxes
+ * @param {string} params.direction - 'up' (anchor is the bottom edge) or 'down' (anchor is the top edge)
+ * @returns {Array<Object>} - Placements { cue, start, end, anchor } ordered by start time,
+ *                            where anchor is the Y of the box edge facing the base line
+ */
+function stackOverlappingCues(cues, { anchor, gap = 0, direction = 'up' }) {
+    const step = direction === 'down' ? 1 : -1;
+    const placements = [];
+    const tail = cue => (cue.overhang ? cue.overhang.bottom : 0);
+    // The box edge facing the base line, when the cue's extent starts at the cursor
+    const edge = (cue, cursor) => (direction === 'down' ? cursor : cursor - tail(cue));
+
+    findOverlapClusters(cues).forEach(cluster => {
+        if (cluster.length === 1) {
+            const [cue] = cluster;
+            placements.push({ cue, start: cue.start, end: cue.end, anchor: edge(cue, anchor) });
+            return;
+        }
+
+        const boundaries = [...new Set(cluster.flatMap(cue => [cue.start, cue.end]))].sort((a, b) => a - b);
+        const lastPlacement = new Map();
+
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            const segmentStart = boundaries[i];
+            const segmentEnd = boundaries[i + 1];
+
+            // Active cues, oldest first; the cluster is already ordered by start time
+            const active = cluster.filter(cue => cue.start <= segmentStart && cue.end >= segmentEnd);
+
+            let cursor = anchor;
+            for (let j = active.length - 1; j >= 0; j--) {
+                const cue = active[j];
+                const previous = lastPlacement.get(cue);
+                const cueAnchor = edge(cue, cursor);
+
+                if (previous && previous.end === segmentStart && previous.anchor === cueAnchor) {
+                    previous.end = segmentEnd;
+                } else {
+                    const placement = { cue, start: segmentStart, end: segmentEnd, anchor: cueAnchor };
+                    placements.push(placement);
+                    lastPlacement.set(cue, placement);
+                }
+
+                cursor += step * (cue.height + tail(cue) + gap);
+            }
+        }
+    });
+
+    return placements.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    findOverlapClusters,
+    stackOverlappingCues
+};
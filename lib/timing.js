@@ -0,0 +1,301 @@
+/**
+ * Cue timing: global shift, frame rate conversion, minimum duration and gap,
+ * reading speed (characters per second) and snapping to frame boundaries
+ */
+
+const { stripAssTags } = require('./markup');
+
+/**
+ * Gap (seconds) below which the parser joins back-to-back cues, unless another is given
+ */
+const DEFAULT_CHAIN_THRESHOLD = 0.1;
+
+/**
+ * Longest a cue may become (seconds) when it is extended for reading speed
+ */
+const MAX_EXTENDED_DURATION = 7;
+
+/**
+ * Frame rates by name, for --retime and --fps
+ */
+const NAMED_FRAME_RATES = {
+    film: 24,
+    'ntsc-film': 24000 / 1001,
+    pal: 25,
+    ntsc: 30000 / 1001
+};
+
+/**
+ * Parse a time offset: seconds ("1.5", "-0.25"), with a unit ("200ms", "-1.5s") or as a
+ * timestamp ("00:00:01,500", "1:02.5", "-0:01.2")
+ *
+ * @param {number|string} value - Offset
+ * @returns {number} - Offset in seconds
+ */
+function parseTimeOffset(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    const text = String(value).trim();
+    const unit = text.match(/^([+-]?\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+    if (unit) {
+        return parseFloat(unit[1]) / (unit[2] && unit[2].toLowerCase() === 'ms' ? 1000 : 1);
+    }
+
+    const stamp = text.match(/^([+-])?(?:(\d+):)?(\d+):(\d+(?:[.,]\d+)?)$/);
+    if (stamp) {
+        const seconds = (parseInt(stamp[2] || '0', 10) * 3600) + parseInt(stamp[3], 10) * 60 + parseFloat(stamp[4].replace(',', '.'));
+        return stamp[1] === '-' ? -seconds : seconds;
+    }
+
+    throw new Error(`Invalid time "${value}". Use seconds ("1.5", "-200ms") or a timestamp ("00:00:01,500")`);
+}
+
+/**
+ * Parse a frame rate: a number ("23.976", "25"), a fraction ("24000/1001") or a name
+ * (film, ntsc-film, pal, ntsc)
+ *
+ * @param {number|string} value - Frame rate
+ * @returns {number} - Frames per second
+ */
+function parseFrameRate(value) {
+    if (typeof value === 'number' && value > 0) {
+        return value;
+    }
+
+    const text = String(value).trim().toLowerCase();
+    if (NAMED_FRAME_RATES[text]) {
+        return NAMED_FRAME_RATES[text];
+    }
+
+    const fraction = text.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+    const fps = fraction ? parseFloat(fraction[1]) / parseFloat(fraction[2]) : Number(text);
+    if (!isFinite(fps) || fps <= 0) {
+        throw new Error(`Invalid frame rate "${value}". Use e.g. 25, 23.976 or 24000/1001`);
+    }
+    return fps;
+}
+
+/**
+ * Parse a frame rate conversion: "<from>:<to>" or "<from>-><to>", e.g. "23.976:25"
+ *
+ * @param {string} value - Conversion
+ * @returns {Object|null} - { from, to } in frames per second, or null for none
+ */
+function parseRetime(value) {
+    if (value === undefined || value === null || value === false || String(value).trim() === 'none') {
+        return null;
+    }
+
+    const parts = String(value).split(/\s*(?:->|:|→)\s*/);
+    if (parts.length !== 2) {
+        throw new Error(`Invalid frame rate conversion "${value}". Use "<from>:<to>", e.g. "23.976:25"`);
+    }
+    return { from: parseFrameRate(parts[0]), to: parseFrameRate(parts[1]) };
+}
+
+/**
+ * Visible length of a cue for reading speed: characters without override tags or line breaks
+ *
+ * @param {string} text - ASS text
+ * @returns {number} - Number of characters
+ */
+function readingLength(text) {
+    return [...stripAssTags(text).replace(/\\[Nn]/g, '').replace(/\\h/g, ' ').trim()].length;
+}
+
+/**
+ * Move every cue (and its word timings) through a time mapping
+ *
+ * @param {Array<Object>} subtitles - Subtitles to update in place
+ * @param {Function} map - (seconds) => seconds
+ */
+function mapTimes(subtitles, map) {
+    subtitles.forEach(sub => {
+        sub.start = map(sub.start);
+        sub.end = map(sub.end);
+        if (sub.words) {
+            sub.words = sub.words.map(word => ({ ...word, start: map(word.start), end: map(word.end) }));
+        }
+    });
+}
+
+/**
+ * Convert the frame rate and shift every cue. A conversion from 23.976 to 25 fps plays
+ * the video faster, so every time is scaled by from / to before the shift is added. Cues
+ * that end up before zero are clamped to it, and dropped if nothing of them is left.
+ *
+ * @param {Array<Object>} subtitles - Subtitles
+ * @param {Object} params - Retiming settings
+ * @param {number} params.shift - Seconds to add to every time
+ * @param {Object|null} params.retime - Result of parseRetime()
+ * @returns {Array<Object>} - Subtitles still on screen after the shift
+ */
+function retimeSubtitles(subtitles, { shift = 0, retime = null } = {}) {
+    const scale = retime ? retime.from / retime.to : 1;
+    if (scale === 1 && !shift) {
+        return subtitles;
+    }
+
+    mapTimes(subtitles, time => Math.max(0, time * scale + shift));
+    return subtitles.filter(sub => sub.end > sub.start);
+}
+
+/**
+ * Latest time a cue can end without coming closer than minGap to the next cue. Cues
+ * already overlapping or joined to the next one cannot grow.
+ *
+ * @param {Array<Object>} subtitles - Subtitles ordered by start time
+ * @param {number} index - Cue index
+ * @param {number} minGap - Minimum gap in seconds
+ * @returns {number} - Latest end time
+ */
+function latestEnd(subtitles, index, minGap) {
+    const sub = subtitles[index];
+    const next = subtitles[index + 1];
+    if (!next) {
+        return Infinity;
+    }
+    if (sub.joinedNext || next.start <= sub.end) {
+        return sub.end;
+    }
+    return Math.max(sub.end, next.start - minGap);
+}
+
+/**
+ * Apply the timing rules, in order:
+ * - minimum gap: a cue that ends less than minGap before the next one starts is cut short
+ *   (cues joined by the parser and overlapping cues are left alone)
+ * - minimum duration: short cues are extended into the gap after them
+ * - reading speed: cues faster than maxCps characters per second are extended into the
+ *   gap after them, up to MAX_EXTENDED_DURATION (the last cue has no next one to stop it).
+ *   Starts never move, so no text shows before it is spoken; cues still too fast are reported
+ *
+ * @param {Array<Object>} subtitles - Subtitles ordered by start time, updated in place
+ * @param {Object} params - Timing rules
+ * @param {number} params.minDuration - Minimum cue duration in seconds (0 for none)
+ * @param {number} params.minGap - Minimum gap between cues in seconds (0 for none)
+ * @param {number} params.maxCps - Maximum characters per second (0 for no check)
+ * @returns {Object} - { trimmed, lengthened, extended, tooFast } where tooFast lists
+ *                     { index, start, cps } of cues still above maxCps
+ */
+function applyTimingRules(subtitles, { minDuration = 0, minGap = 0, maxCps = 0 } = {}) {
+    const report = { trimmed: 0, lengthened: 0, extended: 0, tooFast: [] };
+
+    if (minGap > 0) {
+        subtitles.forEach((sub, i) => {
+            const next = subtitles[i + 1];
+            if (!next || sub.joinedNext) {
+                return;
+            }
+            const gap = next.start - sub.end;
+            if (gap >= 0 && gap < minGap) {
+                const end = Math.max(sub.start + (sub.end - sub.start) / 2, next.start - minGap);
+                if (end < sub.end) {
+                    sub.end = end;
+                    report.trimmed++;
+                }
+            }
+        });
+    }
+
+    if (minDuration > 0) {
+        subtitles.forEach((sub, i) => {
+            if (sub.end - sub.start < minDuration) {
+                const end = Math.min(sub.start + minDuration, latestEnd(subtitles, i, minGap));
+                if (end > sub.end) {
+                    sub.end = end;
+                    report.lengthened++;
+                }
+            }
+        });
+    }
+
+    if (maxCps > 0) {
+        subtitles.forEach((sub, i) => {
+            const length = readingLength(sub.text);
+            const needed = length / maxCps;
+            if (sub.end - sub.start >= needed) {
+                return;
+            }
+
+            const end = Math.min(sub.start + Math.min(needed, MAX_EXTENDED_DURATION), latestEnd(subtitles, i, minGap));
+            if (end > sub.end) {
+                sub.end = end;
+                report.extended++;
+            }
+        });
+        report.tooFast = findFastCues(subtitles, maxCps);
+    }
+
+    return report;
+}
+
+/**
+ * Find the cues read faster than maxCps characters per second, without changing their times.
+ * Cues without a duration are never shown and are left out.
+ *
+ * @param {Array<Object>} subtitles - Subtitles
+ * @param {number} maxCps - Maximum characters per second
+ * @returns {Array<Object>} - { index, start, cps } of the cues above maxCps
+ */
+function findFastCues(subtitles, maxCps) {
+    const fast = [];
+    subtitles.forEach((sub, i) => {
+        const cps = readingLength(sub.text) / (sub.end - sub.start);
+        if (sub.end > sub.start && cps > maxCps + 1e-9) {
+            fast.push({ index: sub.index || i + 1, start: sub.start, cps: Math.round(cps * 10) / 10 });
+        }
+    });
+    return fast;
+}
+
+/**
+ * Time of a frame boundary, rounded down to the centisecond that ASS can store. Frames
+ * last more than a centisecond, so the rounded time still falls after the frame before.
+ *
+ * @param {number} frame - Frame number
+ * @param {number} fps - Frames per second
+ * @returns {number} - Time in seconds
+ */
+function frameTime(frame, fps) {
+    return Math.floor(frame / fps * 100 + 1e-6) / 100;
+}
+
+/**
+ * Snap cue starts and ends (and word timings) to the nearest frame boundary. A cue is
+ * always at least one frame long, and cues that touched still touch.
+ *
+ * @param {Array<Object>} subtitles - Subtitles to update in place
+ * @param {number} fps - Frames per second of the video
+ */
+function snapToFrames(subtitles, fps) {
+    const snap = time => Math.round(time * fps);
+
+    subtitles.forEach(sub => {
+        const startFrame = snap(sub.start);
+        const endFrame = Math.max(startFrame + 1, snap(sub.end));
+        sub.start = frameTime(startFrame, fps);
+        sub.end = frameTime(endFrame, fps);
+        if (sub.words) {
+            sub.words = sub.words.map(word => ({
+                ...word,
+                start: Math.min(Math.max(frameTime(snap(word.start), fps), sub.start), sub.end),
+                end: Math.min(Math.max(frameTime(snap(word.end), fps), sub.start), sub.end)
+            }));
+        }
+    });
+}
+
+module.exports = {
+    DEFAULT_CHAIN_THRESHOLD,
+    parseTimeOffset,
+    parseFrameRate,
+    parseRetime,
+    readingLength,
+    findFastCues,
+    retimeSubtitles,
+    applyTimingRules,
+    snapToFrames
+};
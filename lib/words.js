@@ -0,0 +1,248 @@
+/**
+ * Word-level timings from ASR transcripts (Whisper-style JSON) and word highlighting
+ */
+
+const { hasCjk } = require('./wrap');
+
+/**
+ * Supported ways of highlighting the active word
+ */
+const HIGHLIGHT_MODES = ['none', 'color', 'karaoke', 'pill'];
+
+/**
+ * Normalise one word entry. Whisper uses "word", other tools use "text".
+ *
+ * @param {Object} entry - Word entry from the transcript
+ * @returns {Object} - { raw, text, start, end } where start/end may be undefined
+ */
+function normalizeWord(entry) {
+    const raw = entry.word !== undefined ? entry.word : entry.text;
+    return {
+        raw: String(raw === undefined ? '' : raw),
+        text: String(raw === undefined ? '' : raw).trim(),
+        start: typeof entry.start === 'number' ? entry.start : undefined,
+        end: typeof entry.end === 'number' ? entry.end : undefined
+    };
+}
+
+/**
+ * Fill in missing word times (some aligners skip numbers and symbols) from their neighbours
+ *
+ * @param {Array<Object>} words - Words with optional start/end
+ * @param {number} segmentStart - Fallback start time
+ * @param {number} segmentEnd - Fallback end time
+ * @returns {Array<Object>} - Words that all have start and end
+ */
+function interpolateWordTimes(words, segmentStart, segmentEnd) {
+    return words.map((word, i) => {
+        let { start, end } = word;
+
+        if (start === undefined) {
+            const previous = words.slice(0, i).reverse().find(w => w.end !== undefined);
+            start = previous ? previous.end : segmentStart;
+        }
+        if (end === undefined) {
+            const next = words.slice(i + 1).find(w => w.start !== undefined);
+            end = next ? next.start : segmentEnd;
+        }
+
+        return { ...word, start, end: Math.max(start, end) };
+    });
+}
+
+/**
+ * Join words into display text. Whisper words carry their own leading spaces; words from
+ * tools that strip them are joined with spaces, except in scripts written without spaces.
+ *
+ * @param {Array<Object>} words - Normalised words
+ * @returns {string} - Display text
+ */
+function joinWords(words) {
+    if (words.some(word => /^\s/.test(word.raw))) {
+        return words.map(word => word.raw).join('').replace(/\s+/g, ' ').trim();
+    }
+    return words.map(word => word.text).join(hasCjk(words.map(word => word.text).join('')) ? '' : ' ');
+}
+
+/**
+ * Group a flat list of words into segments at sentence ends and pauses
+ *
+ * @param {Array<Object>} words - Words with start and end
+ * @param {Object} params - Grouping parameters
+ * @param {number} params.maxGap - A pause longer than this (seconds) starts a new segment
+ * @param {number} params.maxWords - Maximum words per segment
+ * @returns {Array<Array<Object>>} - Groups of words
+ */
+function groupWords(words, { maxGap = 1.0, maxWords = 12 } = {}) {
+    const groups = [];
+    let current = [];
+
+    words.forEach(word => {
+        const previous = current[current.length - 1];
+        if (previous && (word.start - previous.end > maxGap || current.length >= maxWords || /[.!?。！？]$/.test(previous.text))) {
+            groups.push(current);
+            current = [];
+        }
+        current.push(word);
+    });
+
+    if (current.length) {
+        groups.push(current);
+    }
+
+    return groups;
+}
+
+/**
+ * Parse a word-timed transcript: { segments: [{ start, end, text, words: [{ word, start, end }] }] },
+ * a bare array of such segments, or { words: [...] } without segments.
+ *
+ * @param {string} content - JSON content
+ * @returns {Array<Object>} - Subtitles { index, start, end, text, words } with times in seconds
+ */
+function parseWordTimings(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid word timing JSON: ${error.message}`);
+    }
+
+    const segments = Array.isArray(data) ? data : data.segments;
+    let groups;
+
+    if (Array.isArray(segments) && segments.length) {
+        groups = segments.map(segment => {
+            const words = Array.isArray(segment.words) ? segment.words.map(normalizeWord).filter(word => word.text) : [];
+            return {
+                start: segment.start,
+                end: segment.end,
+                text: segment.text,
+                words
+            };
+        });
+    } else if (Array.isArray(data.words)) {
+        const words = interpolateWordTimes(data.words.map(normalizeWord).filter(word => word.text), 0, 0);
+        groups = groupWords(words).map(words => ({ words }));
+    } else {
+        throw new Error('Word timing JSON must contain "segments" or "words"');
+    }
+
+    return groups
+        .map(group => {
+            const start = typeof group.start === 'number' ? group.start : (group.words[0] || {}).start;
+            const end = typeof group.end === 'number' ? group.end : (group.words[group.words.length - 1] || {}).end;
+            const words = interpolateWordTimes(group.words, start, end);
+            const text = words.length ? joinWords(words) : String(group.text || '').trim();
+
+            return {
+                start: words.length ? Math.min(start, words[0].start) : start,
+                end: words.length ? Math.max(end, words[words.length - 1].end) : end,
+                text,
+                words: words.map(({ text, start, end }) => ({ text, start, end }))
+            };
+        })
+        .filter(sub => sub.text && typeof sub.start === 'number' && typeof sub.end === 'number')
+        .map((sub, index) => ({ index: index + 1, ...sub }));
+}
+
+/**
+ * Locate each word in the laid-out texts of a cue. Texts are searched in order and words
+ * are matched sequentially, so wrapped lines and per-line rows both work.
+ *
+ * @param {Array<string>} texts - Texts of the cue in reading order
+ * @param {Array<Object>} words - Timed words
+ * @returns {Array<Array<Object>>} - For each text, runs { text, word } where word is a word index or null
+ */
+function splitWordRuns(texts, words) {
+    let wordIndex = 0;
+
+    return texts.map(text => {
+        const runs = [];
+        let cursor = 0;
+
+        while (wordIndex < words.length) {
+            const found = text.indexOf(words[wordIndex].text, cursor);
+            if (found < 0) {
+                break;
+            }
+            if (found > cursor) {
+                runs.push({ text: text.slice(cursor, found), word: null });
+            }
+            runs.push({ text: words[wordIndex].text, word: wordIndex });
+            cursor = found + words[wordIndex].text.length;
+            wordIndex++;
+        }
+
+        if (cursor < text.length) {
+            runs.push({ text: text.slice(cursor), word: null });
+        }
+        return runs;
+    });
+}
+
+/**
+ * Split an event's time range into intervals with one active word (or none, in pauses)
+ *
+ * @param {Array<Object>} words - Timed words
+ * @param {number} start - Event start
+ * @param {number} end - Event end
+ * @returns {Array<Object>} - Intervals { start, end, word } covering [start, end]
+ */
+function wordIntervals(words, start, end) {
+    const intervals = [];
+    let cursor = start;
+
+    words.forEach((word, index) => {
+        const wordStart = Math.max(word.start, cursor);
+        const wordEnd = Math.min(word.end, end);
+        if (wordEnd <= wordStart) {
+            return;
+        }
+        if (wordStart > cursor) {
+            intervals.push({ start: cursor, end: wordStart, word: null });
+        }
+        intervals.push({ start: wordStart, end: wordEnd, word: index });
+        cursor = wordEnd;
+    });
+
+    if (cursor < end) {
+        intervals.push({ start: cursor, end, word: null });
+    }
+
+    return intervals;
+}
+
+/**
+ * Build karaoke text with \k timings relative to the event start
+ *
+ * @param {Array<Object>} runs - Runs of one text from splitWordRuns()
+ * @param {Array<Object>} words - Timed words
+ * @param {Object} state - { cursor } starting at the event start; shared so timings continue across texts of one cue
+ * @returns {string} - Text with \k tags
+ */
+function buildKaraokeText(runs, words, state) {
+    const centiseconds = seconds => Math.max(0, Math.round(seconds * 100));
+
+    return runs.map(run => {
+        if (run.word === null) {
+            return run.text;
+        }
+
+        const word = words[run.word];
+        const wordStart = Math.max(word.start, state.cursor);
+        const wordEnd = Math.max(wordStart, word.end);
+        const gap = centiseconds(wordStart - state.cursor);
+        state.cursor = wordEnd;
+
+        return `${gap ? `{\\k${gap}}` : ''}{\\k${centiseconds(wordEnd - wordStart)}}${run.text}`;
+    }).join('');
+}
+
+module.exports = {
+    HIGHLIGHT_MODES,
+    parseWordTimings,
+    splitWordRuns,
+    wordIntervals,
+    buildKaraokeText
+};
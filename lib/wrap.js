@@ -0,0 +1,292 @@
+/**
+ * Balanced line wrapping driven by measured token widths
+ */
+
+/**
+ * Scripts written without spaces between words; a line may break between any two characters
+ */
+const CJK_PATTERN = /[\u2E80-\u2FFF\u3000-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]/;
+
+/**
+ * Characters that must not start a line (closing punctuation, small kana, iteration marks)
+ */
+const NO_BREAK_BEFORE = new Set([
+    ...'、。，．・：；？！）］｝〕〉》」』】〙〗〟’”｠»›ー々〻ゝゞヽヾ…‥',
+    ...'ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶ',
+    ...'!%),.:;?]}'
+]);
+
+/**
+ * Characters that must not end a line (opening punctuation)
+ */
+const NO_BREAK_AFTER = new Set([
+    ...'（［｛〔〈《「『【〘〖〝‘“｟«‹',
+    ...'([{'
+]);
+
+/**
+ * Punctuation that makes a natural end of line
+ */
+const CLAUSE_END = /[,.;:!?，。；：！？、…]$/;
+
+/**
+ * Check if text contains characters from scripts written without spaces
+ *
+ * @param {string} text - Text to check
+ * @returns {boolean} - True if any CJK character is present
+ */
+function hasCjk(text) {
+    return CJK_PATTERN.test(text);
+}
+
+/**
+ * Check if text ends with clause punctuation, ignoring override blocks
+ *
+ * @param {string} text - ASS text
+ * @returns {boolean} - True if a clause ends here
+ */
+function endsClause(text) {
+    return CLAUSE_END.test(text.replace(/\{[^}]*\}/g, ''));
+}
+
+/**
+ * Check if a line may break between two adjacent non-space characters
+ *
+ * @param {string} before - Character before the break
+ * @param {string} after - Character after the break
+ * @returns {boolean} - True if breaking is allowed
+ */
+function canBreakBetween(before, after) {
+    if (!CJK_PATTERN.test(before) && !CJK_PATTERN.test(after)) {
+        return false;
+    }
+    return !NO_BREAK_BEFORE.has(after) && !NO_BREAK_AFTER.has(before);
+}
+
+/**
+ * Join explicit \N breaks back into running text so a cue can be rewrapped.
+ * Breaks between CJK characters are removed, others become spaces.
+ *
+ * @param {string} text - ASS text
+ * @returns {string} - Text without \N breaks
+ */
+function unwrapText(text) {
+    return text.replace(/\s*\\N\s*/g, (breakText, offset) => {
+        const before = text.slice(0, offset).replace(/\{[^}]*\}/g, '').slice(-1);
+        const after = text.slice(offset + breakText.length).replace(/\{[^}]*\}/g, '').charAt(0);
+        return hasCjk(before) && hasCjk(after) ? '' : ' ';
+    });
+}
+
+/**
+ * Split ASS text into unbreakable tokens. Override blocks stay attached to the text that
+ * follows them, and each token records the blocks that precede it so it can be measured
+ * with the styling it inherits.
+ *
+ * @param {string} text - ASS text without \N breaks
+ * @returns {Array<Object>} - Tokens { text, space, prefix } where space marks whitespace before the token
+ */
+function tokenize(text) {
+    const units = text.match(/\{[^}]*\}|\s+|[\s\S]/gu) || [];
+    const tokens = [];
+    let current = null;
+    let previousChar = null;
+    let pendingTags = '';
+    let pendingSpace = false;
+    let inherited = '';
+
+    units.forEach(unit => {
+        if (unit.startsWith('{') && unit.endsWith('}')) {
+            pendingTags += unit;
+            return;
+        }
+
+        if (/^\s+$/.test(unit)) {
+            current = null;
+            previousChar = null;
+            pendingSpace = tokens.length > 0;
+            return;
+        }
+
+        if (current && previousChar !== null && !canBreakBetween(previousChar, unit)) {
+            current.text += pendingTags + unit;
+        } else {
+            current = { text: pendingTags + unit, space: pendingSpace, prefix: inherited };
+            tokens.push(current);
+        }
+
+        inherited += pendingTags;
+        pendingTags = '';
+        pendingSpace = false;
+        previousChar = unit;
+    });
+
+    // Trailing override blocks (e.g. a closing {\i0}) stay with the last token
+    if (pendingTags && tokens.length) {
+        tokens[tokens.length - 1].text += pendingTags;
+    }
+
+    return tokens;
+}
+
+/**
+ * Build the text of one line from a range of tokens
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {number} start - First token index
+ * @param {number} end - Index after the last token
+ * @returns {string} - Line text
+ */
+function lineText(tokens, start, end) {
+    return tokens.slice(start, end).map((token, i) => (i > 0 && token.space ? ' ' : '') + token.text).join('');
+}
+
+/**
+ * Find line breaks that fit every line within maxWidth using as few lines as possible,
+ * and among those the most balanced split. Latin text prefers a bottom-heavy pyramid
+ * (upper lines no longer than lower ones) and breaks after clause punctuation.
+ *
+ * The fewest lines are what greedy filling gives. Filling from the front and from the back
+ * also bounds where each line can end, and the split is found within those bounds by dynamic
+ * programming over (line, first token, end token), with a cost per line for its width above
+ * the average and per break for the pyramid and clause ends. Long CJK cues with many tokens
+ * and lines stay fast that way.
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {Array<number>} widths - Measured width of each token
+ * @param {number} spaceWidth - Measured width of a space
+ * @param {Object} params - Wrapping parameters
+ * @param {number} params.maxWidth - Maximum line width
+ * @param {number} params.maxLines - Maximum number of lines
+ * @param {boolean} params.pyramid - Prefer lines that grow towards the bottom
+ * @returns {Array<number>|null} - Token indices at which new lines start, or null if nothing fits
+ */
+function chooseBreaks(tokens, widths, spaceWidth, { maxWidth, maxLines, pyramid }) {
+    const count = tokens.length;
+    if (!count || widths.some(width => width > maxWidth)) {
+        return null;
+    }
+    const latest = greedyBreaks(tokens, widths, spaceWidth, maxWidth);
+    const lines = latest.length + 1;
+    if (lines > maxLines) {
+        return null;
+    }
+    if (lines === 1) {
+        return [];
+    }
+
+    // Prefix sums give the width of any token range in constant time
+    const offsets = [0];
+    for (let i = 0; i < count; i++) {
+        offsets.push(offsets[i] + widths[i] + (i > 0 && tokens[i].space ? spaceWidth : 0));
+    }
+    const rangeWidth = (start, end) => offsets[end] - offsets[start] - (start > 0 && tokens[start].space ? spaceWidth : 0);
+
+    // Filling the lines from the back gives the earliest end of each line
+    const earliest = [];
+    for (let end = count, start = count - 1; start > 0 && earliest.length < lines - 1; start--) {
+        if (rangeWidth(start - 1, end) > maxWidth) {
+            earliest.unshift(start);
+            end = start;
+        }
+    }
+    const average = rangeWidth(0, count) / lines;
+    const lineCost = width => Math.max(0, width - average);
+    const breakCost = (upper, lower, end) => (pyramid && upper > lower ? (upper - lower) * 0.5 : 0)
+        // Reward breaking at the end of a clause
+        - (endsClause(tokens[end - 1].text) ? maxWidth * 0.05 : 0);
+
+    // Each level maps the start and end of its last line to { start, end, width, cost, previous }
+    let level = new Map();
+    for (let end = earliest[0]; end <= latest[0]; end++) {
+        const width = rangeWidth(0, end);
+        level.set(end, { start: 0, end, width, cost: lineCost(width), previous: null });
+    }
+
+    for (let line = 2; line <= lines; line++) {
+        const next = new Map();
+        const firstEnd = line === lines ? count : earliest[line - 1];
+        const lastEnd = line === lines ? count : latest[line - 1];
+        level.forEach(state => {
+            for (let end = Math.max(firstEnd, state.end + 1); end <= lastEnd; end++) {
+                const width = rangeWidth(state.end, end);
+                if (width > maxWidth) {
+                    break;
+                }
+                const cost = state.cost + lineCost(width) + breakCost(state.width, width, state.end);
+                const key = state.end * (count + 1) + end;
+                const known = next.get(key);
+                if (!known || cost < known.cost) {
+                    next.set(key, { start: state.end, end, width, cost, previous: state });
+                }
+            }
+        });
+        level = next;
+    }
+
+    let best = null;
+    level.forEach(state => {
+        if (!best || state.cost < best.cost) {
+            best = state;
+        }
+    });
+    if (!best) {
+        return null;
+    }
+
+    const breaks = [];
+    for (let state = best; state.start > 0; state = state.previous) {
+        breaks.unshift(state.start);
+    }
+    return breaks;
+}
+
+/**
+ * Greedy fallback used when no split within the line limit fits: fill each line as far
+ * as it goes, letting a token that is wider than maxWidth sit on a line of its own.
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {Array<number>} widths - Measured width of each token
+ * @param {number} spaceWidth - Measured width of a space
+ * @param {number} maxWidth - Maximum line width
+ * @returns {Array<number>} - Token indices at which new lines start
+ */
+function greedyBreaks(tokens, widths, spaceWidth, maxWidth) {
+    const breaks = [];
+    let width = 0;
+
+    tokens.forEach((token, i) => {
+        const added = widths[i] + (i > 0 && token.space ? spaceWidth : 0);
+        if (i > 0 && width + added > maxWidth) {
+            breaks.push(i);
+            width = widths[i];
+        } else {
+            width += added;
+        }
+    });
+
+    return breaks;
+}
+
+/**
+ * Join tokens into ASS text with \N at the given breaks
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {Array<number>} breaks - Token indices at which new lines start
+ * @returns {string} - Wrapped ASS text
+ */
+function joinLines(tokens, breaks) {
+    const bounds = [0, ...breaks, tokens.length];
+    return bounds.slice(1).map((end, i) => lineText(tokens, bounds[i], end)).join('\\N');
+}
+
+module.exports = {
+    hasCjk,
+    endsClause,
+    unwrapText,
+    tokenize,
+    lineText,
+    chooseBreaks,
+    greedyBreaks,
+    joinLines
+};